@@ -0,0 +1,158 @@
+/**
+ * =============================================================================
+ * Circuit Breaker
+ * Per-model failure isolation for the AI Gateway (closed / open / half-open)
+ * =============================================================================
+ */
+
+import EventEmitter from 'events';
+
+export const CircuitState = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+/**
+ * CircuitBreaker - Tracks consecutive failures for a single model
+ *
+ * Closed: requests flow normally. After `failureThreshold` consecutive
+ * failures the breaker opens and rejects requests for `resetTimeout` ms.
+ * It then moves to half-open and lets `halfOpenMaxRequests` trial requests
+ * through; a success closes it again, a failure re-opens it.
+ */
+export class CircuitBreaker extends EventEmitter {
+    constructor(name, config = {}) {
+        super();
+        this.name = name;
+        this.config = {
+            failureThreshold: 5,
+            resetTimeout: 30000,
+            halfOpenMaxRequests: 1,
+            ...config
+        };
+
+        this.state = CircuitState.CLOSED;
+        this.failures = 0;
+        this.successes = 0;
+        this.totalFailures = 0;
+        this.openedAt = null;
+        this.halfOpenInFlight = 0;
+        this.lastError = null;
+    }
+
+    /**
+     * Check whether a request may be sent through this breaker
+     */
+    canRequest() {
+        if (this.state === CircuitState.OPEN) {
+            if (Date.now() - this.openedAt < this.config.resetTimeout) {
+                return false;
+            }
+            this.transition(CircuitState.HALF_OPEN);
+        }
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            return this.halfOpenInFlight < this.config.halfOpenMaxRequests;
+        }
+
+        return true;
+    }
+
+    /**
+     * Reserve a slot before sending a request
+     */
+    acquire() {
+        if (!this.canRequest()) {
+            return false;
+        }
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.halfOpenInFlight++;
+        }
+        return true;
+    }
+
+    /**
+     * Record a successful request
+     */
+    recordSuccess() {
+        this.successes++;
+        this.failures = 0;
+        this.lastError = null;
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+            this.transition(CircuitState.CLOSED);
+        }
+    }
+
+    /**
+     * Give back a slot from acquire() for a request that says nothing about
+     * the model's health (rejected as invalid, or aborted by the caller)
+     */
+    release() {
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+        }
+    }
+
+    /**
+     * Record a failed request
+     */
+    recordFailure(error) {
+        this.failures++;
+        this.totalFailures++;
+        this.lastError = error?.message || String(error);
+
+        if (this.state === CircuitState.HALF_OPEN) {
+            this.halfOpenInFlight = Math.max(0, this.halfOpenInFlight - 1);
+            this.transition(CircuitState.OPEN);
+        } else if (this.state === CircuitState.CLOSED && this.failures >= this.config.failureThreshold) {
+            this.transition(CircuitState.OPEN);
+        }
+    }
+
+    /**
+     * Move to a new state and notify listeners
+     */
+    transition(to) {
+        const from = this.state;
+        if (from === to) return;
+
+        this.state = to;
+        if (to === CircuitState.OPEN) {
+            this.openedAt = Date.now();
+        } else if (to === CircuitState.CLOSED) {
+            this.openedAt = null;
+            this.failures = 0;
+            this.halfOpenInFlight = 0;
+        } else if (to === CircuitState.HALF_OPEN) {
+            this.halfOpenInFlight = 0;
+        }
+
+        this.emit('state-change', { name: this.name, from, to, lastError: this.lastError });
+    }
+
+    /**
+     * Force the breaker back to closed
+     */
+    reset() {
+        this.transition(CircuitState.CLOSED);
+    }
+
+    /**
+     * Get breaker snapshot for metrics
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            consecutiveFailures: this.failures,
+            totalFailures: this.totalFailures,
+            successes: this.successes,
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            lastError: this.lastError
+        };
+    }
+}
+
+export default CircuitBreaker;
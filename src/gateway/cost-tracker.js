@@ -0,0 +1,325 @@
+/**
+ * =============================================================================
+ * Cost Tracker
+ * Token-based pricing, spend accounting and budgets for the AI Gateway
+ * =============================================================================
+ */
+
+// Time windows spend is bucketed into
+const WINDOWS = ['hour', 'day', 'month', 'total'];
+
+// Callers a budget can apply to
+const SCOPES = ['global', 'apiKey', 'agent'];
+
+/**
+ * Error thrown when a hard budget would be exceeded
+ */
+export class BudgetExceededError extends Error {
+    constructor(budget, spend) {
+        super(`Budget exceeded for ${budget.scope}${budget.id ? ` ${budget.id}` : ''}: ` +
+            `${spend.toFixed(4)} >= ${budget.hard} (${budget.window})`);
+        this.name = 'BudgetExceededError';
+        this.status = 429;
+        this.code = 'budget_exceeded';
+        this.budget = budget;
+        this.spend = spend;
+    }
+}
+
+/**
+ * CostTracker - Prices requests and enforces spend budgets
+ *
+ * Prices are per token, split into prompt and completion, in the same units
+ * LiteLLM reports in `/model/info` (`input_cost_per_token` /
+ * `output_cost_per_token`). Spend is tracked for the whole gateway, per API
+ * key and per agent, each bucketed by hour, day, month and all-time.
+ *
+ * Budgets: `{ scope: 'global' | 'apiKey' | 'agent', id?, window, soft?, hard? }`.
+ * Without `id` a budget applies to every key/agent of that scope separately.
+ */
+export class CostTracker {
+    constructor(config = {}) {
+        this.config = {
+            prices: {}, // model -> { prompt, completion } per token
+            budgets: [],
+            ...config
+        };
+
+        this.config.budgets.forEach(budget => validateBudget(budget));
+
+        this.prices = new Map();
+        this.configuredModels = new Set();
+        for (const [model, price] of Object.entries(this.config.prices)) {
+            this.setPrice(model, price);
+            this.configuredModels.add(model);
+        }
+
+        this.spend = new Map(); // `${scope}:${id}` -> { window -> { start, cost, ... } }
+    }
+
+    /**
+     * Set the price for a model
+     * @param {string} model - Model name
+     * @param {Object} price - { prompt, completion } cost per token
+     */
+    setPrice(model, price) {
+        this.prices.set(model, {
+            prompt: Number(price.prompt) || 0,
+            completion: Number(price.completion ?? price.prompt) || 0
+        });
+    }
+
+    /**
+     * Load prices from a LiteLLM `/model/info` payload.
+     * Prices from config take precedence.
+     */
+    loadModelInfo(models = []) {
+        let loaded = 0;
+
+        for (const model of models) {
+            const name = model.model_name;
+            const info = model.model_info || {};
+            if (!name || this.configuredModels.has(name)) continue;
+
+            if (info.tier === 'local') {
+                this.setPrice(name, { prompt: 0, completion: 0 });
+                loaded++;
+            } else if (info.input_cost_per_token != null || info.output_cost_per_token != null) {
+                this.setPrice(name, {
+                    prompt: info.input_cost_per_token || 0,
+                    completion: info.output_cost_per_token || 0
+                });
+                loaded++;
+            }
+        }
+
+        return loaded;
+    }
+
+    /**
+     * Get price for a model, or null when unknown
+     */
+    getPrice(model) {
+        return this.prices.get(model) || null;
+    }
+
+    /**
+     * Price a completion from its usage block
+     */
+    calculateCost(model, usage = {}) {
+        const price = this.getPrice(model);
+        if (!price) return 0;
+
+        const promptTokens = usage.prompt_tokens || 0;
+        const completionTokens = usage.completion_tokens
+            ?? Math.max(0, (usage.total_tokens || 0) - promptTokens);
+
+        return promptTokens * price.prompt + completionTokens * price.completion;
+    }
+
+    /**
+     * Order models cheapest first. Models without a known price keep their
+     * position; priced models are re-ordered among the remaining slots.
+     */
+    rankByCost(models) {
+        const priced = models.filter(model => this.prices.has(model));
+        const sorted = [...priced].sort((a, b) => this.blendedPrice(a) - this.blendedPrice(b));
+
+        return models.map(model => (this.prices.has(model) ? sorted.shift() : model));
+    }
+
+    /**
+     * Single figure for comparing model prices
+     */
+    blendedPrice(model) {
+        const price = this.getPrice(model);
+        return price ? price.prompt + price.completion : Infinity;
+    }
+
+    /**
+     * Record spend for a completed request
+     * @param {string} model - Model that served the request
+     * @param {Object} usage - OpenAI usage block
+     * @param {Object} context - { apiKey, agentId }
+     * @param {Object} options - { tier } of the model
+     * @returns {number} Cost of the request
+     */
+    record(model, usage = {}, context = {}, options = {}) {
+        const cost = options.tier === 'local' ? 0 : this.calculateCost(model, usage);
+        const tokens = {
+            prompt: usage.prompt_tokens || 0,
+            completion: usage.completion_tokens || 0
+        };
+
+        for (const key of this.scopeKeys(context)) {
+            const buckets = this.getBuckets(key);
+            for (const window of WINDOWS) {
+                const bucket = buckets[window];
+                bucket.cost += cost;
+                bucket.requests++;
+                bucket.promptTokens += tokens.prompt;
+                bucket.completionTokens += tokens.completion;
+            }
+        }
+
+        return cost;
+    }
+
+    /**
+     * Check budgets for a caller before a request
+     * @param {Object} context - { apiKey, agentId }
+     * @returns {Object} { status: 'ok' | 'soft' | 'hard', budget, spend }
+     */
+    checkBudgets(context = {}) {
+        let result = { status: 'ok', budget: null, spend: 0 };
+
+        for (const budget of this.config.budgets) {
+            const key = this.budgetKey(budget, context);
+            if (!key) continue;
+
+            const spend = this.getBuckets(key)[budget.window || 'total'].cost;
+
+            if (budget.hard != null && spend >= budget.hard) {
+                return { status: 'hard', budget, spend };
+            }
+            if (result.status === 'ok' && budget.soft != null && spend >= budget.soft) {
+                result = { status: 'soft', budget, spend };
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Resolve which spend bucket a budget applies to for a caller
+     */
+    budgetKey(budget, context) {
+        switch (budget.scope || 'global') {
+            case 'global':
+                return 'global:*';
+            case 'apiKey':
+                if (!context.apiKey || (budget.id && budget.id !== context.apiKey)) return null;
+                return `apiKey:${context.apiKey}`;
+            case 'agent':
+                if (!context.agentId || (budget.id && budget.id !== context.agentId)) return null;
+                return `agent:${context.agentId}`;
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Spend buckets a request is counted in
+     */
+    scopeKeys(context) {
+        const keys = ['global:*'];
+        if (context.apiKey) keys.push(`apiKey:${context.apiKey}`);
+        if (context.agentId) keys.push(`agent:${context.agentId}`);
+        return keys;
+    }
+
+    /**
+     * Get the buckets for a key, rolling any window that has ended
+     */
+    getBuckets(key) {
+        let buckets = this.spend.get(key);
+        if (!buckets) {
+            buckets = {};
+            this.spend.set(key, buckets);
+        }
+
+        const now = new Date();
+        for (const window of WINDOWS) {
+            const start = windowStart(window, now);
+            if (!buckets[window] || buckets[window].start !== start) {
+                buckets[window] = { start, cost: 0, requests: 0, promptTokens: 0, completionTokens: 0 };
+            }
+        }
+
+        return buckets;
+    }
+
+    /**
+     * Get spend for a scope
+     * @param {string} scope - 'global' | 'apiKey' | 'agent'
+     * @param {string} [id] - Key or agent ID
+     */
+    getSpend(scope = 'global', id = '*') {
+        return this.getBuckets(`${scope}:${id}`);
+    }
+
+    /**
+     * Spend report for metrics. API keys are masked.
+     */
+    getReport() {
+        const report = { global: null, apiKeys: {}, agents: {} };
+
+        for (const key of this.spend.keys()) {
+            const [scope, ...rest] = key.split(':');
+            const id = rest.join(':');
+            const buckets = this.getBuckets(key);
+
+            if (scope === 'global') {
+                report.global = buckets;
+            } else if (scope === 'apiKey') {
+                report.apiKeys[maskKey(id)] = buckets;
+            } else if (scope === 'agent') {
+                report.agents[id] = buckets;
+            }
+        }
+
+        return report;
+    }
+
+    /**
+     * Price table for metrics
+     */
+    getPrices() {
+        return Object.fromEntries(this.prices);
+    }
+}
+
+/**
+ * Start of the current window as an ISO string
+ */
+function windowStart(window, now) {
+    switch (window) {
+        case 'hour':
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), now.getUTCHours())).toISOString();
+        case 'day':
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())).toISOString();
+        case 'month':
+            return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)).toISOString();
+        default:
+            return null;
+    }
+}
+
+/**
+ * Reject a budget that checkBudgets could not apply
+ */
+function validateBudget(budget) {
+    const scope = budget.scope || 'global';
+    const window = budget.window || 'total';
+
+    if (!SCOPES.includes(scope)) {
+        throw new Error(`Invalid budget scope '${scope}': expected one of ${SCOPES.join(', ')}`);
+    }
+    if (!WINDOWS.includes(window)) {
+        throw new Error(`Invalid budget window '${window}' for ${scope} budget: expected one of ${WINDOWS.join(', ')}`);
+    }
+    for (const limit of ['soft', 'hard']) {
+        if (budget[limit] != null && !(Number(budget[limit]) >= 0)) {
+            throw new Error(`Invalid ${limit} limit for ${scope} budget: ${budget[limit]}`);
+        }
+    }
+}
+
+/**
+ * Mask an API key for reporting
+ */
+function maskKey(key) {
+    return key.length > 8 ? `${key.slice(0, 4)}...${key.slice(-4)}` : '****';
+}
+
+export default CostTracker;
@@ -6,6 +6,51 @@
  */
 
 import EventEmitter from 'events';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { SemanticCache } from './semantic-cache.js';
+import { CostTracker, BudgetExceededError } from './cost-tracker.js';
+import { LatencyTracker } from './latency-tracker.js';
+import { SSEParser } from './sse-parser.js';
+
+/**
+ * Model aliases understood by the router
+ */
+const MODEL_GROUPS = ['coder', 'fast', 'best'];
+
+// Local model per group (local-first)
+const LOCAL_MODELS = {
+    coder: 'qwen-coder',
+    fast: 'local-general',
+    best: 'qwen-coder-14b',
+    embedding: 'local-embedding'
+};
+
+// Cloud fallback per group (local-first)
+const CLOUD_FALLBACKS = {
+    coder: 'gpt-4o',
+    fast: 'gpt-4o-mini',
+    best: 'claude-3.5-sonnet',
+    embedding: 'text-embedding-ada-002'
+};
+
+// Cost order: local (free) -> gaianet (cheap) -> cloud
+const COST_ORDER = {
+    coder: ['qwen-coder', 'gaianet-coder', 'gpt-4o-mini', 'gpt-4o'],
+    fast: ['local-general', 'gpt-4o-mini', 'claude-3-haiku'],
+    best: ['qwen-coder-14b', 'gpt-4o-mini', 'gpt-4o'],
+    embedding: ['local-embedding', 'text-embedding-ada-002']
+};
+
+// Performance order based on typical latency
+const PERF_ORDER = {
+    coder: ['gpt-4o-mini', 'qwen-coder', 'gpt-4o'],
+    fast: ['gpt-4o-mini', 'claude-3-haiku', 'local-general'],
+    best: ['gpt-4o', 'claude-3.5-sonnet'],
+    embedding: ['text-embedding-ada-002', 'local-embedding']
+};
+
+// HTTP statuses that mean the request itself is bad - no point failing over
+const NON_RETRYABLE_STATUS = [400, 401, 403, 413, 422];
 
 /**
  * AIGateway - Intelligent routing gateway for AI requests
@@ -16,29 +61,74 @@ export class AIGateway extends EventEmitter {
         this.config = {
             litellmUrl: process.env.LITELLM_URL || 'http://localhost:4000',
             masterKey: process.env.LITELLM_MASTER_KEY,
+            ...config,
             routing: {
-                strategy: 'local-first', // 'local-first' | 'cost-optimized' | 'performance'
-                localLatencyThreshold: 2000, // ms
-                maxRetries: 3,
-                timeout: 120000
+                strategy: 'local-first', // 'local-first' | 'cost-optimized' | 'performance' | 'adaptive'
+                localLatencyThreshold: 2000, // ms, local p95 above this sends adaptive traffic to cloud
+                latencySlo: 10000, // ms, p95 target for the adaptive strategy
+                maxErrorRate: 0.2, // adaptive: models failing more often miss the SLO
+                maxRetries: 3, // same-model retries allowed per request, across the chain
+                retriesPerModel: 1, // retries on the same model before falling through
+                retryBaseDelay: 250, // ms, doubled per retry with full jitter
+                retryMaxDelay: 4000, // ms
+                timeout: 120000,
+                streamIdleTimeout: 30000, // ms between stream chunks
+                streamTimeout: 300000, // ms for a whole stream
+                ...config.routing,
+                circuitBreaker: {
+                    failureThreshold: 5,
+                    resetTimeout: 30000, // ms before a half-open trial
+                    halfOpenMaxRequests: 1,
+                    ...config.routing?.circuitBreaker
+                },
+                latencyStats: {
+                    windowSize: 200, // samples kept per model
+                    maxAge: 600000, // ms
+                    minSamples: 5, // before a model's stats are trusted
+                    ...config.routing?.latencyStats
+                }
             },
             semantic_cache: {
                 enabled: true,
                 similarity_threshold: 0.95,
-                ttl: 3600
+                ttl: 3600, // seconds
+                maxEntries: 5000,
+                storeSweepInterval: 60, // seconds
+                embeddingModel: 'local-embedding',
+                embedTimeout: 2000, // ms; the cache probe runs before every cacheable request
+                store: null, // optional RuVectorIntegration (add/search/delete/entries)
+                ...config.semantic_cache
             },
-            ...config
+            costs: {
+                prices: {}, // model -> { prompt, completion } USD per token, overrides /model/info
+                budgets: [], // { scope: 'global' | 'apiKey' | 'agent', id?, window, soft?, hard? }
+                ...config.costs
+            }
         };
 
+        const { store, ...cacheConfig } = this.config.semantic_cache;
+        this.semanticCache = new SemanticCache(cacheConfig, {
+            embed: (text) => this.embedForCache(text),
+            store
+        });
+        this.costTracker = new CostTracker(this.config.costs);
+        this.latencyTracker = new LatencyTracker(this.config.routing.latencyStats);
+
         this.modelStatus = new Map();
+        this.breakers = new Map();
+        this.healthTimer = null;
         this.requestMetrics = {
             total: 0,
             local: 0,
             cloud: 0,
             cached: 0,
             failed: 0,
+            retries: 0,
+            failovers: 0,
             totalLatency: 0,
-            totalCost: 0
+            totalCost: 0,
+            promptTokens: 0,
+            completionTokens: 0
         };
     }
 
@@ -67,9 +157,11 @@ export class AIGateway extends EventEmitter {
      * Start periodic health checks
      */
     startHealthChecks() {
-        setInterval(async () => {
+        this.checkModelHealth();
+        this.healthTimer = setInterval(async () => {
             await this.checkModelHealth();
         }, 30000);
+        this.healthTimer.unref?.();
     }
 
     /**
@@ -90,6 +182,7 @@ export class AIGateway extends EventEmitter {
                         lastCheck: new Date().toISOString()
                     });
                 }
+                this.costTracker.loadModelInfo(data.data || []);
             }
         } catch (error) {
             // Silent fail for health checks
@@ -111,30 +204,52 @@ export class AIGateway extends EventEmitter {
     /**
      * Route and execute chat completion request
      * @param {Object} request - Chat completion request
+     * @param {Object} context - Caller identity for spend tracking ({ apiKey, agentId })
      * @returns {Promise<Object>} Completion response
      */
-    async chatCompletion(request) {
+    async chatCompletion(request, context = {}) {
         const startTime = Date.now();
         this.requestMetrics.total++;
 
+        // Serve near-duplicate prompts from the semantic cache
+        const cacheProbe = await this.lookupCache(request);
+        if (cacheProbe?.hit) {
+            this.requestMetrics.cached++;
+            this.emit('cache-hit', {
+                id: cacheProbe.hit.id,
+                similarity: cacheProbe.hit.similarity,
+                duration: Date.now() - startTime
+            });
+            return cacheProbe.hit.response;
+        }
+
         try {
-            // Determine best model based on routing strategy
-            const model = await this.selectModel(request);
+            const strategy = this.enforceBudgets(context);
 
-            // Execute request
-            const response = await this.executeRequest('/v1/chat/completions', {
-                ...request,
-                model
-            });
+            // Walk the failover chain for the routing strategy
+            const models = await this.getCandidateModels(request, strategy);
+            const { model, response, attempts } = await this.executeWithFailover(
+                models,
+                (candidate) => this.executeRequest('/v1/chat/completions', {
+                    ...request,
+                    model: candidate
+                })
+            );
 
             // Update metrics
             const duration = Date.now() - startTime;
-            this.updateMetrics(model, duration, response);
+            this.updateMetrics(model, duration, response, context);
+
+            if (cacheProbe) {
+                this.semanticCache.set(cacheProbe, response, { model })
+                    .catch(error => this.emit('cache-error', { error }));
+            }
 
             this.emit('completion', {
                 model,
                 duration,
-                tokens: response.usage?.total_tokens
+                tokens: response.usage?.total_tokens,
+                attempts: attempts.length
             });
 
             return response;
@@ -145,37 +260,304 @@ export class AIGateway extends EventEmitter {
         }
     }
 
+    /**
+     * Try each candidate model in order with bounded, jittered retries
+     * @param {string[]} models - Ordered failover chain
+     * @param {Function} execute - Called with the model name, returns a promise
+     * @returns {Promise<Object>} Winning model, its response and the attempt log
+     */
+    async executeWithFailover(models, execute) {
+        const { maxRetries, retriesPerModel } = this.config.routing;
+        const attempts = [];
+        let retriesLeft = maxRetries;
+        let lastError = null;
+        let lastModel = null;
+
+        const record = (entry) => {
+            attempts.push(entry);
+            if (entry.success) {
+                this.latencyTracker.recordSuccess(entry.model, entry.duration);
+            } else if (!entry.skipped) {
+                this.latencyTracker.recordFailure(entry.model, entry.duration);
+            }
+            this.emit('attempt', entry);
+        };
+
+        for (const model of models) {
+            const breaker = this.getBreaker(model);
+
+            if (lastError) {
+                if (!breaker.canRequest()) {
+                    record({ model, attempt: 0, skipped: true, reason: 'circuit-open' });
+                    continue;
+                }
+                this.requestMetrics.failovers++;
+                this.emit('failover', { from: lastModel, to: model, error: lastError.message });
+            }
+
+            for (let attempt = 0; attempt <= retriesPerModel; attempt++) {
+                if (!breaker.acquire()) {
+                    record({ model, attempt, skipped: true, reason: 'circuit-open' });
+                    break;
+                }
+
+                const attemptStart = Date.now();
+                try {
+                    const response = await execute(model);
+                    breaker.recordSuccess();
+                    record({ model, attempt, success: true, duration: Date.now() - attemptStart });
+
+                    return { model, response, attempts };
+                } catch (error) {
+                    const retryable = this.isRetryableError(error);
+                    lastError = error;
+                    lastModel = model;
+
+                    // A rejected request is not the model's fault - only trip on real failures
+                    if (retryable) {
+                        breaker.recordFailure(error);
+                    } else {
+                        breaker.release();
+                    }
+
+                    record({
+                        model,
+                        attempt,
+                        success: false,
+                        duration: Date.now() - attemptStart,
+                        status: error.status,
+                        error: error.message
+                    });
+
+                    if (!retryable) {
+                        error.attempts = attempts;
+                        throw error;
+                    }
+
+                    // Fall through to the next model once this one's retries are used
+                    if (attempt === retriesPerModel || retriesLeft <= 0 || !breaker.canRequest()) {
+                        break;
+                    }
+
+                    retriesLeft--;
+                    this.requestMetrics.retries++;
+                    await this.backoff(attempt);
+                }
+            }
+        }
+
+        const error = new Error(
+            lastError
+                ? `All models failed (${models.join(', ')}): ${lastError.message}`
+                : `No available models (circuits open): ${models.join(', ')}`
+        );
+        error.status = lastError?.status || 503;
+        error.attempts = attempts;
+        error.cause = lastError;
+        throw error;
+    }
+
+    /**
+     * Decide whether an error should trigger a retry or failover
+     */
+    isRetryableError(error) {
+        if (error.name === 'AbortError') return false;
+        return !NON_RETRYABLE_STATUS.includes(error.status);
+    }
+
+    /**
+     * Sleep with exponential backoff and full jitter
+     */
+    async backoff(attempt) {
+        const { retryBaseDelay, retryMaxDelay } = this.config.routing;
+        const ceiling = Math.min(retryMaxDelay, retryBaseDelay * 2 ** attempt);
+        const delay = Math.floor(Math.random() * ceiling);
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    /**
+     * Get (or create) the circuit breaker for a model
+     */
+    getBreaker(model) {
+        let breaker = this.breakers.get(model);
+        if (!breaker) {
+            breaker = new CircuitBreaker(model, this.config.routing.circuitBreaker);
+            breaker.on('state-change', ({ name, from, to, lastError }) => {
+                this.emit('circuit-state-change', { model: name, from, to, lastError });
+            });
+            this.breakers.set(model, breaker);
+        }
+        return breaker;
+    }
+
+    /**
+     * Check caller budgets before routing
+     * @param {Object} context - { apiKey, agentId }
+     * @returns {string} Routing strategy to use for this request
+     */
+    enforceBudgets(context) {
+        const { status, budget, spend } = this.costTracker.checkBudgets(context);
+
+        if (status === 'hard') {
+            this.emit('budget-exceeded', { budget, spend, context: { agentId: context.agentId } });
+            throw new BudgetExceededError(budget, spend);
+        }
+
+        // Over a soft budget: downgrade to the cheapest models
+        if (status === 'soft') {
+            this.emit('budget-soft-limit', { budget, spend, context: { agentId: context.agentId } });
+            return 'cost-optimized';
+        }
+
+        return this.config.routing.strategy;
+    }
+
+    /**
+     * Build the ordered failover chain for a request
+     * @param {Object} request - Chat completion request
+     * @param {string} strategy - Routing strategy override
+     * @returns {Promise<string[]>} Models to try, preferred first
+     */
+    async getCandidateModels(request, strategy = this.config.routing.strategy) {
+        const primary = await this.selectModel(request, strategy);
+        const modelGroup = request.model || 'coder';
+
+        // Explicit model names are not failed over
+        if (request.model && !MODEL_GROUPS.includes(request.model)) {
+            return [primary];
+        }
+
+        let order;
+        switch (strategy) {
+            case 'performance':
+                order = PERF_ORDER[modelGroup] || PERF_ORDER.coder;
+                break;
+            case 'cost-optimized':
+                order = this.costTracker.rankByCost(COST_ORDER[modelGroup] || COST_ORDER.coder);
+                break;
+            case 'adaptive':
+                order = this.rankAdaptive(modelGroup);
+                break;
+            default:
+                order = COST_ORDER[modelGroup] || COST_ORDER.coder;
+        }
+
+        const chain = [primary, ...order, CLOUD_FALLBACKS[modelGroup]]
+            .filter((model, i, all) => model && all.indexOf(model) === i);
+
+        // Models with an open breaker go to the back so half-open trials still happen
+        const available = chain.filter(model => this.getBreaker(model).canRequest());
+        const tripped = chain.filter(model => !available.includes(model));
+
+        return [...available, ...tripped];
+    }
+
+    /**
+     * Probe the semantic cache; cache failures never fail the request
+     * @returns {Promise<Object|null>} Cache probe, or null when not cacheable
+     */
+    async lookupCache(request) {
+        if (!this.semanticCache.isCacheable(request)) {
+            return null;
+        }
+
+        try {
+            return await this.semanticCache.lookup(request);
+        } catch (error) {
+            if (error.code !== 'circuit_open') {
+                this.emit('cache-error', { error });
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Embed a prompt for the semantic cache. The call has its own short
+     * timeout and goes through the embedding model's breaker, so a slow or
+     * failing embedding endpoint skips the cache instead of delaying requests.
+     */
+    async embedForCache(text) {
+        const { embeddingModel, embedTimeout } = this.config.semantic_cache;
+        const breaker = this.getBreaker(embeddingModel);
+
+        if (!breaker.acquire()) {
+            const error = new Error(`Semantic cache skipped: circuit open for ${embeddingModel}`);
+            error.code = 'circuit_open';
+            throw error;
+        }
+
+        try {
+            const response = await this.createEmbedding(
+                { model: embeddingModel, input: text },
+                { timeout: embedTimeout }
+            );
+            breaker.recordSuccess();
+            return response.data[0].embedding;
+        } catch (error) {
+            if (this.isRetryableError(error)) {
+                breaker.recordFailure(error);
+            } else {
+                breaker.release();
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Invalidate semantic cache entries
+     * @param {Object} filter - { id, model, request, olderThan }
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async invalidateCache(filter = {}) {
+        const removed = await this.semanticCache.invalidate(filter);
+        this.emit('cache-invalidated', { filter, removed });
+        return removed;
+    }
+
+    /**
+     * Remove every semantic cache entry
+     */
+    async clearCache() {
+        const removed = await this.semanticCache.clear();
+        this.emit('cache-invalidated', { filter: null, removed });
+        return removed;
+    }
+
     /**
      * Execute embedding request
+     * @param {Object} request - Embedding request
+     * @param {Object} options - { timeout } in ms, defaults to routing.timeout
      */
-    async createEmbedding(request) {
+    async createEmbedding(request, options = {}) {
         return this.executeRequest('/v1/embeddings', {
             ...request,
             model: request.model || 'local-embedding'
-        });
+        }, options);
     }
 
     /**
      * Select best model based on routing strategy
      */
-    async selectModel(request) {
+    async selectModel(request, strategy = this.config.routing.strategy) {
         const requestedModel = request.model;
 
         // If specific model requested, use it
-        if (requestedModel && !['coder', 'fast', 'best'].includes(requestedModel)) {
+        if (requestedModel && !MODEL_GROUPS.includes(requestedModel)) {
             return requestedModel;
         }
 
         // Map aliases to model groups
         const modelGroup = requestedModel || 'coder';
 
-        switch (this.config.routing.strategy) {
+        switch (strategy) {
             case 'local-first':
                 return this.selectLocalFirst(modelGroup);
             case 'cost-optimized':
                 return this.selectCostOptimized(modelGroup);
             case 'performance':
                 return this.selectPerformance(modelGroup);
+            case 'adaptive':
+                return this.selectAdaptive(modelGroup);
             default:
                 return this.selectLocalFirst(modelGroup);
         }
@@ -185,48 +567,26 @@ export class AIGateway extends EventEmitter {
      * Select local model first, fallback to cloud
      */
     selectLocalFirst(modelGroup) {
-        const localModels = {
-            coder: 'qwen-coder',
-            fast: 'local-general',
-            best: 'qwen-coder-14b',
-            embedding: 'local-embedding'
-        };
-
-        const localModel = localModels[modelGroup];
+        const localModel = LOCAL_MODELS[modelGroup];
         const status = this.modelStatus.get(localModel);
 
-        if (status?.healthy) {
+        if (status?.healthy && this.getBreaker(localModel).canRequest()) {
             return localModel;
         }
 
         // Fallback to cloud
-        const cloudFallbacks = {
-            coder: 'gpt-4o',
-            fast: 'gpt-4o-mini',
-            best: 'claude-3.5-sonnet',
-            embedding: 'text-embedding-ada-002'
-        };
-
-        return cloudFallbacks[modelGroup];
+        return CLOUD_FALLBACKS[modelGroup];
     }
 
     /**
      * Select cheapest available model
      */
     selectCostOptimized(modelGroup) {
-        // Cost order: local (free) -> gaianet (cheap) -> cloud
-        const costOrder = {
-            coder: ['qwen-coder', 'gaianet-coder', 'gpt-4o-mini', 'gpt-4o'],
-            fast: ['local-general', 'gpt-4o-mini', 'claude-3-haiku'],
-            best: ['qwen-coder-14b', 'gpt-4o-mini', 'gpt-4o'],
-            embedding: ['local-embedding', 'text-embedding-ada-002']
-        };
-
-        const models = costOrder[modelGroup] || costOrder.coder;
+        // Static cost order, re-ranked by real prices where they are known
+        const models = this.costTracker.rankByCost(COST_ORDER[modelGroup] || COST_ORDER.coder);
 
         for (const model of models) {
-            const status = this.modelStatus.get(model);
-            if (!status || status.healthy) {
+            if (this.isModelAvailable(model)) {
                 return model;
             }
         }
@@ -238,19 +598,10 @@ export class AIGateway extends EventEmitter {
      * Select fastest available model
      */
     selectPerformance(modelGroup) {
-        // Performance order based on typical latency
-        const perfOrder = {
-            coder: ['gpt-4o-mini', 'qwen-coder', 'gpt-4o'],
-            fast: ['gpt-4o-mini', 'claude-3-haiku', 'local-general'],
-            best: ['gpt-4o', 'claude-3.5-sonnet'],
-            embedding: ['text-embedding-ada-002', 'local-embedding']
-        };
-
-        const models = perfOrder[modelGroup] || perfOrder.coder;
+        const models = PERF_ORDER[modelGroup] || PERF_ORDER.coder;
 
         for (const model of models) {
-            const status = this.modelStatus.get(model);
-            if (!status || status.healthy) {
+            if (this.isModelAvailable(model)) {
                 return model;
             }
         }
@@ -258,20 +609,88 @@ export class AIGateway extends EventEmitter {
         return models[0];
     }
 
+    /**
+     * Select the model that best meets the latency SLO from observed traffic
+     */
+    selectAdaptive(modelGroup) {
+        const models = this.rankAdaptive(modelGroup);
+        return models.find(model => this.isModelAvailable(model)) || models[0];
+    }
+
+    /**
+     * Rank a model group by observed latency and error rate.
+     *
+     * The local model leads while its p95 stays under localLatencyThreshold
+     * (or before it has enough samples), then models meeting the SLO by p95,
+     * then models without enough traffic in cost order, then models missing
+     * the SLO by penalised p95. A slow local model goes last.
+     */
+    rankAdaptive(modelGroup) {
+        const { latencySlo, maxErrorRate, localLatencyThreshold } = this.config.routing;
+        const localModel = LOCAL_MODELS[modelGroup] || LOCAL_MODELS.coder;
+        const candidates = [
+            ...(COST_ORDER[modelGroup] || COST_ORDER.coder),
+            ...(PERF_ORDER[modelGroup] || PERF_ORDER.coder)
+        ].filter((model, i, all) => model !== localModel && all.indexOf(model) === i);
+
+        const meeting = [];
+        const unknown = [];
+        const missing = [];
+
+        for (const model of candidates) {
+            const stats = this.latencyTracker.getStats(model);
+            if (!stats?.sufficient || stats.latency.p95 == null) {
+                unknown.push(model);
+            } else if (stats.latency.p95 <= latencySlo && stats.errorRate <= maxErrorRate) {
+                meeting.push({ model, p95: stats.latency.p95 });
+            } else {
+                missing.push({ model, score: (stats.latency.p95 ?? latencySlo) * (1 + 4 * stats.errorRate) });
+            }
+        }
+
+        const localStats = this.latencyTracker.getStats(localModel);
+        const localSlow = localStats?.sufficient && (
+            localStats.latency.p95 == null ||
+            localStats.latency.p95 > localLatencyThreshold ||
+            localStats.errorRate > maxErrorRate
+        );
+
+        const ranked = [
+            ...meeting.sort((a, b) => a.p95 - b.p95).map(entry => entry.model),
+            ...this.costTracker.rankByCost(unknown),
+            ...missing.sort((a, b) => a.score - b.score).map(entry => entry.model)
+        ];
+
+        return localSlow ? [...ranked, localModel] : [localModel, ...ranked];
+    }
+
+    /**
+     * Check health status and circuit breaker for a model
+     */
+    isModelAvailable(model) {
+        const status = this.modelStatus.get(model);
+        return (!status || status.healthy) && this.getBreaker(model).canRequest();
+    }
+
     /**
      * Execute HTTP request to LiteLLM
+     * @param {string} path - API path
+     * @param {Object} body - Request body
+     * @param {Object} options - { timeout } in ms, defaults to routing.timeout
      */
-    async executeRequest(path, body) {
+    async executeRequest(path, body, options = {}) {
         const response = await fetch(`${this.config.litellmUrl}${path}`, {
             method: 'POST',
             headers: this.getHeaders(),
             body: JSON.stringify(body),
-            signal: AbortSignal.timeout(this.config.routing.timeout)
+            signal: AbortSignal.timeout(options.timeout || this.config.routing.timeout)
         });
 
         if (!response.ok) {
-            const error = await response.json().catch(() => ({}));
-            throw new Error(error.error?.message || `Request failed: ${response.status}`);
+            const body = await response.json().catch(() => ({}));
+            const error = new Error(body.error?.message || `Request failed: ${response.status}`);
+            error.status = response.status;
+            throw error;
         }
 
         return response.json();
@@ -279,56 +698,277 @@ export class AIGateway extends EventEmitter {
 
     /**
      * Execute streaming request
+     *
+     * Falls back to the next model in the chain if a stream fails before its
+     * first token; once tokens have been yielded a failure is thrown to the
+     * caller. Usage is taken from the final chunk (requested through
+     * `stream_options.include_usage`) or estimated from the streamed text.
+     *
+     * @param {Object} request - Chat completion request
+     * @param {Object} options
+     * @param {AbortSignal} [options.signal] - Caller cancellation
+     * @param {Object} [options.context] - { apiKey, agentId } for spend tracking
+     * @param {number} [options.idleTimeout] - Max ms between chunks
+     * @param {number} [options.totalTimeout] - Max ms for the whole stream
+     * @yields {Object} Parsed completion chunks
      */
-    async *streamCompletion(request) {
-        const model = await this.selectModel(request);
+    async *streamCompletion(request, options = {}) {
+        const { signal, context = {} } = options;
+        const limits = {
+            idleTimeout: options.idleTimeout ?? this.config.routing.streamIdleTimeout,
+            totalTimeout: options.totalTimeout ?? this.config.routing.streamTimeout
+        };
+        const startTime = Date.now();
+        this.requestMetrics.total++;
 
-        const response = await fetch(`${this.config.litellmUrl}/v1/chat/completions`, {
-            method: 'POST',
-            headers: this.getHeaders(),
-            body: JSON.stringify({
-                ...request,
-                model,
-                stream: true
-            })
-        });
+        let models;
+        try {
+            signal?.throwIfAborted();
+            const strategy = this.enforceBudgets(context);
+            models = await this.getCandidateModels(request, strategy);
+        } catch (error) {
+            this.requestMetrics.failed++;
+            throw error;
+        }
 
-        if (!response.ok) {
-            throw new Error(`Stream request failed: ${response.status}`);
+        let lastError = null;
+        let lastModel = null;
+
+        for (const model of models) {
+            const breaker = this.getBreaker(model);
+            if (!breaker.acquire()) continue;
+
+            if (lastError) {
+                this.requestMetrics.failovers++;
+                this.emit('failover', { from: lastModel, to: model, error: lastError.message, stream: true });
+            }
+
+            const attemptStart = Date.now();
+            const state = { firstTokenAt: null, usage: null, text: '', parseErrors: 0, finished: false };
+            let settled = false;
+
+            try {
+                for await (const chunk of this.streamFromModel(model, request, state, { ...limits, signal })) {
+                    yield chunk;
+                }
+
+                settled = true;
+                breaker.recordSuccess();
+                this.finishStream(model, request, state, { startTime, attemptStart, context });
+                return;
+            } catch (error) {
+                settled = true;
+                const aborted = signal?.aborted;
+                const retryable = !aborted && this.isRetryableError(error);
+
+                if (retryable) {
+                    breaker.recordFailure(error);
+                    this.latencyTracker.recordFailure(model, Date.now() - attemptStart);
+                } else {
+                    // Aborted or rejected: neither counts for or against the model
+                    breaker.release();
+                }
+
+                this.emit('attempt', {
+                    model,
+                    attempt: 0,
+                    success: false,
+                    stream: true,
+                    duration: Date.now() - attemptStart,
+                    status: error.status,
+                    error: error.message,
+                    afterFirstToken: state.firstTokenAt !== null
+                });
+
+                // Nothing reached the caller yet - safe to try the next model
+                if (retryable && state.firstTokenAt === null) {
+                    lastError = error;
+                    lastModel = model;
+                    continue;
+                }
+
+                this.requestMetrics.failed++;
+                this.emit('stream-failed', { model, error, aborted, partial: state.firstTokenAt !== null });
+                throw error;
+            } finally {
+                // Consumer stopped iterating early - account for what was streamed
+                if (!settled) {
+                    breaker.recordSuccess();
+                    this.finishStream(model, request, state, { startTime, attemptStart, context, cancelled: true });
+                }
+            }
         }
 
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
+        this.requestMetrics.failed++;
+        const error = new Error(
+            lastError
+                ? `All models failed to stream (${models.join(', ')}): ${lastError.message}`
+                : `No available models (circuits open): ${models.join(', ')}`
+        );
+        error.status = lastError?.status || 503;
+        error.cause = lastError;
+        throw error;
+    }
+
+    /**
+     * Stream chunks from a single model with idle and total timeouts
+     */
+    async *streamFromModel(model, request, state, { signal, idleTimeout, totalTimeout }) {
+        const controller = new AbortController();
+        const abort = (reason) => {
+            if (!controller.signal.aborted) controller.abort(reason);
+        };
+        const timeoutError = (message) => {
+            const error = new Error(message);
+            error.name = 'TimeoutError';
+            error.status = 504;
+            return error;
+        };
+
+        const onCallerAbort = () => abort(signal.reason);
+        signal?.addEventListener('abort', onCallerAbort, { once: true });
+
+        const totalTimer = setTimeout(
+            () => abort(timeoutError(`Stream exceeded ${totalTimeout}ms total timeout (${model})`)),
+            totalTimeout
+        );
+        let idleTimer = null;
+        const resetIdle = () => {
+            clearTimeout(idleTimer);
+            idleTimer = setTimeout(
+                () => abort(timeoutError(`Stream idle for ${idleTimeout}ms (${model})`)),
+                idleTimeout
+            );
+        };
+
+        try {
+            resetIdle();
+            const response = await fetch(`${this.config.litellmUrl}/v1/chat/completions`, {
+                method: 'POST',
+                headers: this.getHeaders(),
+                body: JSON.stringify({
+                    ...request,
+                    model,
+                    stream: true,
+                    stream_options: { include_usage: true, ...request.stream_options }
+                }),
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                const body = await response.json().catch(() => ({}));
+                const error = new Error(body.error?.message || `Stream request failed: ${response.status}`);
+                error.status = response.status;
+                throw error;
+            }
 
-        while (true) {
-            const { done, value } = await reader.read();
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            const parser = new SSEParser();
+            const held = []; // chunks before the first token, released together
 
-            if (done) break;
+            const handle = function* (events) {
+                for (const event of events) {
+                    if (event.event === 'error') {
+                        const payload = safeJsonParse(event.data);
+                        const error = new Error(payload?.error?.message || payload?.message || event.data);
+                        error.status = Number.isInteger(payload?.error?.code) ? payload.error.code : 502;
+                        throw error;
+                    }
+                    if (event.event !== 'message') continue;
 
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
+                    if (event.data === '[DONE]') {
+                        state.finished = true;
+                        return;
+                    }
 
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6);
-                    if (data === '[DONE]') return;
+                    const chunk = safeJsonParse(event.data);
+                    if (chunk === undefined) {
+                        state.parseErrors++;
+                        continue;
+                    }
+                    if (chunk.error) {
+                        const error = new Error(chunk.error.message || 'Stream error');
+                        error.status = Number.isInteger(chunk.error.code) ? chunk.error.code : 502;
+                        throw error;
+                    }
 
-                    try {
-                        yield JSON.parse(data);
-                    } catch (e) {
-                        // Skip invalid JSON
+                    if (chunk.usage) state.usage = chunk.usage;
+
+                    const delta = chunk.choices?.[0]?.delta;
+                    if (delta?.content) state.text += delta.content;
+
+                    if (state.firstTokenAt === null) {
+                        held.push(chunk);
+                        if (delta?.content || delta?.tool_calls || chunk.choices?.[0]?.finish_reason) {
+                            state.firstTokenAt = Date.now();
+                            yield* held.splice(0);
+                        }
+                    } else {
+                        yield chunk;
                     }
                 }
+            };
+
+            while (!state.finished) {
+                const { done, value } = await reader.read();
+                if (done) {
+                    yield* handle(parser.feed(decoder.decode()));
+                    yield* handle(parser.end());
+                    break;
+                }
+
+                resetIdle();
+                yield* handle(parser.feed(decoder.decode(value, { stream: true })));
+            }
+
+            // Stream ended without a token (e.g. usage-only) - release what we held
+            yield* held.splice(0);
+
+            if (state.parseErrors > 0) {
+                this.emit('stream-parse-error', { model, count: state.parseErrors });
+            }
+
+            if (state.finished) {
+                reader.cancel().catch(() => { });
             }
+        } catch (error) {
+            // Surface the timeout/cancel reason rather than a generic AbortError
+            throw controller.signal.aborted && controller.signal.reason ? controller.signal.reason : error;
+        } finally {
+            clearTimeout(totalTimer);
+            clearTimeout(idleTimer);
+            signal?.removeEventListener('abort', onCallerAbort);
+            abort();
         }
     }
 
+    /**
+     * Record latency, usage and cost for a finished stream
+     */
+    finishStream(model, request, state, { startTime, attemptStart, context, cancelled = false }) {
+        const duration = Date.now() - startTime;
+        const ttft = state.firstTokenAt !== null ? state.firstTokenAt - attemptStart : null;
+        const usage = state.usage || estimateUsage(request, state.text);
+
+        this.latencyTracker.recordSuccess(model, Date.now() - attemptStart, ttft);
+        this.updateMetrics(model, duration, { usage }, context);
+
+        this.emit('completion', {
+            model,
+            duration,
+            ttft,
+            stream: true,
+            cancelled,
+            tokens: usage.total_tokens,
+            estimatedUsage: !state.usage
+        });
+    }
+
     /**
      * Update metrics
      */
-    updateMetrics(model, duration, response) {
+    updateMetrics(model, duration, response, context = {}) {
         const status = this.modelStatus.get(model);
 
         if (status?.tier === 'local') {
@@ -339,10 +979,13 @@ export class AIGateway extends EventEmitter {
 
         this.requestMetrics.totalLatency += duration;
 
-        // Estimate cost based on tokens
-        const tokens = response.usage?.total_tokens || 0;
-        const costPerToken = status?.tier === 'local' ? 0 : 0.00001;
-        this.requestMetrics.totalCost += tokens * costPerToken;
+        // Price prompt and completion tokens separately
+        const cost = this.costTracker.record(model, response.usage, context, { tier: status?.tier });
+        this.requestMetrics.totalCost += cost;
+        this.requestMetrics.promptTokens += response.usage?.prompt_tokens || 0;
+        this.requestMetrics.completionTokens += response.usage?.completion_tokens || 0;
+
+        return cost;
     }
 
     /**
@@ -360,7 +1003,14 @@ export class AIGateway extends EventEmitter {
             models: Array.from(this.modelStatus.entries()).map(([name, status]) => ({
                 name,
                 ...status
-            }))
+            })),
+            modelStats: this.latencyTracker.getAll(),
+            cache: this.semanticCache.getStats(),
+            spend: this.costTracker.getReport(),
+            prices: this.costTracker.getPrices(),
+            circuitBreakers: Object.fromEntries(
+                Array.from(this.breakers.entries()).map(([name, breaker]) => [name, breaker.getStatus()])
+            )
         };
     }
 
@@ -368,8 +1018,36 @@ export class AIGateway extends EventEmitter {
      * Shutdown
      */
     async shutdown() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+        }
         this.emit('shutdown');
     }
 }
 
+/**
+ * Parse JSON, returning undefined instead of throwing
+ */
+function safeJsonParse(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return undefined;
+    }
+}
+
+/**
+ * Rough usage estimate (~4 characters per token) when a stream sends none
+ */
+function estimateUsage(request, completionText) {
+    const promptChars = (request.messages || [])
+        .reduce((sum, message) => sum + JSON.stringify(message.content ?? '').length, 0);
+    const prompt_tokens = Math.ceil(promptChars / 4);
+    const completion_tokens = Math.ceil(completionText.length / 4);
+
+    return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+export { BudgetExceededError };
+
 export default AIGateway;
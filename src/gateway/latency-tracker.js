@@ -0,0 +1,130 @@
+/**
+ * =============================================================================
+ * Latency Tracker
+ * Rolling per-model latency, time-to-first-token and error statistics
+ * =============================================================================
+ */
+
+/**
+ * LatencyTracker - Keeps a bounded window of recent samples per model
+ *
+ * Each model keeps the last `windowSize` outcomes no older than `maxAge` ms.
+ * Percentiles are computed on demand from the window, so stale traffic ages
+ * out and a model that recovers is picked up again.
+ */
+export class LatencyTracker {
+    constructor(config = {}) {
+        this.config = {
+            windowSize: 200,
+            maxAge: 600000, // 10 minutes
+            minSamples: 5,
+            ...config
+        };
+
+        this.samples = new Map(); // model -> [{ at, latency, ttft, ok }]
+    }
+
+    /**
+     * Record a successful request
+     * @param {string} model - Model name
+     * @param {number} latency - Total duration in ms
+     * @param {number} [ttft] - Time to first token in ms (streaming only)
+     */
+    recordSuccess(model, latency, ttft = null) {
+        this.push(model, { at: Date.now(), latency, ttft, ok: true });
+    }
+
+    /**
+     * Record a failed request
+     */
+    recordFailure(model, latency = null) {
+        this.push(model, { at: Date.now(), latency, ttft: null, ok: false });
+    }
+
+    /**
+     * Append a sample, trimming the window
+     */
+    push(model, sample) {
+        let window = this.samples.get(model);
+        if (!window) {
+            window = [];
+            this.samples.set(model, window);
+        }
+
+        window.push(sample);
+        if (window.length > this.config.windowSize) {
+            window.splice(0, window.length - this.config.windowSize);
+        }
+    }
+
+    /**
+     * Get rolling statistics for a model
+     * @returns {Object|null} Stats, or null when the model has no recent traffic
+     */
+    getStats(model) {
+        const window = this.samples.get(model);
+        if (!window) return null;
+
+        const cutoff = Date.now() - this.config.maxAge;
+        const recent = window.filter(sample => sample.at >= cutoff);
+        if (recent.length === 0) return null;
+
+        const latencies = recent.filter(s => s.ok).map(s => s.latency).sort((a, b) => a - b);
+        const ttfts = recent.filter(s => s.ok && s.ttft != null).map(s => s.ttft).sort((a, b) => a - b);
+        const errors = recent.filter(s => !s.ok).length;
+
+        return {
+            samples: recent.length,
+            sufficient: recent.length >= this.config.minSamples,
+            errorRate: errors / recent.length,
+            latency: {
+                p50: percentile(latencies, 50),
+                p95: percentile(latencies, 95),
+                p99: percentile(latencies, 99),
+                mean: latencies.length > 0
+                    ? latencies.reduce((sum, value) => sum + value, 0) / latencies.length
+                    : null
+            },
+            ttft: {
+                p50: percentile(ttfts, 50),
+                p95: percentile(ttfts, 95)
+            }
+        };
+    }
+
+    /**
+     * Get statistics for every model with recent traffic
+     */
+    getAll() {
+        const stats = {};
+        for (const model of this.samples.keys()) {
+            const modelStats = this.getStats(model);
+            if (modelStats) {
+                stats[model] = modelStats;
+            }
+        }
+        return stats;
+    }
+
+    /**
+     * Forget samples for one model, or all models
+     */
+    reset(model = null) {
+        if (model) {
+            this.samples.delete(model);
+        } else {
+            this.samples.clear();
+        }
+    }
+}
+
+/**
+ * Nearest-rank percentile of a sorted array
+ */
+function percentile(sorted, p) {
+    if (sorted.length === 0) return null;
+    const rank = Math.ceil((p / 100) * sorted.length);
+    return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+}
+
+export default LatencyTracker;
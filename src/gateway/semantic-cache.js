@@ -0,0 +1,376 @@
+/**
+ * =============================================================================
+ * Semantic Cache
+ * Embedding-based response cache for near-duplicate prompts
+ * =============================================================================
+ */
+
+import crypto from 'crypto';
+
+/**
+ * SemanticCache - Returns stored completions for semantically similar prompts
+ *
+ * Entries are partitioned by everything that changes the answer besides the
+ * prompt text (model group, temperature, tools, response format), so a hit is
+ * only ever served from the same partition. Vectors live in memory by default;
+ * pass a `store` with the RuVectorIntegration interface (add/search/delete/entries)
+ * to keep them in a shared vector index instead. With a store, invalidation and
+ * eviction also cover entries written by other gateway processes.
+ */
+export class SemanticCache {
+    /**
+     * @param {Object} config - semantic_cache config block
+     * @param {Object} deps
+     * @param {Function} deps.embed - async (text) => number[]
+     * @param {Object} [deps.store] - Optional vector store (add/search/delete/entries)
+     */
+    constructor(config = {}, { embed, store = null } = {}) {
+        this.config = {
+            enabled: true,
+            similarity_threshold: 0.95,
+            ttl: 3600, // seconds
+            maxEntries: 5000,
+            storeSweepInterval: 60, // seconds between evictions over the shared store
+            ...config
+        };
+
+        this.embed = embed;
+        this.store = store;
+        this.entries = new Map(); // id -> entry (vector only kept for in-memory search)
+        this.exact = new Map(); // partition:promptHash -> id
+        this.stats = { hits: 0, misses: 0, exactHits: 0, stores: 0, evictions: 0 };
+        this.lastStoreSweep = 0;
+    }
+
+    /**
+     * Check whether a request can be served from / stored in the cache
+     */
+    isCacheable(request) {
+        if (!this.config.enabled || request.stream || request.cache === false) {
+            return false;
+        }
+        // Sampling several choices means the caller wants variety
+        return !request.n || request.n === 1;
+    }
+
+    /**
+     * Build the partition key for a request
+     */
+    partitionKey(request) {
+        return hash({
+            group: request.model || 'coder',
+            temperature: request.temperature ?? null,
+            top_p: request.top_p ?? null,
+            tools: request.tools || null,
+            tool_choice: request.tool_choice || null,
+            response_format: request.response_format || null
+        });
+    }
+
+    /**
+     * Flatten messages into the text that gets embedded
+     */
+    promptText(request) {
+        return (request.messages || [])
+            .map(message => {
+                const content = typeof message.content === 'string'
+                    ? message.content
+                    : JSON.stringify(message.content);
+                return `${message.role}: ${content}`;
+            })
+            .join('\n');
+    }
+
+    /**
+     * Look up a cached response
+     * @returns {Promise<Object>} Probe with `hit` (entry or null) to pass to set()
+     */
+    async lookup(request) {
+        const partition = this.partitionKey(request);
+        const text = this.promptText(request);
+        const exactKey = `${partition}:${hash(text)}`;
+        const probe = { partition, text, exactKey, vector: null, hit: null };
+
+        // Exact repeat - no embedding call needed
+        const exactId = this.exact.get(exactKey);
+        const exactEntry = exactId && this.entries.get(exactId);
+        if (exactEntry && !this.isExpired(exactEntry.createdAt)) {
+            this.stats.hits++;
+            this.stats.exactHits++;
+            exactEntry.hits++;
+            probe.hit = { id: exactId, similarity: 1, response: exactEntry.response };
+            return probe;
+        }
+
+        probe.vector = await this.embed(text);
+        probe.hit = this.store
+            ? await this.searchStore(probe)
+            : this.searchMemory(probe);
+
+        if (probe.hit) {
+            this.stats.hits++;
+        } else {
+            this.stats.misses++;
+        }
+
+        return probe;
+    }
+
+    /**
+     * Search the in-memory entries of a partition
+     */
+    searchMemory(probe) {
+        let best = null;
+
+        for (const [id, entry] of this.entries) {
+            if (entry.partition !== probe.partition) continue;
+
+            if (this.isExpired(entry.createdAt)) {
+                this.remove(id);
+                continue;
+            }
+
+            const similarity = cosineSimilarity(probe.vector, entry.vector);
+            if (similarity >= this.config.similarity_threshold && (!best || similarity > best.similarity)) {
+                best = { id, similarity, entry };
+            }
+        }
+
+        if (!best) return null;
+
+        best.entry.hits++;
+        return { id: best.id, similarity: best.similarity, response: best.entry.response };
+    }
+
+    /**
+     * Search the external vector store
+     */
+    async searchStore(probe) {
+        const results = await this.store.search(probe.vector, {
+            k: 1,
+            threshold: this.config.similarity_threshold,
+            filter: { type: 'semantic-cache', partition: probe.partition }
+        });
+
+        const match = results[0];
+        if (!match) return null;
+
+        if (this.isExpired(match.metadata.cachedAt)) {
+            await this.remove(match.id);
+            return null;
+        }
+
+        return {
+            id: match.id,
+            similarity: match.score,
+            response: JSON.parse(match.metadata.response)
+        };
+    }
+
+    /**
+     * Store a response for a probe returned by lookup()
+     * @param {Object} probe - Result of lookup()
+     * @param {Object} response - Completion response
+     * @param {Object} info - Extra metadata (model that answered)
+     */
+    async set(probe, response, info = {}) {
+        if (!probe.vector) {
+            probe.vector = await this.embed(probe.text);
+        }
+
+        const id = `cache-${crypto.randomUUID()}`;
+        const createdAt = new Date().toISOString();
+
+        if (this.store) {
+            await this.store.add(id, probe.vector, {
+                type: 'semantic-cache',
+                partition: probe.partition,
+                model: info.model || null,
+                cachedAt: createdAt,
+                response: JSON.stringify(response)
+            });
+        }
+
+        this.entries.set(id, {
+            partition: probe.partition,
+            exactKey: probe.exactKey,
+            model: info.model || null,
+            vector: this.store ? null : probe.vector,
+            response,
+            createdAt,
+            hits: 0
+        });
+        this.exact.set(probe.exactKey, id);
+        this.stats.stores++;
+
+        await this.evict();
+        return id;
+    }
+
+    /**
+     * Invalidate entries matching a filter
+     * @param {Object} filter
+     * @param {string} [filter.id] - Single entry
+     * @param {string} [filter.model] - Entries answered by this model
+     * @param {Object} [filter.request] - Entries in the same partition as this request
+     * @param {string|Date} [filter.olderThan] - Entries cached before this time
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async invalidate(filter = {}) {
+        const partition = filter.request ? this.partitionKey(filter.request) : null;
+        const olderThan = filter.olderThan ? new Date(filter.olderThan).getTime() : null;
+        const removed = new Set();
+
+        for (const [id, entry] of Array.from(this.entries)) {
+            if (filter.id && id !== filter.id) continue;
+            if (filter.model && entry.model !== filter.model) continue;
+            if (partition && entry.partition !== partition) continue;
+            if (olderThan && new Date(entry.createdAt).getTime() >= olderThan) continue;
+
+            await this.remove(id);
+            removed.add(id);
+        }
+
+        if (this.store) {
+            const storeFilter = { type: 'semantic-cache' };
+            if (filter.model) storeFilter.model = filter.model;
+            if (partition) storeFilter.partition = partition;
+            if (olderThan) storeFilter.cachedAt = { $lt: new Date(olderThan).toISOString() };
+
+            for (const id of await this.storeIds(storeFilter)) {
+                if (removed.has(id) || (filter.id && id !== filter.id)) continue;
+                await this.remove(id);
+                removed.add(id);
+            }
+        }
+
+        return removed.size;
+    }
+
+    /**
+     * Remove every entry
+     */
+    async clear() {
+        const removed = new Set(this.entries.keys());
+        for (const id of removed) {
+            await this.remove(id);
+        }
+
+        if (this.store) {
+            for (const id of await this.storeIds({ type: 'semantic-cache' })) {
+                if (removed.has(id)) continue;
+                await this.remove(id);
+                removed.add(id);
+            }
+        }
+
+        this.exact.clear();
+        return removed.size;
+    }
+
+    /**
+     * Remove a single entry from memory and the store
+     */
+    async remove(id) {
+        const entry = this.entries.get(id);
+        if (entry && this.exact.get(entry.exactKey) === id) {
+            this.exact.delete(entry.exactKey);
+        }
+        this.entries.delete(id);
+
+        if (this.store) {
+            await this.store.delete(id);
+        }
+    }
+
+    /**
+     * Drop the oldest entries above maxEntries. With a store, expired and
+     * excess entries of every process are swept at most once per
+     * storeSweepInterval.
+     */
+    async evict() {
+        while (this.entries.size > this.config.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            await this.remove(oldest);
+            this.stats.evictions++;
+        }
+
+        if (!this.store || Date.now() - this.lastStoreSweep < this.config.storeSweepInterval * 1000) {
+            return;
+        }
+        this.lastStoreSweep = Date.now();
+
+        const cached = [];
+        for await (const { id, metadata } of this.store.entries({ filter: { type: 'semantic-cache' } })) {
+            cached.push({ id, cachedAt: metadata.cachedAt });
+        }
+        // ISO timestamps sort chronologically
+        cached.sort((a, b) => (a.cachedAt < b.cachedAt ? -1 : a.cachedAt > b.cachedAt ? 1 : 0));
+
+        const excess = cached.length - this.config.maxEntries;
+        for (let i = 0; i < cached.length; i++) {
+            if (i >= excess && !this.isExpired(cached[i].cachedAt)) break;
+            await this.remove(cached[i].id);
+            this.stats.evictions++;
+        }
+    }
+
+    /**
+     * IDs of the store entries matching a metadata filter
+     */
+    async storeIds(filter) {
+        const ids = [];
+        for await (const { id } of this.store.entries({ filter })) {
+            ids.push(id);
+        }
+        return ids;
+    }
+
+    /**
+     * Check an entry timestamp against the TTL
+     */
+    isExpired(createdAt) {
+        if (!this.config.ttl) return false;
+        return Date.now() - new Date(createdAt).getTime() > this.config.ttl * 1000;
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        const lookups = this.stats.hits + this.stats.misses;
+        return {
+            ...this.stats,
+            entries: this.entries.size,
+            hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+            backend: this.store ? 'store' : 'memory'
+        };
+    }
+}
+
+/**
+ * Stable hash of a value
+ */
+function hash(value) {
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return crypto.createHash('sha256').update(text).digest('hex').slice(0, 32);
+}
+
+/**
+ * Calculate cosine similarity
+ */
+function cosineSimilarity(a, b) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dotProduct += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+export default SemanticCache;
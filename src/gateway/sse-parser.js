@@ -0,0 +1,146 @@
+/**
+ * =============================================================================
+ * SSE Parser
+ * Incremental Server-Sent Events parser following the WHATWG event-stream spec
+ * =============================================================================
+ */
+
+/**
+ * SSEParser - Turns a text stream into dispatched events
+ *
+ * Handles CRLF/CR/LF line endings, comment lines, `event:`, `id:` and
+ * `retry:` fields, and multi-line `data:` fields (joined with "\n").
+ * An event is dispatched on a blank line. As the spec requires, an event
+ * still unterminated when the stream ends is discarded (see end()): it may
+ * have been cut off.
+ */
+export class SSEParser {
+    constructor() {
+        this.buffer = '';
+        this.pendingCR = false;
+        this.lastEventId = '';
+        this.retry = null;
+        this.resetEvent();
+    }
+
+    /**
+     * Clear the event being assembled
+     */
+    resetEvent() {
+        this.eventType = '';
+        this.dataLines = [];
+        this.hasData = false;
+    }
+
+    /**
+     * Feed decoded text
+     * @param {string} text - Next piece of the stream
+     * @returns {Object[]} Events completed by this piece ({ event, data, id })
+     */
+    feed(text) {
+        const events = [];
+        let input = text;
+
+        // A CR at the end of the previous piece may be the first half of CRLF
+        if (this.pendingCR) {
+            this.pendingCR = false;
+            if (input.startsWith('\n')) input = input.slice(1);
+        }
+
+        this.buffer += input;
+
+        let start = 0;
+        for (let i = 0; i < this.buffer.length; i++) {
+            const char = this.buffer[i];
+            if (char !== '\n' && char !== '\r') continue;
+
+            const line = this.buffer.slice(start, i);
+            if (char === '\r') {
+                if (i + 1 === this.buffer.length) {
+                    this.pendingCR = true;
+                } else if (this.buffer[i + 1] === '\n') {
+                    i++;
+                }
+            }
+            start = i + 1;
+
+            const event = this.processLine(line);
+            if (event) events.push(event);
+        }
+
+        this.buffer = this.buffer.slice(start);
+        return events;
+    }
+
+    /**
+     * End of stream: discard any incomplete line and unterminated event
+     * @returns {Object[]} Always empty; kept symmetrical with feed()
+     */
+    end() {
+        this.buffer = '';
+        this.pendingCR = false;
+        this.resetEvent();
+        return [];
+    }
+
+    /**
+     * Process one line; returns an event when the line is blank
+     */
+    processLine(line) {
+        if (line === '') {
+            return this.dispatch();
+        }
+
+        // Comment line
+        if (line.startsWith(':')) {
+            return null;
+        }
+
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        let value = colon === -1 ? '' : line.slice(colon + 1);
+        if (value.startsWith(' ')) value = value.slice(1);
+
+        switch (field) {
+            case 'event':
+                this.eventType = value;
+                break;
+            case 'data':
+                this.dataLines.push(value);
+                this.hasData = true;
+                break;
+            case 'id':
+                if (!value.includes('\0')) this.lastEventId = value;
+                break;
+            case 'retry':
+                if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+                break;
+            default:
+                // Unknown fields are ignored per spec
+                break;
+        }
+
+        return null;
+    }
+
+    /**
+     * Build the pending event, if any
+     */
+    dispatch() {
+        if (!this.hasData) {
+            this.resetEvent();
+            return null;
+        }
+
+        const event = {
+            event: this.eventType || 'message',
+            data: this.dataLines.join('\n'),
+            id: this.lastEventId
+        };
+
+        this.resetEvent();
+        return event;
+    }
+}
+
+export default SSEParser;
@@ -29,6 +29,9 @@ class EdgeNativeAI {
         this.gateway = null;
         this.a2a = null;
         this.sandbox = null;
+
+        // Keys accepted on the /v1 routes; null leaves them open
+        this.apiKeys = parseApiKeys(process.env.GATEWAY_API_KEYS);
     }
 
     /**
@@ -60,6 +63,10 @@ class EdgeNativeAI {
                 masterKey: process.env.LITELLM_MASTER_KEY,
                 routing: { strategy: 'local-first' }
             });
+            // Failures are returned to callers; without a listener 'error' would throw
+            this.gateway.on('error', ({ error }) => {
+                console.warn('   ⚠ Gateway request failed:', error.message);
+            });
             await this.gateway.initialize();
             console.log('   ✓ AI Gateway initialized\n');
         } catch (error) {
@@ -115,9 +122,14 @@ class EdgeNativeAI {
             console.warn('   ⚠ Sandbox not available:', error.message, '\n');
         }
 
+        // Expose sandbox and A2A to agents as tools
+        if (this.orchestrator) {
+            this.registerAgentTools();
+        }
+
         // Setup Express middleware
         this.app.use(cors());
-        this.app.use(express.json());
+        this.app.use(express.json({ limit: '10mb' }));
 
         // Setup routes
         this.setupRoutes();
@@ -125,6 +137,46 @@ class EdgeNativeAI {
         console.log('✅ Edge-Native AI Platform initialized successfully!\n');
     }
 
+    /**
+     * Register platform tools for the agent tool loop
+     */
+    registerAgentTools() {
+        const agenticFlow = this.orchestrator.agenticFlow;
+
+        if (this.sandbox) {
+            agenticFlow.registerTool('execute_code', {
+                description: 'Execute code in an isolated sandbox and return stdout, stderr and exit code.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        code: { type: 'string', description: 'Source code to run' },
+                        language: { type: 'string', enum: ['python', 'javascript', 'typescript'], default: 'python' }
+                    },
+                    required: ['code']
+                },
+                handler: async ({ code, language = 'python' }) => this.sandbox.executeCode(code, { language })
+            });
+        }
+
+        if (this.a2a) {
+            agenticFlow.registerTool('a2a_send_task', {
+                description: 'Delegate a task to another agent over the A2A protocol.',
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        agentUrl: { type: 'string', description: 'Base URL of the target agent' },
+                        input: { type: 'string', description: 'Task description for the agent' }
+                    },
+                    required: ['agentUrl', 'input']
+                },
+                handler: async ({ agentUrl, input }) => {
+                    const { taskId, response } = await this.a2a.sendTask(agentUrl, { input });
+                    return { taskId, result: response.result ?? response };
+                }
+            });
+        }
+    }
+
     /**
      * Setup Express routes
      */
@@ -182,6 +234,9 @@ class EdgeNativeAI {
             }
         });
 
+        // OpenAI-compatible API
+        this.setupOpenAIRoutes();
+
         // Execute code endpoint
         this.app.post('/api/execute', async (req, res) => {
             try {
@@ -222,6 +277,45 @@ class EdgeNativeAI {
             }
         });
 
+        // Workflow approval gates
+        this.app.get('/api/approvals', async (req, res) => {
+            if (this.orchestrator) {
+                const approvals = await this.orchestrator.listPendingApprovals();
+                res.json({ approvals, total: approvals.length });
+            } else {
+                res.json({ approvals: [], total: 0 });
+            }
+        });
+
+        // Approve or reject a pending phase: { decision: 'approve' | 'reject', comment, approver }
+        this.app.post('/api/approvals/:workflowId/:phase', async (req, res) => {
+            try {
+                if (!this.orchestrator) {
+                    return res.status(503).json({ error: 'Orchestrator not available' });
+                }
+
+                const { decision, comment, approver } = req.body || {};
+                if (decision !== 'approve' && decision !== 'reject') {
+                    return res.status(400).json({ error: 'decision must be "approve" or "reject"' });
+                }
+
+                const { workflowId, phase } = req.params;
+                const options = { comment, approver: approver || req.get('x-user-id') };
+                const workflow = decision === 'approve'
+                    ? await this.orchestrator.approvePhase(workflowId, phase, options)
+                    : await this.orchestrator.rejectPhase(workflowId, phase, options);
+
+                res.json({
+                    workflowId,
+                    phase,
+                    decision: workflow.phases.find(p => p.name === phase).decision,
+                    status: workflow.status
+                });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
         // Gateway metrics
         this.app.get('/api/metrics', (req, res) => {
             if (this.gateway) {
@@ -244,13 +338,142 @@ class EdgeNativeAI {
                     chat: '/api/chat',
                     execute: '/api/execute',
                     agents: '/api/agents',
-                    metrics: '/api/metrics'
+                    approvals: '/api/approvals',
+                    metrics: '/api/metrics',
+                    openai: {
+                        chatCompletions: '/v1/chat/completions',
+                        embeddings: '/v1/embeddings',
+                        models: '/v1/models'
+                    }
                 },
                 documentation: 'https://github.com/edge-native-ai/agentic-local'
             });
         });
     }
 
+    /**
+     * Setup OpenAI-compatible routes backed by the AI Gateway.
+     * Model aliases (coder, fast, best) go through gateway routing.
+     *
+     * Spend is tracked and budgeted per Bearer key. Keys are checked against
+     * GATEWAY_API_KEYS; without it any token is accepted, so per-key budgets
+     * are advisory only (a caller can switch tokens to avoid them).
+     */
+    setupOpenAIRoutes() {
+        if (this.apiKeys) {
+            this.app.use('/v1', (req, res, next) => {
+                const apiKey = getBearerToken(req);
+                if (!apiKey || !this.apiKeys.has(apiKey)) {
+                    return sendOpenAIError(res, 401, 'Invalid API key', 'invalid_api_key');
+                }
+                next();
+            });
+        } else {
+            console.warn('   ⚠ GATEWAY_API_KEYS not set: /v1 routes accept any key; per-key budgets are advisory\n');
+        }
+
+        // Chat completions (JSON or SSE stream)
+        this.app.post('/v1/chat/completions', async (req, res) => {
+            if (!this.gateway) {
+                return sendOpenAIError(res, 503, 'Gateway not available', 'service_unavailable');
+            }
+
+            const request = req.body || {};
+            if (!Array.isArray(request.messages) || request.messages.length === 0) {
+                return sendOpenAIError(res, 400, "'messages' must be a non-empty array", 'invalid_request_error');
+            }
+
+            const context = { apiKey: getBearerToken(req), agentId: req.get('x-agent-id') };
+
+            if (!request.stream) {
+                try {
+                    const response = await this.gateway.chatCompletion(request, context);
+                    return res.json(response);
+                } catch (error) {
+                    return sendOpenAIError(res, error.status || 500, error.message, error.code);
+                }
+            }
+
+            // Stop generating when the client goes away
+            const controller = new AbortController();
+            res.on('close', () => {
+                if (!res.writableEnded) controller.abort();
+            });
+
+            try {
+                const stream = this.gateway.streamCompletion(request, { signal: controller.signal, context });
+
+                for await (const chunk of stream) {
+                    if (!res.headersSent) {
+                        res.writeHead(200, {
+                            'Content-Type': 'text/event-stream',
+                            'Cache-Control': 'no-cache',
+                            'Connection': 'keep-alive',
+                            'X-Accel-Buffering': 'no'
+                        });
+                    }
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                }
+
+                if (!res.headersSent) {
+                    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+                }
+                res.end('data: [DONE]\n\n');
+            } catch (error) {
+                if (controller.signal.aborted) return;
+
+                if (!res.headersSent) {
+                    return sendOpenAIError(res, error.status || 500, error.message, error.code);
+                }
+                res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'server_error', code: error.code || null } })}\n\n`);
+                res.end();
+            }
+        });
+
+        // Embeddings
+        this.app.post('/v1/embeddings', async (req, res) => {
+            if (!this.gateway) {
+                return sendOpenAIError(res, 503, 'Gateway not available', 'service_unavailable');
+            }
+
+            if (req.body?.input === undefined) {
+                return sendOpenAIError(res, 400, "'input' is required", 'invalid_request_error');
+            }
+
+            try {
+                res.json(await this.gateway.createEmbedding(req.body));
+            } catch (error) {
+                sendOpenAIError(res, error.status || 500, error.message, error.code);
+            }
+        });
+
+        // Models: routing aliases plus every model the gateway has seen
+        this.app.get('/v1/models', (req, res) => {
+            if (!this.gateway) {
+                return sendOpenAIError(res, 503, 'Gateway not available', 'service_unavailable');
+            }
+
+            const created = Math.floor(Date.now() / 1000);
+            const aliases = ['coder', 'fast', 'best'].map(id => ({
+                id,
+                object: 'model',
+                created,
+                owned_by: 'edge-native-ai',
+                routing: this.gateway.config.routing.strategy
+            }));
+            const models = Array.from(this.gateway.modelStatus.entries()).map(([id, status]) => ({
+                id,
+                object: 'model',
+                created,
+                owned_by: status.tier === 'local' ? 'edge-native-ai' : 'litellm',
+                tier: status.tier,
+                healthy: status.healthy
+            }));
+
+            res.json({ object: 'list', data: [...aliases, ...models] });
+        });
+    }
+
     /**
      * Start the server
      */
@@ -293,6 +516,36 @@ class EdgeNativeAI {
     }
 }
 
+/**
+ * Parse a comma-separated key list; null when none are given
+ */
+function parseApiKeys(value) {
+    const keys = (value || '').split(',').map(key => key.trim()).filter(Boolean);
+    return keys.length > 0 ? new Set(keys) : null;
+}
+
+/**
+ * Extract the bearer token from an Authorization header
+ */
+function getBearerToken(req) {
+    const header = req.get('authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7).trim() || undefined : undefined;
+}
+
+/**
+ * Send an error in the OpenAI response format
+ */
+function sendOpenAIError(res, status, message, code = null) {
+    const type = status === 429 ? 'rate_limit_error'
+        : status === 401 ? 'authentication_error'
+            : status >= 500 ? 'server_error'
+                : 'invalid_request_error';
+
+    res.status(status).json({
+        error: { message, type, param: null, code: code || null }
+    });
+}
+
 // Create and start application
 const app = new EdgeNativeAI();
 
@@ -9,6 +9,7 @@ import EventEmitter from 'events';
 import Database from 'better-sqlite3';
 import Redis from 'ioredis';
 import crypto from 'crypto';
+import { matchesFilter, filterToSqlite } from './metadata-filter.js';
 
 /**
  * AgentDBIntegration - Manages distributed agent state
@@ -137,6 +138,56 @@ export class AgentDBIntegration extends EventEmitter {
                 FOREIGN KEY (agent_id) REFERENCES agents(id) ON DELETE SET NULL
             );
 
+            -- Workflow state, persisted after every phase
+            CREATE TABLE IF NOT EXISTS workflows (
+                id TEXT PRIMARY KEY,
+                template TEXT NOT NULL,
+                status TEXT DEFAULT 'created',
+                current_phase INTEGER DEFAULT 0,
+                state TEXT NOT NULL,
+                created_at TEXT DEFAULT (datetime('now')),
+                updated_at TEXT DEFAULT (datetime('now'))
+            );
+
+            -- Ingested documents and their chunks, for incremental re-ingestion
+            CREATE TABLE IF NOT EXISTS documents (
+                source TEXT PRIMARY KEY,
+                format TEXT NOT NULL,
+                hash TEXT NOT NULL,
+                size INTEGER DEFAULT 0,
+                ingested_at TEXT DEFAULT (datetime('now'))
+            );
+
+            CREATE TABLE IF NOT EXISTS document_chunks (
+                id TEXT PRIMARY KEY,
+                source TEXT NOT NULL,
+                chunk_index INTEGER NOT NULL,
+                hash TEXT NOT NULL,
+                start_offset INTEGER NOT NULL,
+                end_offset INTEGER NOT NULL,
+                FOREIGN KEY (source) REFERENCES documents(source) ON DELETE CASCADE
+            );
+
+            -- Full-text index over retrievable content, ranked with BM25.
+            -- Documents are keyed by (collection, id); their text is in
+            -- text_content under the same rowid.
+            CREATE TABLE IF NOT EXISTS text_documents (
+                text_id INTEGER PRIMARY KEY,
+                collection TEXT NOT NULL,
+                id TEXT NOT NULL,
+                metadata TEXT NOT NULL DEFAULT '{}',
+                UNIQUE (collection, id)
+            );
+
+            CREATE VIRTUAL TABLE IF NOT EXISTS text_content USING fts5(
+                content,
+                tokenize = 'porter unicode61'
+            );
+
+            -- Replaced by text_documents and text_content; the orchestrator
+            -- refills an empty index from RuVector
+            DROP TABLE IF EXISTS text_index;
+
             -- Sync log for distributed coordination
             CREATE TABLE IF NOT EXISTS sync_log (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -154,6 +205,8 @@ export class AgentDBIntegration extends EventEmitter {
             CREATE INDEX IF NOT EXISTS idx_conversations_agent ON conversations(agent_id);
             CREATE INDEX IF NOT EXISTS idx_tasks_agent ON tasks(agent_id);
             CREATE INDEX IF NOT EXISTS idx_tasks_status ON tasks(status);
+            CREATE INDEX IF NOT EXISTS idx_workflows_status ON workflows(status);
+            CREATE INDEX IF NOT EXISTS idx_document_chunks_source ON document_chunks(source);
             CREATE INDEX IF NOT EXISTS idx_sync_log_synced ON sync_log(synced);
         `);
 
@@ -479,7 +532,9 @@ export class AgentDBIntegration extends EventEmitter {
     }
 
     /**
-     * Get agent memories
+     * Get agent memories, newest first. With `afterId` they are returned
+     * oldest first from that ID on, for paging through all of them.
+     * @param {Object} options - { type, limit, afterId }
      */
     getMemories(agentId, options = {}) {
         let sql = 'SELECT * FROM agent_memory WHERE agent_id = ?';
@@ -490,7 +545,12 @@ export class AgentDBIntegration extends EventEmitter {
             params.push(options.type);
         }
 
-        sql += ' ORDER BY created_at DESC';
+        if (options.afterId !== undefined) {
+            sql += ' AND id > ? ORDER BY id ASC';
+            params.push(options.afterId);
+        } else {
+            sql += ' ORDER BY created_at DESC';
+        }
 
         if (options.limit) {
             sql += ' LIMIT ?';
@@ -498,12 +558,74 @@ export class AgentDBIntegration extends EventEmitter {
         }
 
         const stmt = this.db.prepare(sql);
-        return stmt.all(...params).map(row => ({
+        return stmt.all(...params).map(row => this.parseMemoryRow(row));
+    }
+
+    /**
+     * Get a single memory by ID
+     */
+    getMemory(id) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM agent_memory WHERE id = ?
+        `);
+
+        const row = stmt.get(id);
+        return row ? this.parseMemoryRow(row) : null;
+    }
+
+    /**
+     * Update a memory's content, embedding or metadata (metadata is replaced)
+     */
+    updateMemory(id, updates) {
+        const fields = [];
+        const params = [];
+
+        if (updates.content !== undefined) {
+            fields.push('content = ?');
+            params.push(JSON.stringify(updates.content));
+        }
+
+        if (updates.embedding !== undefined) {
+            fields.push('embedding = ?');
+            params.push(updates.embedding ? Buffer.from(new Float32Array(updates.embedding).buffer) : null);
+        }
+
+        if (updates.metadata !== undefined) {
+            fields.push('metadata = ?');
+            params.push(JSON.stringify(updates.metadata || {}));
+        }
+
+        if (fields.length === 0) return;
+
+        const stmt = this.db.prepare(`
+            UPDATE agent_memory SET ${fields.join(', ')} WHERE id = ?
+        `);
+
+        stmt.run(...params, id);
+        this.emit('memory-updated', { memoryId: id });
+    }
+
+    /**
+     * Delete a memory
+     */
+    deleteMemory(id) {
+        const stmt = this.db.prepare(`
+            DELETE FROM agent_memory WHERE id = ?
+        `);
+
+        stmt.run(id);
+        this.emit('memory-deleted', { memoryId: id });
+    }
+
+    parseMemoryRow(row) {
+        return {
             ...row,
             content: JSON.parse(row.content),
-            embedding: row.embedding ? Array.from(new Float32Array(row.embedding.buffer)) : null,
+            embedding: row.embedding
+                ? Array.from(new Float32Array(new Uint8Array(row.embedding).buffer)) // copy: BLOBs are not 4-byte aligned
+                : null,
             metadata: JSON.parse(row.metadata)
-        }));
+        };
     }
 
     // =========================================================================
@@ -639,6 +761,288 @@ export class AgentDBIntegration extends EventEmitter {
         };
     }
 
+    // =========================================================================
+    // WORKFLOW OPERATIONS
+    // =========================================================================
+
+    /**
+     * Save (insert or replace) workflow state
+     */
+    saveWorkflow(workflow) {
+        const stmt = this.db.prepare(`
+            INSERT INTO workflows (id, template, status, current_phase, state, created_at)
+            VALUES (?, ?, ?, ?, ?, COALESCE(?, datetime('now')))
+            ON CONFLICT(id) DO UPDATE SET
+                status = excluded.status,
+                current_phase = excluded.current_phase,
+                state = excluded.state,
+                updated_at = datetime('now')
+        `);
+
+        stmt.run(
+            workflow.id,
+            workflow.template,
+            workflow.status,
+            workflow.currentPhase || 0,
+            JSON.stringify(workflow),
+            workflow.createdAt || null
+        );
+
+        this.emit('workflow-saved', { id: workflow.id, status: workflow.status });
+    }
+
+    /**
+     * Get workflow state
+     */
+    getWorkflow(id) {
+        const stmt = this.db.prepare(`
+            SELECT state FROM workflows WHERE id = ?
+        `);
+
+        const row = stmt.get(id);
+        return row ? JSON.parse(row.state) : null;
+    }
+
+    /**
+     * List workflows
+     * @param {Object} filter - { status: string | string[], template, limit }
+     */
+    listWorkflows(filter = {}) {
+        let sql = 'SELECT state FROM workflows WHERE 1=1';
+        const params = [];
+
+        if (filter.status) {
+            const statuses = Array.isArray(filter.status) ? filter.status : [filter.status];
+            sql += ` AND status IN (${statuses.map(() => '?').join(', ')})`;
+            params.push(...statuses);
+        }
+
+        if (filter.template) {
+            sql += ' AND template = ?';
+            params.push(filter.template);
+        }
+
+        sql += ' ORDER BY created_at ASC';
+
+        if (filter.limit) {
+            sql += ' LIMIT ?';
+            params.push(filter.limit);
+        }
+
+        const stmt = this.db.prepare(sql);
+        return stmt.all(...params).map(row => JSON.parse(row.state));
+    }
+
+    /**
+     * Delete workflow state
+     */
+    deleteWorkflow(id) {
+        const stmt = this.db.prepare(`
+            DELETE FROM workflows WHERE id = ?
+        `);
+
+        stmt.run(id);
+        this.emit('workflow-deleted', { id });
+    }
+
+    // =========================================================================
+    // DOCUMENT OPERATIONS
+    // =========================================================================
+
+    /**
+     * Save an ingested document and replace its chunk list
+     * @param {Object} document - { source, format, hash, size }
+     * @param {Object[]} chunks - [{ id, index, hash, start, end }]
+     */
+    saveDocument(document, chunks) {
+        const upsert = this.db.prepare(`
+            INSERT INTO documents (source, format, hash, size)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT(source) DO UPDATE SET
+                format = excluded.format,
+                hash = excluded.hash,
+                size = excluded.size,
+                ingested_at = datetime('now')
+        `);
+        const clear = this.db.prepare('DELETE FROM document_chunks WHERE source = ?');
+        const insert = this.db.prepare(`
+            INSERT INTO document_chunks (id, source, chunk_index, hash, start_offset, end_offset)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `);
+
+        this.db.transaction(() => {
+            upsert.run(document.source, document.format, document.hash, document.size || 0);
+            clear.run(document.source);
+            for (const chunk of chunks) {
+                insert.run(chunk.id, document.source, chunk.index, chunk.hash, chunk.start, chunk.end);
+            }
+        })();
+
+        this.emit('document-saved', { source: document.source, chunks: chunks.length });
+    }
+
+    /**
+     * Get an ingested document
+     */
+    getDocument(source) {
+        const stmt = this.db.prepare(`
+            SELECT * FROM documents WHERE source = ?
+        `);
+        return stmt.get(source) || null;
+    }
+
+    /**
+     * List ingested documents
+     * @param {Object} filter - { prefix } to restrict to sources under a path
+     */
+    listDocuments(filter = {}) {
+        let sql = 'SELECT * FROM documents WHERE 1=1';
+        const params = [];
+
+        if (filter.prefix) {
+            sql += ' AND substr(source, 1, ?) = ?';
+            params.push(filter.prefix.length, filter.prefix);
+        }
+
+        sql += ' ORDER BY source ASC';
+
+        return this.db.prepare(sql).all(...params);
+    }
+
+    /**
+     * Chunks of an ingested document, in order
+     */
+    getDocumentChunks(source) {
+        const stmt = this.db.prepare(`
+            SELECT id, chunk_index AS "index", hash, start_offset AS start, end_offset AS "end"
+            FROM document_chunks WHERE source = ?
+            ORDER BY chunk_index ASC
+        `);
+        return stmt.all(source);
+    }
+
+    /**
+     * Forget an ingested document and its chunks
+     */
+    deleteDocument(source) {
+        this.db.transaction(() => {
+            this.db.prepare('DELETE FROM document_chunks WHERE source = ?').run(source);
+            this.db.prepare('DELETE FROM documents WHERE source = ?').run(source);
+        })();
+
+        this.emit('document-deleted', { source });
+    }
+
+    // =========================================================================
+    // TEXT SEARCH OPERATIONS
+    // =========================================================================
+
+    /**
+     * Add or replace a document in the full-text index
+     * @param {Object} options - { collection }: ids are unique per collection
+     */
+    indexText(id, content, metadata = {}, options = {}) {
+        const upsert = this.db.prepare(`
+            INSERT INTO text_documents (collection, id, metadata) VALUES (?, ?, ?)
+            ON CONFLICT (collection, id) DO UPDATE SET metadata = excluded.metadata
+            RETURNING text_id
+        `);
+        const remove = this.db.prepare('DELETE FROM text_content WHERE rowid = ?');
+        const insert = this.db.prepare('INSERT INTO text_content (rowid, content) VALUES (?, ?)');
+
+        this.db.transaction(() => {
+            const { text_id: textId } = upsert.get(options.collection ?? '', id, JSON.stringify(metadata));
+            remove.run(textId);
+            insert.run(textId, content);
+        })();
+    }
+
+    /**
+     * Remove a document from the full-text index
+     * @param {Object} options - { collection }
+     */
+    removeText(id, options = {}) {
+        const remove = this.db.prepare(`
+            DELETE FROM text_documents WHERE collection = ? AND id = ? RETURNING text_id
+        `);
+        const removeContent = this.db.prepare('DELETE FROM text_content WHERE rowid = ?');
+
+        this.db.transaction(() => {
+            const row = remove.get(options.collection ?? '', id);
+            if (row) removeContent.run(row.text_id);
+        })();
+    }
+
+    /**
+     * Remove every document of a collection from the full-text index
+     */
+    removeTextCollection(collection) {
+        this.db.transaction(() => {
+            this.db.prepare(`
+                DELETE FROM text_content
+                WHERE rowid IN (SELECT text_id FROM text_documents WHERE collection = ?)
+            `).run(collection);
+            this.db.prepare('DELETE FROM text_documents WHERE collection = ?').run(collection);
+        })();
+    }
+
+    /**
+     * BM25 full-text search. Any query term may match; documents matching
+     * more (and rarer) terms rank higher.
+     * @param {string} query - Free text
+     * @param {Object} options - { k, filter, collection } (filter: metadata
+     *   filter, see metadata-filter.js; collection: name or list of names)
+     * @returns {Object[]} [{ id, collection, score, content, metadata }] best first
+     */
+    searchText(query, options = {}) {
+        const { k = 10, filter = null, collection = null } = options;
+
+        const terms = [...new Set(String(query).toLowerCase().match(/[\p{L}\p{N}_]+/gu) || [])];
+        if (terms.length === 0) return [];
+
+        const params = { query: terms.map(term => `"${term}"`).join(' OR '), k };
+        let sql = `
+            SELECT d.id, d.collection, text_content.content, d.metadata, -bm25(text_content) AS score
+            FROM text_content
+            JOIN text_documents d ON d.text_id = text_content.rowid
+            WHERE text_content MATCH @query
+        `;
+        if (collection !== null) {
+            const names = [].concat(collection).map((name, i) => {
+                params[`collection${i}`] = name;
+                return `@collection${i}`;
+            });
+            sql += ` AND d.collection IN (${names.join(', ')})`;
+        }
+
+        // Filters SQLite can evaluate exactly are applied before ranking;
+        // the rest are matched as rows stream in
+        const predicate = filter ? filterToSqlite(filter, params, 'd.metadata') : 'TRUE';
+        if (predicate !== null) {
+            sql += ` AND ${predicate} ORDER BY bm25(text_content) LIMIT @k`;
+        } else {
+            sql += ' ORDER BY bm25(text_content)';
+            delete params.k;
+        }
+
+        const results = [];
+        for (const row of this.db.prepare(sql).iterate(params)) {
+            const metadata = JSON.parse(row.metadata);
+            if (predicate === null && !matchesFilter(metadata, filter)) continue;
+
+            results.push({ id: row.id, collection: row.collection, score: row.score, content: row.content, metadata });
+            if (results.length >= k) break;
+        }
+        return results;
+    }
+
+    /**
+     * Number of documents in the full-text index
+     */
+    textIndexSize() {
+        return this.db.prepare('SELECT COUNT(*) AS count FROM text_documents').get().count;
+    }
+
     /**
      * Shutdown
      */
@@ -6,6 +6,7 @@
  */
 
 import EventEmitter from 'events';
+import { rankMemories, memoryText } from './memory-consolidation.js';
 
 /**
  * AgenticFlowIntegration - Manages agent swarms and orchestration
@@ -23,20 +24,44 @@ export class AgenticFlowIntegration extends EventEmitter {
             defaultProvider: 'local',
             maxConcurrent: 10,
             timeout: 120000,
-            ...config
+            ...config,
+            toolLoop: {
+                maxSteps: 8, // model round-trips before forcing a final answer
+                toolTimeout: 60000, // ms per tool handler
+                ...config.toolLoop
+            },
+            memory: {
+                contextSize: 10, // memories added to each task's context
+                maxItems: 100, // in-process memory per agent; older items live on in AgentDB
+                maxChars: 500, // per memory in the prompt
+                ...config.memory
+            }
         };
 
         this.agents = new Map();
         this.swarms = new Map();
+        this.tools = new Map();
         this.metrics = {
             totalExecutions: 0,
             successfulExecutions: 0,
             failedExecutions: 0,
-            averageLatency: 0
+            averageLatency: 0,
+            toolCalls: 0,
+            failedToolCalls: 0
         };
 
         this.agenticFlow = null;
         this.booster = null;
+        this.memoryProvider = null;
+    }
+
+    /**
+     * Rank long-term memories for task context (see MemoryConsolidator.recall).
+     * Without a provider, the agent's in-process memory is ranked instead.
+     * @param {Object} provider - Object with recall(agentId, query, { k })
+     */
+    setMemoryProvider(provider) {
+        this.memoryProvider = provider;
     }
 
     /**
@@ -222,7 +247,12 @@ export class AgenticFlowIntegration extends EventEmitter {
     }
 
     /**
-     * Execute task using standard (non-boosted) approach
+     * Execute task using standard (non-boosted) approach.
+     *
+     * Runs the tool loop: while the model answers with `tool_calls`, each call
+     * is dispatched to its registered handler and the result is appended as a
+     * `tool` message, until the model gives a final answer or `maxSteps` is
+     * reached (then one last call is made with tool use disabled).
      */
     async executeStandard(agent, task) {
         // Build the execution context
@@ -234,29 +264,255 @@ export class AgenticFlowIntegration extends EventEmitter {
             },
             task: task,
             tools: agent.tools,
-            memory: agent.memory.slice(-10) // Last 10 memory items
+            memory: await this.recallMemories(agent, task)
         };
 
+        const tools = this.resolveTools(agent.tools);
+        const messages = [
+            { role: 'system', content: agent.systemPrompt },
+            ...(context.memory.length > 0
+                ? [{ role: 'system', content: this.formatMemories(context.memory) }]
+                : []),
+            { role: 'user', content: JSON.stringify(task) }
+        ];
+        const { maxSteps } = this.config.toolLoop;
+
+        let response;
+        let step = 0;
+
         // Execute through the gateway
-        const response = await this.callGateway({
-            model: agent.model,
-            messages: [
-                { role: 'system', content: agent.systemPrompt },
-                { role: 'user', content: JSON.stringify(task) }
-            ],
-            tools: agent.tools.length > 0 ? agent.tools : undefined
-        });
+        while (true) {
+            const limitReached = step >= maxSteps;
+
+            response = await this.callGateway({
+                model: agent.model,
+                messages,
+                tools: tools.length > 0 ? tools : undefined,
+                tool_choice: tools.length > 0 && limitReached ? 'none' : undefined
+            });
+
+            this.emit('agent-step', {
+                agentId: agent.id,
+                step,
+                toolCalls: response.tool_calls?.length || 0,
+                final: !response.tool_calls?.length || limitReached
+            });
+
+            if (!response.tool_calls?.length || limitReached) {
+                if (limitReached && response.tool_calls?.length) {
+                    this.emit('tool-loop-limit', { agentId: agent.id, maxSteps });
+                }
+                break;
+            }
+
+            messages.push({
+                role: 'assistant',
+                content: response.content ?? null,
+                tool_calls: response.tool_calls
+            });
+
+            for (const toolCall of response.tool_calls) {
+                const result = await this.executeToolCall(agent, task, toolCall, step);
+                messages.push({
+                    role: 'tool',
+                    tool_call_id: toolCall.id,
+                    content: typeof result === 'string' ? result : JSON.stringify(result)
+                });
+            }
+
+            step++;
+        }
 
         // Update agent memory
-        agent.memory.push({
+        this.remember(agent, {
             timestamp: new Date().toISOString(),
+            type: 'task',
             task: task.description || task,
-            result: response
+            result: response,
+            steps: step
         });
 
         return response;
     }
 
+    /**
+     * Top-ranked memories for a task: from the memory provider when one is
+     * set, otherwise from the agent's in-process memory
+     */
+    async recallMemories(agent, task) {
+        const { contextSize } = this.config.memory;
+
+        if (this.memoryProvider) {
+            try {
+                return await this.memoryProvider.recall(agent.id, taskQuery(task), { k: contextSize });
+            } catch (error) {
+                this.emit('memory-recall-failed', { agentId: agent.id, error });
+            }
+        }
+
+        return rankMemories(agent.memory.map(item => ({
+            ...item,
+            type: item.type || 'task',
+            createdAt: Date.parse(item.timestamp)
+        }))).slice(0, contextSize);
+    }
+
+    /**
+     * System message listing recalled memories
+     */
+    formatMemories(memories) {
+        const { maxChars } = this.config.memory;
+        const lines = memories.map(memory => {
+            const { type, score, createdAt, timestamp, ...content } = memory;
+            const text = memory.content !== undefined ? memory.content : content;
+            return `- [${type}] ${memoryText(text, maxChars)}`;
+        });
+        return `Relevant memories from earlier work, most useful first:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * Append to the agent's in-process memory, dropping the oldest items
+     * beyond maxItems
+     */
+    remember(agent, item) {
+        agent.memory.push(item);
+
+        const excess = agent.memory.length - this.config.memory.maxItems;
+        if (excess > 0) {
+            agent.memory.splice(0, excess);
+        }
+    }
+
+    /**
+     * Run a single tool call and record it in agent memory
+     * @returns {Promise<*>} Handler result, or an { error } object on failure
+     */
+    async executeToolCall(agent, task, toolCall, step) {
+        const name = toolCall.function?.name;
+        const tool = this.tools.get(name);
+        const startTime = Date.now();
+        let args = {};
+        let result;
+        let failed = false;
+
+        this.metrics.toolCalls++;
+        this.emit('tool-call-started', { agentId: agent.id, step, tool: name, callId: toolCall.id });
+
+        try {
+            if (!tool) {
+                throw new Error(`Unknown tool: ${name}`);
+            }
+
+            args = typeof toolCall.function.arguments === 'string'
+                ? JSON.parse(toolCall.function.arguments || '{}')
+                : toolCall.function.arguments || {};
+
+            result = await withTimeout(
+                tool.handler(args, { agent, task, toolCall }),
+                tool.timeout || this.config.toolLoop.toolTimeout,
+                `Tool ${name} timed out`
+            );
+        } catch (error) {
+            // Errors go back to the model so it can recover
+            failed = true;
+            result = { error: error.message };
+            this.metrics.failedToolCalls++;
+        }
+
+        const duration = Date.now() - startTime;
+
+        this.remember(agent, {
+            timestamp: new Date().toISOString(),
+            type: 'tool-call',
+            step,
+            tool: name,
+            arguments: args,
+            result,
+            success: !failed,
+            duration
+        });
+
+        this.emit(failed ? 'tool-call-failed' : 'tool-call-completed', {
+            agentId: agent.id,
+            step,
+            tool: name,
+            callId: toolCall.id,
+            arguments: args,
+            result,
+            duration
+        });
+
+        return result;
+    }
+
+    /**
+     * Register a tool agents can call
+     * @param {string} name - Function name exposed to the model
+     * @param {Object} spec - Tool specification
+     * @param {string} spec.description - What the tool does
+     * @param {Object} spec.parameters - JSON schema for the arguments
+     * @param {Function} spec.handler - async (args, { agent, task, toolCall }) => result
+     * @param {number} [spec.timeout] - Handler timeout in ms
+     */
+    registerTool(name, spec) {
+        if (typeof spec.handler !== 'function') {
+            throw new Error(`Tool ${name} requires a handler function`);
+        }
+
+        this.tools.set(name, {
+            name,
+            description: spec.description || '',
+            parameters: spec.parameters || { type: 'object', properties: {} },
+            handler: spec.handler,
+            timeout: spec.timeout
+        });
+
+        this.emit('tool-registered', { name });
+    }
+
+    /**
+     * Remove a registered tool
+     */
+    unregisterTool(name) {
+        this.tools.delete(name);
+        this.emit('tool-unregistered', { name });
+    }
+
+    /**
+     * List registered tools
+     */
+    listTools() {
+        return Array.from(this.tools.values()).map(({ name, description, parameters }) => ({
+            name,
+            description,
+            parameters
+        }));
+    }
+
+    /**
+     * Turn an agent's tool list into OpenAI tool definitions.
+     * Entries may be registered tool names or full tool definitions.
+     */
+    resolveTools(agentTools = []) {
+        return agentTools
+            .map(tool => {
+                if (typeof tool !== 'string') return tool;
+
+                const registered = this.tools.get(tool);
+                if (!registered) return null;
+
+                return {
+                    type: 'function',
+                    function: {
+                        name: registered.name,
+                        description: registered.description,
+                        parameters: registered.parameters
+                    }
+                };
+            })
+            .filter(Boolean);
+    }
+
     /**
      * Execute a collaborative task using a swarm
      * @param {string} swarmId - Swarm ID
@@ -440,6 +696,7 @@ export class AgenticFlowIntegration extends EventEmitter {
             ...this.metrics,
             activeAgents: this.agents.size,
             activeSwarms: this.swarms.size,
+            registeredTools: this.tools.size,
             boosterEnabled: !!this.booster
         };
     }
@@ -457,4 +714,23 @@ export class AgenticFlowIntegration extends EventEmitter {
     }
 }
 
+/**
+ * Text used to find memories relevant to a task
+ */
+function taskQuery(task) {
+    if (typeof task === 'string') return task;
+    return (task.description || task.message || JSON.stringify(task)).slice(0, 4000);
+}
+
+/**
+ * Reject if a promise does not settle in time
+ */
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
 export default AgenticFlowIntegration;
@@ -0,0 +1,201 @@
+/**
+ * =============================================================================
+ * Vector Index Benchmark
+ * Recall and latency of the HNSW index against the exact (flat) scan
+ * =============================================================================
+ *
+ * Usage:
+ *   node src/ruvnet/benchmark-vector-index.js [--count 10000] [--dimensions 128]
+ *     [--queries 200] [--k 10] [--ef 16,32,64,128] [--M 16] [--ef-construction 200]
+ *     [--clusters 50] [--delete 0.1] [--seed 42]
+ *
+ * Vectors are drawn around random cluster centres, which is closer to real
+ * embeddings than uniform noise. With --delete, that fraction of the vectors
+ * is deleted after the build, so recall is also measured with tombstones.
+ */
+
+import { HNSWIndex } from './hnsw-index.js';
+
+/**
+ * Build an HNSW index over synthetic data and compare it with a flat scan
+ * @param {Object} options - See usage above
+ * @returns {Object} { build, flat, runs: [{ efSearch, recall, latency }] }
+ */
+export function runBenchmark(options = {}) {
+    const {
+        count = 10000,
+        dimensions = 128,
+        queries = 200,
+        k = 10,
+        ef = [16, 32, 64, 128],
+        M = 16,
+        efConstruction = 200,
+        clusters = 50,
+        deleteFraction = 0,
+        seed = 42
+    } = options;
+
+    const random = mulberry32(seed);
+    const data = clusteredVectors(count + queries, dimensions, clusters, random);
+    const vectors = data.slice(0, count);
+    const queryVectors = data.slice(count);
+
+    const index = new HNSWIndex({ dimensions, M, efConstruction, rebuildThreshold: 1 });
+    const buildStart = performance.now();
+    vectors.forEach((vector, i) => index.insert(`v${i}`, vector));
+    const buildMs = performance.now() - buildStart;
+
+    const live = new Map(vectors.map((vector, i) => [`v${i}`, normalize(vector)]));
+    const deleted = Math.floor(count * deleteFraction);
+    for (let i = 0; i < deleted; i++) {
+        const id = `v${Math.floor(random() * count)}`;
+        index.delete(id);
+        live.delete(id);
+    }
+
+    // Exact neighbours by linear scan
+    const exact = [];
+    const flatTimes = [];
+    for (const query of queryVectors) {
+        const q = normalize(query);
+        const start = performance.now();
+        const scored = [];
+        for (const [id, vector] of live) {
+            scored.push({ id, score: dot(q, vector) });
+        }
+        scored.sort((a, b) => b.score - a.score);
+        flatTimes.push(performance.now() - start);
+        exact.push(new Set(scored.slice(0, k).map(r => r.id)));
+    }
+
+    const runs = ef.map(efSearch => {
+        const times = [];
+        let found = 0;
+
+        queryVectors.forEach((query, i) => {
+            const start = performance.now();
+            const results = index.search(query, k, { efSearch });
+            times.push(performance.now() - start);
+            found += results.filter(r => exact[i].has(r.id)).length;
+        });
+
+        return {
+            efSearch,
+            recall: found / (queryVectors.length * k),
+            latency: summarize(times)
+        };
+    });
+
+    return {
+        count,
+        live: live.size,
+        tombstones: index.tombstones,
+        dimensions,
+        k,
+        build: { ms: buildMs, perVectorMs: buildMs / count, ...index.stats() },
+        flat: summarize(flatTimes),
+        runs
+    };
+}
+
+function clusteredVectors(total, dimensions, clusters, random) {
+    const centres = Array.from({ length: clusters }, () => gaussianVector(dimensions, random));
+    return Array.from({ length: total }, () => {
+        const centre = centres[Math.floor(random() * clusters)];
+        const noise = gaussianVector(dimensions, random);
+        return centre.map((value, i) => value + 0.5 * noise[i]);
+    });
+}
+
+function gaussianVector(dimensions, random) {
+    return Array.from({ length: dimensions }, () => {
+        // Box-Muller
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    });
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(dot(vector, vector)) || 1;
+    return Float32Array.from(vector, value => value / norm);
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+}
+
+function summarize(times) {
+    const sorted = [...times].sort((a, b) => a - b);
+    const at = p => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+    return {
+        meanMs: sorted.reduce((sum, t) => sum + t, 0) / sorted.length,
+        p50Ms: at(0.5),
+        p95Ms: at(0.95)
+    };
+}
+
+/**
+ * Small seeded PRNG so runs are repeatable
+ */
+function mulberry32(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const numbers = {
+        '--count': 'count',
+        '--dimensions': 'dimensions',
+        '--queries': 'queries',
+        '--k': 'k',
+        '--M': 'M',
+        '--ef-construction': 'efConstruction',
+        '--clusters': 'clusters',
+        '--delete': 'deleteFraction',
+        '--seed': 'seed'
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (numbers[argv[i]]) {
+            options[numbers[argv[i]]] = Number(argv[++i]);
+        } else if (argv[i] === '--ef') {
+            options.ef = argv[++i].split(',').map(Number);
+        } else {
+            throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const result = runBenchmark(parseArgs(process.argv.slice(2)));
+    const ms = value => value.toFixed(3);
+
+    console.log(`HNSW benchmark: ${result.live} vectors (${result.tombstones} deleted), ${result.dimensions} dimensions, k=${result.k}`);
+    console.log(`Build: ${ms(result.build.ms)} ms (${ms(result.build.perVectorMs)} ms/vector), ` +
+        `M=${result.build.M}, efConstruction=${result.build.efConstruction}, levels=${result.build.maxLevel + 1}`);
+    console.log(`Flat scan: mean ${ms(result.flat.meanMs)} ms, p50 ${ms(result.flat.p50Ms)} ms, p95 ${ms(result.flat.p95Ms)} ms`);
+    console.log('');
+    console.log('efSearch  recall@k  mean ms   p50 ms    p95 ms    speedup');
+    for (const run of result.runs) {
+        console.log([
+            String(run.efSearch).padEnd(9),
+            run.recall.toFixed(4).padEnd(9),
+            ms(run.latency.meanMs).padEnd(9),
+            ms(run.latency.p50Ms).padEnd(9),
+            ms(run.latency.p95Ms).padEnd(9),
+            `${(result.flat.meanMs / run.latency.meanMs).toFixed(1)}x`
+        ].join(' '));
+    }
+}
@@ -7,7 +7,19 @@
 
 import EventEmitter from 'events';
 import fs from 'fs/promises';
+import { watch } from 'fs';
 import path from 'path';
+import { validateSchema, extractJson } from './json-schema.js';
+import {
+    TEMPLATE_EXTENSIONS,
+    readTemplateFile,
+    validateTemplate,
+    resolveTemplate,
+    interpolate
+} from './workflow-templates.js';
+import { buildPhaseGraph, executionStages, criticalPath } from './workflow-dag.js';
+import { evaluateExpression, evaluateCondition } from './workflow-conditions.js';
+import { createReasoningStore, SQLiteReasoningStore } from './reasoning-store.js';
 
 /**
  * ClaudeFlowIntegration - Advanced workflow orchestration
@@ -16,12 +28,6 @@ export class ClaudeFlowIntegration extends EventEmitter {
     constructor(config = {}) {
         super();
         this.config = {
-            reasoningBank: {
-                enabled: true,
-                maxSize: 10000,
-                persistPath: './data/reasoning-bank',
-                compressionEnabled: true
-            },
             sparc: {
                 enabled: true,
                 methodology: 'sparc2',
@@ -30,21 +36,89 @@ export class ClaudeFlowIntegration extends EventEmitter {
             workflows: {
                 maxConcurrent: 5,
                 timeout: 300000,
-                retryAttempts: 3
+                retryAttempts: 3,
+                autoResume: true // resume interrupted workflows on startup
+            },
+            ...config,
+            reasoningBank: {
+                enabled: true,
+                maxSize: 10000,
+                persistPath: './data/reasoning-bank', // null keeps reasoning in memory only
+                compressionEnabled: true,
+                storage: 'sqlite', // 'sqlite' | 'file' (one JSON file per entry)
+                ...config.reasoningBank
             },
-            ...config
+            structuredOutput: {
+                maxRepairAttempts: 2, // re-prompts when a phase returns invalid JSON
+                responseFormat: true, // send response_format: json_object
+                ...config.structuredOutput
+            },
+            priorReasoning: {
+                enabled: true, // add similar past reasoning to phase context
+                k: 3,
+                threshold: 0.7, // minimum similarity
+                maxChars: 2000, // per retrieved entry
+                collection: null, // RuVector collection for reasoning vectors; null uses its default
+                ...config.priorReasoning
+            },
+            approvals: {
+                timeout: 24 * 60 * 60 * 1000, // ms before defaultAction applies; 0 waits forever
+                defaultAction: 'reject', // 'approve' | 'reject'
+                ...config.approvals
+            },
+            templates: {
+                directory: process.env.WORKFLOW_TEMPLATES_DIR || null, // .json/.yaml/.yml templates
+                watch: true, // hot-reload when files in the directory change
+                reloadDebounce: 250,
+                ...config.templates
+            }
         };
 
         this.claudeFlow = null;
         this.reasoningBank = null;
+        this.reasoningStore = null;
         this.workflows = new Map();
-        this.templates = new Map();
+        this.templates = new Map(); // resolved templates
+        this.templateDefinitions = {
+            // raw definitions by source; later sources override earlier ones
+            builtin: new Map(),
+            file: new Map(),
+            api: new Map()
+        };
+        this.templateFiles = new Map(); // templateId -> file path
+        this.templateWatcher = null;
+        this.templateReloadTimer = null;
+        this.workflowStore = null;
+        this.vectorIndex = null;
+        this.reasoningIndexed = new Set(); // keys known to be in the vector index
+        this.reasoningIndexing = new Set(); // in-flight index writes
+        this.workflowControl = new Map(); // workflowId -> { controller, pauseRequested, wake }
+        this.approvalTimers = new Map(); // `${workflowId}:${phase}` -> timeout
+    }
+
+    /**
+     * Set the persistent store for workflow state.
+     * Any object with saveWorkflow/getWorkflow/listWorkflows (e.g. AgentDBIntegration).
+     */
+    setWorkflowStore(store) {
+        this.workflowStore = store;
+    }
+
+    /**
+     * Set the vector index used for semantic search over the ReasoningBank.
+     * Any object with embed/add/search/get/delete (e.g. RuVectorIntegration).
+     */
+    setVectorIndex(index) {
+        this.vectorIndex = index;
     }
 
     /**
      * Initialize Claude Flow integration
+     * @param {Object} options - { resume: true }; pass resume: false when
+     *   the workflows' dependencies are still starting, then call
+     *   resumeInterrupted() once they are ready
      */
-    async initialize() {
+    async initialize(options = {}) {
         try {
             // Dynamic import of claude-flow
             const claudeFlowModule = await import('claude-flow');
@@ -58,7 +132,16 @@ export class ClaudeFlowIntegration extends EventEmitter {
             // Load workflow templates
             await this.loadWorkflowTemplates();
 
+            // Reload workflows interrupted by a restart
+            if (this.workflowStore) {
+                await this.restoreWorkflows();
+            }
+
             this.emit('initialized', { config: this.config });
+
+            if (options.resume !== false && this.config.workflows.autoResume !== false) {
+                this.resumeInterrupted();
+            }
             return true;
         } catch (error) {
             this.emit('error', { phase: 'initialization', error });
@@ -81,21 +164,25 @@ export class ClaudeFlowIntegration extends EventEmitter {
 
         // Load persisted reasoning if exists
         try {
-            const persistPath = this.config.reasoningBank.persistPath;
-            await fs.mkdir(persistPath, { recursive: true });
+            this.reasoningStore = createReasoningStore(this.config.reasoningBank);
 
-            const indexPath = path.join(persistPath, 'index.json');
-            const indexExists = await fs.access(indexPath).then(() => true).catch(() => false);
+            if (this.reasoningStore) {
+                await this.reasoningStore.initialize();
 
-            if (indexExists) {
-                const indexData = await fs.readFile(indexPath, 'utf-8');
-                const index = JSON.parse(indexData);
-                this.reasoningBank.metadata = index.metadata;
+                const metadata = await this.reasoningStore.getMetadata();
+                if (metadata) {
+                    this.reasoningBank.metadata = metadata;
+                }
 
                 // Load entries lazily
-                for (const entryId of index.entries) {
+                const keys = await this.reasoningStore.keys();
+                for (const entryId of keys) {
                     this.reasoningBank.entries.set(entryId, null); // Lazy load
                 }
+
+                if (keys.length === 0) {
+                    await this.warnUnmigratedReasoning();
+                }
             }
         } catch (error) {
             console.warn('Could not load ReasoningBank:', error.message);
@@ -104,6 +191,23 @@ export class ClaudeFlowIntegration extends EventEmitter {
         this.emit('reasoning-bank-initialized', { metadata: this.reasoningBank.metadata });
     }
 
+    /**
+     * Point at the migration tool when an empty SQLite bank sits next to
+     * entries in the old file layout
+     */
+    async warnUnmigratedReasoning() {
+        if (!(this.reasoningStore instanceof SQLiteReasoningStore)) return;
+
+        const legacyIndex = path.join(this.config.reasoningBank.persistPath, 'index.json');
+        const hasLegacy = await fs.access(legacyIndex).then(() => true).catch(() => false);
+
+        if (hasLegacy) {
+            console.warn(`ReasoningBank: found file-based entries in ${this.config.reasoningBank.persistPath}; ` +
+                'run `npm run migrate:reasoning-bank` to move them into SQLite');
+            this.emit('reasoning-bank-migration-needed', { path: this.config.reasoningBank.persistPath });
+        }
+    }
+
     /**
      * Store reasoning in the ReasoningBank
      * @param {string} key - Unique key for the reasoning
@@ -126,7 +230,7 @@ export class ClaudeFlowIntegration extends EventEmitter {
         this.reasoningBank.metadata.totalEntries++;
 
         // Persist if enabled
-        if (this.config.reasoningBank.persistPath) {
+        if (this.reasoningStore) {
             await this.persistReasoningEntry(key, entry);
         }
 
@@ -135,6 +239,14 @@ export class ClaudeFlowIntegration extends EventEmitter {
             await this.pruneReasoningBank();
         }
 
+        // Index for semantic search without holding up the caller
+        if (this.vectorIndex) {
+            const indexing = this.indexReasoningEntries([entry])
+                .catch(error => this.emit('reasoning-index-failed', { keys: [key], error }))
+                .finally(() => this.reasoningIndexing.delete(indexing));
+            this.reasoningIndexing.add(indexing);
+        }
+
         this.emit('reasoning-stored', { key, entry });
         return entry;
     }
@@ -147,7 +259,7 @@ export class ClaudeFlowIntegration extends EventEmitter {
         let entry = this.reasoningBank.entries.get(key);
 
         // Lazy load from disk if needed
-        if (entry === null && this.config.reasoningBank.persistPath) {
+        if (entry === null && this.reasoningStore) {
             entry = await this.loadReasoningEntry(key);
             this.reasoningBank.entries.set(key, entry);
         }
@@ -157,31 +269,29 @@ export class ClaudeFlowIntegration extends EventEmitter {
 
     /**
      * Search reasoning by tags or content
+     * With `query.text`, results are ranked by semantic similarity (see
+     * `semanticSearchReasoning`); otherwise newest first.
      * @param {Object} query - Search query
      */
     async searchReasoning(query) {
-        const results = [];
-
-        for (const [key, entry] of this.reasoningBank.entries) {
-            if (entry === null) continue;
-
-            let matches = true;
+        if (query.text) {
+            const hits = await this.semanticSearchReasoning(query.text, query);
+            return hits.map(({ entry, score }) => ({ ...entry, score }));
+        }
 
-            if (query.tags && query.tags.length > 0) {
-                matches = query.tags.some(tag =>
-                    entry.metadata.tags.includes(tag)
-                );
-            }
+        // Persisted banks answer tag/type/confidence filters from storage
+        if (this.reasoningStore) {
+            return this.reasoningStore.query(query);
+        }
 
-            if (matches && query.type) {
-                matches = entry.metadata.type === query.type;
-            }
+        const results = [];
 
-            if (matches && query.minConfidence) {
-                matches = entry.metadata.confidence >= query.minConfidence;
-            }
+        for (const key of this.reasoningBank.entries.keys()) {
+            // Lazily loaded entries are read from disk rather than skipped
+            const entry = await this.getReasoning(key);
+            if (!entry) continue;
 
-            if (matches) {
+            if (this.matchesReasoningQuery(entry, query)) {
                 results.push(entry);
             }
         }
@@ -192,33 +302,171 @@ export class ClaudeFlowIntegration extends EventEmitter {
     }
 
     /**
-     * Persist reasoning entry to disk
+     * Find reasoning similar to a piece of text
+     * @param {string} text - Query text
+     * @param {Object} options - { k, threshold, tags, type, minConfidence, excludeWorkflowId }
+     * @returns {Promise<Object[]>} [{ key, score, entry }] best first
      */
-    async persistReasoningEntry(key, entry) {
-        const persistPath = this.config.reasoningBank.persistPath;
-        const entryPath = path.join(persistPath, `${key}.json`);
+    async semanticSearchReasoning(text, options = {}) {
+        if (!this.vectorIndex) return [];
 
-        await fs.writeFile(entryPath, JSON.stringify(entry, null, 2));
+        const { k = 5, threshold = 0, excludeWorkflowId = null } = options;
 
-        // Update index
-        const indexPath = path.join(persistPath, 'index.json');
-        const index = {
-            metadata: this.reasoningBank.metadata,
-            entries: Array.from(this.reasoningBank.entries.keys())
-        };
-        await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
+        await this.ensureReasoningIndexed();
+
+        // Over-fetch so metadata filters still leave k results
+        const hits = await this.vectorIndex.search(text, {
+            k: k * 4,
+            threshold,
+            filter: { type: 'reasoning' },
+            collection: this.config.priorReasoning.collection
+        });
+
+        const results = [];
+        for (const hit of hits) {
+            const key = hit.metadata?.reasoningKey;
+            const entry = key && await this.getReasoning(key);
+            if (!entry) continue;
+            if (excludeWorkflowId && entry.reasoning?.workflowId === excludeWorkflowId) continue;
+            if (!this.matchesReasoningQuery(entry, options)) continue;
+
+            results.push({ key, score: hit.score, entry });
+            if (results.length >= k) break;
+        }
+
+        this.emit('reasoning-searched', { text, results: results.length });
+        return results;
     }
 
     /**
-     * Load reasoning entry from disk
+     * Check an entry against tag, type and confidence filters
      */
-    async loadReasoningEntry(key) {
-        const persistPath = this.config.reasoningBank.persistPath;
-        const entryPath = path.join(persistPath, `${key}.json`);
+    matchesReasoningQuery(entry, query) {
+        if (query.tags && query.tags.length > 0 &&
+            !query.tags.some(tag => entry.metadata.tags.includes(tag))) {
+            return false;
+        }
+
+        if (query.type && entry.metadata.type !== query.type) {
+            return false;
+        }
+
+        if (query.minConfidence && entry.metadata.confidence < query.minConfidence) {
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Index every ReasoningBank entry not yet in the vector index, loading
+     * lazy entries from disk. Entries already present in a persisted index
+     * are not re-embedded.
+     */
+    async ensureReasoningIndexed() {
+        await Promise.allSettled([...this.reasoningIndexing]);
+
+        const missing = [];
+        for (const key of this.reasoningBank.entries.keys()) {
+            if (this.reasoningIndexed.has(key)) continue;
+
+            const existing = await this.vectorIndex.get(reasoningVectorId(key), {
+                collection: this.config.priorReasoning.collection
+            });
+            if (existing?.vector) {
+                this.reasoningIndexed.add(key);
+                continue;
+            }
+
+            const entry = await this.getReasoning(key);
+            if (entry) missing.push(entry);
+        }
+
+        if (missing.length > 0) {
+            await this.indexReasoningEntries(missing);
+        }
+    }
+
+    /**
+     * Embed and add entries to the vector index
+     */
+    async indexReasoningEntries(entries) {
+        const texts = entries.map(entry => reasoningText(entry));
+        const vectors = await this.vectorIndex.embed(texts);
+
+        for (let i = 0; i < entries.length; i++) {
+            const entry = entries[i];
+            await this.vectorIndex.add(reasoningVectorId(entry.id), vectors[i], {
+                type: 'reasoning',
+                reasoningKey: entry.id,
+                reasoningType: entry.metadata.type,
+                workflowId: entry.reasoning?.workflowId || null,
+                originalText: texts[i]
+            }, { collection: this.config.priorReasoning.collection });
+            this.reasoningIndexed.add(entry.id);
+        }
+
+        this.emit('reasoning-indexed', { count: entries.length });
+    }
+
+    /**
+     * Past reasoning relevant to a phase, from other workflows
+     */
+    async retrievePriorReasoning(workflow, phase) {
+        const { enabled, k, threshold, maxChars } = this.config.priorReasoning;
+        if (!enabled || !this.vectorIndex || !this.reasoningBank || phase.priorReasoning === false) {
+            return [];
+        }
+
+        const query = [
+            `${workflow.name} - ${phase.name}`,
+            phase.prompt,
+            JSON.stringify(workflow.context)
+        ].filter(Boolean).join('\n').slice(0, 4000);
 
         try {
-            const data = await fs.readFile(entryPath, 'utf-8');
-            return JSON.parse(data);
+            const hits = await this.semanticSearchReasoning(query, {
+                k,
+                threshold,
+                excludeWorkflowId: workflow.id
+            });
+
+            if (hits.length > 0) {
+                this.emit('prior-reasoning-retrieved', {
+                    workflowId: workflow.id,
+                    phase: phase.name,
+                    keys: hits.map(hit => hit.key)
+                });
+            }
+
+            return hits.map(({ key, score, entry }) => ({
+                key,
+                score,
+                type: entry.metadata.type,
+                timestamp: entry.timestamp,
+                content: reasoningText(entry).slice(0, maxChars)
+            }));
+        } catch (error) {
+            // Retrieval is best-effort; the phase runs without it
+            this.emit('prior-reasoning-failed', { workflowId: workflow.id, phase: phase.name, error });
+            return [];
+        }
+    }
+
+    /**
+     * Persist reasoning entry to storage
+     */
+    async persistReasoningEntry(key, entry) {
+        await this.reasoningStore.put(entry);
+        await this.reasoningStore.setMetadata(this.reasoningBank.metadata);
+    }
+
+    /**
+     * Load reasoning entry from storage
+     */
+    async loadReasoningEntry(key) {
+        try {
+            return await this.reasoningStore.get(key);
         } catch (error) {
             return null;
         }
@@ -228,36 +476,70 @@ export class ClaudeFlowIntegration extends EventEmitter {
      * Prune old entries from ReasoningBank
      */
     async pruneReasoningBank() {
-        const entries = Array.from(this.reasoningBank.entries.entries())
-            .filter(([_, entry]) => entry !== null)
-            .sort((a, b) => new Date(a[1].timestamp) - new Date(b[1].timestamp));
-
-        const toRemove = entries.slice(0, entries.length - this.config.reasoningBank.maxSize);
-
-        for (const [key, _] of toRemove) {
+        const excess = this.reasoningBank.entries.size - this.config.reasoningBank.maxSize;
+
+        // Storage knows the age of lazy entries too; in memory, only loaded ones
+        const toRemove = this.reasoningStore
+            ? await this.reasoningStore.oldestKeys(excess)
+            : Array.from(this.reasoningBank.entries.entries())
+                .filter(([_, entry]) => entry !== null)
+                .sort((a, b) => new Date(a[1].timestamp) - new Date(b[1].timestamp))
+                .slice(0, excess)
+                .map(([key]) => key);
+
+        for (const key of toRemove) {
             this.reasoningBank.entries.delete(key);
-            // Remove from disk
-            if (this.config.reasoningBank.persistPath) {
-                const entryPath = path.join(this.config.reasoningBank.persistPath, `${key}.json`);
-                await fs.unlink(entryPath).catch(() => { });
+            if (this.vectorIndex && this.reasoningIndexed.delete(key)) {
+                await this.vectorIndex.delete(reasoningVectorId(key), {
+                    collection: this.config.priorReasoning.collection
+                }).catch(() => { });
             }
         }
 
+        if (this.reasoningStore) {
+            await this.reasoningStore.delete(toRemove);
+        }
+
         this.emit('reasoning-bank-pruned', { removed: toRemove.length });
     }
 
     /**
-     * Load workflow templates
+     * Load workflow templates: built-ins, then the configured template directory
      */
     async loadWorkflowTemplates() {
-        // Built-in SPARC workflow templates
-        this.templates.set('sparc-development', {
+        this.registerBuiltinTemplates();
+
+        const { directory, watch: watchEnabled } = this.config.templates;
+        if (directory) {
+            await this.loadTemplateDirectory(directory);
+            if (watchEnabled) {
+                this.watchTemplateDirectory(directory);
+            }
+        }
+    }
+
+    /**
+     * Built-in SPARC workflow templates
+     */
+    registerBuiltinTemplates() {
+        const builtin = this.templateDefinitions.builtin;
+
+        builtin.set('sparc-development', {
             name: 'SPARC Development Workflow',
             phases: [
                 {
                     name: 'specification',
                     prompt: 'Analyze the requirements and create a detailed specification.',
-                    outputs: ['requirements', 'constraints', 'acceptance_criteria']
+                    outputs: ['requirements', 'constraints', 'acceptance_criteria'],
+                    schema: {
+                        type: 'object',
+                        properties: {
+                            requirements: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                            constraints: { type: 'array', items: { type: 'string' } },
+                            acceptance_criteria: { type: 'array', items: { type: 'string' }, minItems: 1 }
+                        },
+                        required: ['requirements', 'constraints', 'acceptance_criteria']
+                    }
                 },
                 {
                     name: 'pseudocode',
@@ -282,7 +564,7 @@ export class ClaudeFlowIntegration extends EventEmitter {
             ]
         });
 
-        this.templates.set('code-review', {
+        builtin.set('code-review', {
             name: 'Code Review Workflow',
             phases: [
                 { name: 'analysis', prompt: 'Analyze the code for patterns and issues.' },
@@ -292,7 +574,7 @@ export class ClaudeFlowIntegration extends EventEmitter {
             ]
         });
 
-        this.templates.set('research', {
+        builtin.set('research', {
             name: 'Research Workflow',
             phases: [
                 { name: 'gather', prompt: 'Gather relevant information and sources.' },
@@ -300,6 +582,165 @@ export class ClaudeFlowIntegration extends EventEmitter {
                 { name: 'conclude', prompt: 'Draw conclusions and recommendations.' }
             ]
         });
+
+        this.rebuildTemplates();
+    }
+
+    /**
+     * Register a workflow template
+     * @param {string} id - Template ID
+     * @param {Object} definition - Template definition (name, extends, model, variables, phases)
+     * @param {Object} options - { source: 'api' | 'file' }
+     */
+    registerTemplate(id, definition, options = {}) {
+        const source = options.source || 'api';
+        const layer = this.templateDefinitions[source];
+        if (!layer) {
+            throw new Error(`Unknown template source: ${source}`);
+        }
+
+        const errors = validateTemplate(definition);
+        if (errors.length > 0) {
+            const error = new Error(`Invalid workflow template "${id}": ${errors.join('; ')}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        // Resolve against the other templates before accepting it
+        const definitions = this.mergedTemplateDefinitions();
+        definitions.set(id, definition);
+        resolveTemplate(id, definitions);
+
+        layer.set(id, definition);
+        this.rebuildTemplates();
+        this.emit('template-registered', { templateId: id, source });
+
+        return this.templates.get(id);
+    }
+
+    /**
+     * Remove an API-registered template
+     * @param {string} id - Template ID
+     */
+    unregisterTemplate(id) {
+        const removed = this.templateDefinitions.api.delete(id);
+        if (removed) {
+            this.rebuildTemplates();
+            this.emit('template-unregistered', { templateId: id });
+        }
+        return removed;
+    }
+
+    /**
+     * Load every template file in a directory, replacing previously loaded
+     * file templates. Invalid files are reported and skipped.
+     * @param {string} directory - Template directory
+     */
+    async loadTemplateDirectory(directory) {
+        let files;
+        try {
+            files = await fs.readdir(directory);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            files = [];
+        }
+
+        const loaded = new Map();
+        const templateFiles = new Map();
+
+        for (const file of files.sort()) {
+            if (!TEMPLATE_EXTENSIONS.includes(path.extname(file))) continue;
+
+            const filePath = path.join(directory, file);
+            try {
+                const definition = await readTemplateFile(filePath);
+                const id = definition?.id || path.basename(file, path.extname(file));
+
+                const errors = validateTemplate(definition);
+                if (errors.length > 0) {
+                    this.emit('template-invalid', { templateId: id, file: filePath, errors });
+                    continue;
+                }
+
+                loaded.set(id, definition);
+                templateFiles.set(id, filePath);
+            } catch (error) {
+                this.emit('template-invalid', { file: filePath, errors: [error.message] });
+            }
+        }
+
+        this.templateDefinitions.file = loaded;
+        this.templateFiles = templateFiles;
+        this.rebuildTemplates();
+        this.emit('templates-loaded', { directory, count: loaded.size });
+
+        return Array.from(loaded.keys());
+    }
+
+    /**
+     * Reload the template directory when its files change
+     */
+    watchTemplateDirectory(directory) {
+        this.unwatchTemplateDirectory();
+
+        try {
+            this.templateWatcher = watch(directory, { persistent: false }, (eventType, file) => {
+                if (file && !TEMPLATE_EXTENSIONS.includes(path.extname(file))) return;
+
+                clearTimeout(this.templateReloadTimer);
+                this.templateReloadTimer = setTimeout(() => {
+                    this.loadTemplateDirectory(directory).catch(error =>
+                        this.emit('template-reload-failed', { directory, error })
+                    );
+                }, this.config.templates.reloadDebounce);
+            });
+
+            this.templateWatcher.on('error', error =>
+                this.emit('template-reload-failed', { directory, error })
+            );
+        } catch (error) {
+            this.emit('template-reload-failed', { directory, error });
+        }
+    }
+
+    /**
+     * Stop watching the template directory
+     */
+    unwatchTemplateDirectory() {
+        clearTimeout(this.templateReloadTimer);
+        this.templateReloadTimer = null;
+
+        if (this.templateWatcher) {
+            this.templateWatcher.close();
+            this.templateWatcher = null;
+        }
+    }
+
+    /**
+     * Raw definitions from every source, API over file over built-in
+     */
+    mergedTemplateDefinitions() {
+        const { builtin, file, api } = this.templateDefinitions;
+        return new Map([...builtin, ...file, ...api]);
+    }
+
+    /**
+     * Re-resolve all templates, e.g. after a parent template changed.
+     * Templates that no longer resolve are dropped and reported.
+     */
+    rebuildTemplates() {
+        const definitions = this.mergedTemplateDefinitions();
+        const templates = new Map();
+
+        for (const id of definitions.keys()) {
+            try {
+                templates.set(id, resolveTemplate(id, definitions));
+            } catch (error) {
+                this.emit('template-invalid', { templateId: id, errors: [error.message] });
+            }
+        }
+
+        this.templates = templates;
     }
 
     /**
@@ -315,13 +756,20 @@ export class ClaudeFlowIntegration extends EventEmitter {
 
         const workflowId = `workflow-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
 
+        const plan = this.planWorkflow(template.phases);
+
+        // Template defaults, overridden by values from the workflow context
+        const variables = { ...template.variables, ...context };
+
         const workflow = {
             id: workflowId,
             template: templateId,
-            name: template.name,
+            name: interpolate(template.name, variables),
+            model: template.model || null,
             context: context,
             phases: template.phases.map(phase => ({
                 ...phase,
+                prompt: interpolate(phase.prompt, variables),
                 status: 'pending',
                 result: null,
                 startedAt: null,
@@ -331,10 +779,14 @@ export class ClaudeFlowIntegration extends EventEmitter {
             status: 'created',
             createdAt: new Date().toISOString(),
             completedAt: null,
-            outputs: {}
+            outputs: {},
+            phaseOutputs: {},
+            plan,
+            trace: [] // branch and loop decisions, in order
         };
 
         this.workflows.set(workflowId, workflow);
+        await this.persistWorkflow(workflow);
         this.emit('workflow-created', { workflowId, workflow });
 
         return workflow;
@@ -342,50 +794,733 @@ export class ClaudeFlowIntegration extends EventEmitter {
 
     /**
      * Execute a workflow
+     * Phases run as a DAG: each starts once its dependencies complete, with up
+     * to `workflows.maxConcurrent` phases in flight. Completed phases are
+     * skipped and state is persisted after every phase so an interrupted run
+     * can resume.
      * @param {string} workflowId - Workflow to execute
      */
     async executeWorkflow(workflowId) {
-        const workflow = this.workflows.get(workflowId);
+        const workflow = await this.loadWorkflow(workflowId);
         if (!workflow) {
             throw new Error(`Workflow not found: ${workflowId}`);
         }
 
+        if (this.workflowControl.has(workflowId)) {
+            throw new Error(`Workflow already running: ${workflowId}`);
+        }
+
+        const graph = buildPhaseGraph(workflow.phases);
+        workflow.plan ||= this.planWorkflow(workflow.phases);
+        workflow.trace ||= [];
+
+        const control = { controller: new AbortController(), pauseRequested: false };
+        this.workflowControl.set(workflowId, control);
+
         workflow.status = 'running';
+        workflow.error = null;
+        await this.persistWorkflow(workflow);
         this.emit('workflow-started', { workflowId });
 
         try {
-            for (let i = workflow.currentPhase; i < workflow.phases.length; i++) {
-                const phase = workflow.phases[i];
-                workflow.currentPhase = i;
+            await this.runPhaseGraph(workflow, graph, control);
+
+            const rejected = workflow.phases.find(phase => phase.status === 'rejected');
+            if (rejected) {
+                this.markCancelled(workflow);
+                workflow.status = 'rejected';
+                workflow.error = `Phase "${rejected.name}" was rejected${rejected.decision?.comment ? `: ${rejected.decision.comment}` : ''}`;
+                await this.persistWorkflow(workflow);
+                this.emit('workflow-rejected', { workflowId, phase: rejected.name, decision: rejected.decision });
+                return workflow;
+            }
 
-                await this.executePhase(workflow, phase);
+            const remaining = workflow.phases.filter(phase => !isSettled(phase));
+            if (remaining.length > 0) {
+                const awaiting = remaining.filter(phase => phase.status === 'awaiting-approval');
+                if (awaiting.length > 0) {
+                    workflow.status = 'awaiting-approval';
+                    await this.persistWorkflow(workflow);
+                    this.emit('workflow-awaiting-approval', { workflowId, phases: awaiting.map(p => p.name) });
+                    return workflow;
+                }
 
-                // Store reasoning for this phase
-                await this.storeReasoning(`${workflowId}-${phase.name}`, {
-                    type: 'workflow-phase',
-                    workflowId,
-                    phase: phase.name,
-                    result: phase.result,
-                    context: workflow.context
-                });
+                if (!control.pauseRequested) {
+                    throw new Error(`Workflow stalled with unfinished phases: ${remaining.map(p => p.name).join(', ')}`);
+                }
+
+                workflow.status = 'paused';
+                await this.persistWorkflow(workflow);
+                this.emit('workflow-paused', { workflowId, pending: remaining.map(p => p.name) });
+                return workflow;
             }
 
             workflow.status = 'completed';
             workflow.completedAt = new Date().toISOString();
+            workflow.plan.criticalPath = this.measureCriticalPath(workflow, graph);
+            await this.persistWorkflow(workflow);
 
             this.emit('workflow-completed', { workflowId, workflow });
             return workflow;
         } catch (error) {
+            if (control.controller.signal.aborted) {
+                this.markCancelled(workflow);
+                await this.persistWorkflow(workflow);
+                this.emit('workflow-cancelled', { workflowId });
+                return workflow;
+            }
+
             workflow.status = 'failed';
+            workflow.error = error.message;
+            await this.persistWorkflow(workflow);
             this.emit('workflow-failed', { workflowId, error });
             throw error;
+        } finally {
+            this.workflowControl.delete(workflowId);
+
+            // A decision that landed while this run was winding down
+            if (workflow.status === 'awaiting-approval' &&
+                !workflow.phases.some(phase => phase.status === 'awaiting-approval')) {
+                this.continueWorkflow(workflowId);
+            }
+        }
+    }
+
+    /**
+     * Schedule pending phases whose dependencies are complete.
+     * Stops starting new phases after a failure, rejection or pause request
+     * and waits for in-flight phases to settle; the first failure is rethrown.
+     * Phases awaiting approval block only their dependents.
+     */
+    async runPhaseGraph(workflow, graph, control) {
+        const limit = Math.max(1, this.config.workflows.maxConcurrent || 1);
+        const phasesByName = new Map(workflow.phases.map(phase => [phase.name, phase]));
+        const running = new Map(); // phase name -> settled promise
+        let failure = null;
+
+        const isReady = phase =>
+            phase.status === 'pending' &&
+            !running.has(phase.name) &&
+            graph.get(phase.name).every(name => isSettled(phasesByName.get(name)));
+
+        const halted = () =>
+            failure ||
+            control.pauseRequested ||
+            control.controller.signal.aborted ||
+            workflow.phases.some(phase => phase.status === 'rejected');
+
+        while (true) {
+            if (!halted()) {
+                for (const phase of workflow.phases) {
+                    if (running.size >= limit) break;
+                    if (!isReady(phase)) continue;
+
+                    running.set(phase.name, this.runPhase(workflow, phase, control).then(
+                        () => ({ phase, error: null }),
+                        error => ({ phase, error })
+                    ));
+                }
+            }
+
+            if (running.size === 0) break;
+
+            // An approval decision wakes the loop to schedule newly unblocked phases
+            const woken = new Promise(resolve => { control.wake = resolve; });
+            const settled = await Promise.race([...running.values(), woken]);
+            if (!settled) continue;
+
+            const { phase, error } = settled;
+            running.delete(phase.name);
+
+            if (error && !failure) {
+                failure = error;
+            }
+        }
+
+        if (failure) throw failure;
+    }
+
+    /**
+     * Execute one phase, then record its reasoning and persist the workflow.
+     * Handles `when` (skip), `switch` (route) and `loop` (re-run until) phases.
+     */
+    async runPhase(workflow, phase, control) {
+        workflow.currentPhase = workflow.phases.indexOf(phase);
+
+        try {
+            if (phase.when && !this.checkWhen(workflow, phase)) {
+                await this.persistWorkflow(workflow);
+                return;
+            }
+
+            if (phase.switch) {
+                this.routeSwitch(workflow, phase);
+                await this.persistWorkflow(workflow);
+                return;
+            }
+        } catch (error) {
+            phase.status = 'failed';
+            phase.error = error.message;
+            throw error;
+        }
+
+        // Approval-only phases have no prompt and only gate their dependents
+        if (phase.approval && typeof phase.prompt !== 'string') {
+            phase.startedAt = new Date().toISOString();
+            await this.requestApproval(workflow, phase);
+            return;
+        }
+
+        const loop = phase.loop;
+        const maxIterations = loop ? loop.maxIterations || 3 : 1;
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            phase.iteration = iteration;
+
+            await this.executePhase(workflow, phase, { signal: control.controller.signal });
+
+            // Store reasoning for this phase
+            await this.storeReasoning(`${workflow.id}-${phase.name}`, {
+                type: 'workflow-phase',
+                workflowId: workflow.id,
+                phase: phase.name,
+                iteration,
+                result: phase.result,
+                context: workflow.context
+            });
+
+            if (!loop) break;
+
+            const satisfied = this.evaluatePhaseCondition(workflow, phase, loop.until);
+            this.recordTrace(workflow, {
+                type: 'loop',
+                phase: phase.name,
+                condition: loop.until,
+                iteration,
+                result: satisfied
+            });
+
+            if (satisfied) break;
+
+            if (iteration === maxIterations) {
+                this.emit('phase-loop-exhausted', { workflowId: workflow.id, phase: phase.name, iterations: iteration });
+                if (loop.onExhausted === 'fail') {
+                    phase.status = 'failed';
+                    phase.error = `Loop condition not met after ${iteration} iterations: ${loop.until}`;
+                    throw new Error(`Phase "${phase.name}": ${phase.error}`);
+                }
+                break;
+            }
+
+            await this.persistWorkflow(workflow);
+        }
+
+        if (phase.approval) {
+            await this.requestApproval(workflow, phase);
+            return;
+        }
+
+        await this.persistWorkflow(workflow);
+    }
+
+    /**
+     * Evaluate a phase's `when` condition, skipping the phase when false
+     */
+    checkWhen(workflow, phase) {
+        const result = this.evaluatePhaseCondition(workflow, phase, phase.when);
+        this.recordTrace(workflow, { type: 'when', phase: phase.name, condition: phase.when, result });
+
+        if (!result) {
+            this.skipPhase(workflow, phase, 'when');
+        }
+        return result;
+    }
+
+    /**
+     * Evaluate a `switch` phase and skip the phases of every branch not taken.
+     * The switch value is matched against `cases` keys; unmatched values take
+     * `default`.
+     */
+    routeSwitch(workflow, phase) {
+        phase.startedAt = new Date().toISOString();
+
+        const value = evaluateExpression(phase.switch, ref => this.resolveConditionRef(workflow, ref));
+        const cases = phase.cases || {};
+        const key = value == null ? null : String(value);
+        const branch = key !== null && Object.hasOwn(cases, key) ? key : 'default';
+        const selected = branch === 'default' ? phase.default || [] : cases[branch];
+
+        const targets = new Set([...Object.values(cases).flat(), ...(phase.default || [])]);
+        for (const name of targets) {
+            const target = workflow.phases.find(p => p.name === name);
+            if (!selected.includes(name) && target.status === 'pending') {
+                this.skipPhase(workflow, target, phase.name);
+            }
+        }
+
+        phase.result = { value, branch, phases: selected };
+        phase.status = 'completed';
+        phase.completedAt = new Date().toISOString();
+
+        this.recordTrace(workflow, {
+            type: 'switch',
+            phase: phase.name,
+            condition: phase.switch,
+            value,
+            branch,
+            phases: selected
+        });
+    }
+
+    /**
+     * Mark a phase skipped. Skipped phases satisfy their dependents.
+     */
+    skipPhase(workflow, phase, reason) {
+        phase.status = 'skipped';
+        phase.skippedBy = reason;
+        phase.completedAt = new Date().toISOString();
+        this.emit('phase-skipped', { workflowId: workflow.id, phase: phase.name, reason });
+    }
+
+    /**
+     * Evaluate a condition against the workflow's outputs
+     */
+    evaluatePhaseCondition(workflow, phase, expression) {
+        try {
+            return evaluateCondition(expression, ref => this.resolveConditionRef(workflow, ref));
+        } catch (error) {
+            throw new Error(`Invalid condition on phase "${phase.name}": ${error.message}`);
+        }
+    }
+
+    /**
+     * Resolve a condition reference. Beyond `phase.output`, references may
+     * walk into the value (`testing.results.passed`).
+     */
+    resolveConditionRef(workflow, ref) {
+        const parts = ref.split('.');
+
+        for (let i = parts.length; i > 0; i--) {
+            const value = this.resolveOutputRef(workflow, parts.slice(0, i).join('.'));
+            if (value !== undefined) {
+                return parts.slice(i).reduce(
+                    (current, part) => (current != null ? current[part] : undefined),
+                    value
+                );
+            }
+        }
+
+        return undefined;
+    }
+
+    /**
+     * Append a branch or loop decision to the workflow's execution trace
+     */
+    recordTrace(workflow, entry) {
+        const record = { ...entry, at: new Date().toISOString() };
+        workflow.trace.push(record);
+        this.emit('workflow-trace', { workflowId: workflow.id, ...record });
+    }
+
+    /**
+     * Critical path weighted by actual phase durations (ms)
+     */
+    measureCriticalPath(workflow, graph) {
+        const durations = new Map(workflow.phases.map(phase => [
+            phase.name,
+            phase.startedAt && phase.completedAt
+                ? new Date(phase.completedAt) - new Date(phase.startedAt)
+                : 0
+        ]));
+
+        const { phases, length } = criticalPath(graph, name => durations.get(name));
+        return { phases, length: phases.length, durationMs: length };
+    }
+
+    /**
+     * Execution plan for a set of phases: parallel stages and the critical
+     * path by phase count. Throws if the phases form a cycle.
+     */
+    planWorkflow(phases) {
+        const graph = buildPhaseGraph(phases);
+
+        return {
+            dependencies: Object.fromEntries(graph),
+            stages: executionStages(graph),
+            criticalPath: criticalPath(graph)
+        };
+    }
+
+    /**
+     * Pause a workflow. A running workflow stops after its current phase.
+     * @param {string} workflowId - Workflow to pause
+     */
+    async pauseWorkflow(workflowId) {
+        const workflow = await this.loadWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow not found: ${workflowId}`);
+        }
+
+        const control = this.workflowControl.get(workflowId);
+        if (control) {
+            control.pauseRequested = true;
+            this.emit('workflow-pause-requested', { workflowId });
+            return workflow;
+        }
+
+        if (['completed', 'cancelled', 'rejected'].includes(workflow.status)) {
+            throw new Error(`Cannot pause ${workflow.status} workflow: ${workflowId}`);
+        }
+
+        workflow.status = 'paused';
+        await this.persistWorkflow(workflow);
+        this.emit('workflow-paused', { workflowId });
+        return workflow;
+    }
+
+    /**
+     * Resume a paused, interrupted or failed workflow from its last completed phase
+     * @param {string} workflowId - Workflow to resume
+     */
+    async resumeWorkflow(workflowId) {
+        const workflow = await this.loadWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow not found: ${workflowId}`);
+        }
+
+        if (!['paused', 'interrupted', 'failed', 'created'].includes(workflow.status)) {
+            throw new Error(`Cannot resume ${workflow.status} workflow: ${workflowId}`);
+        }
+
+        // Re-run the phase that failed or was cut off
+        for (const phase of workflow.phases) {
+            if (phase.status === 'failed' || phase.status === 'running') {
+                phase.status = 'pending';
+                phase.error = null;
+            }
+        }
+
+        this.emit('workflow-resumed', { workflowId, fromPhase: workflow.currentPhase });
+        return this.executeWorkflow(workflowId);
+    }
+
+    /**
+     * Cancel a workflow. A running workflow aborts its in-flight phase.
+     * @param {string} workflowId - Workflow to cancel
+     */
+    async cancelWorkflow(workflowId) {
+        const workflow = await this.loadWorkflow(workflowId);
+        if (!workflow) {
+            throw new Error(`Workflow not found: ${workflowId}`);
+        }
+
+        const control = this.workflowControl.get(workflowId);
+        if (control) {
+            control.controller.abort();
+            return workflow;
+        }
+
+        if (['completed', 'cancelled', 'rejected'].includes(workflow.status)) {
+            return workflow;
+        }
+
+        this.markCancelled(workflow);
+        await this.persistWorkflow(workflow);
+        this.emit('workflow-cancelled', { workflowId });
+        return workflow;
+    }
+
+    /**
+     * Set cancelled state on a workflow and its unfinished phases
+     */
+    markCancelled(workflow) {
+        workflow.status = 'cancelled';
+        workflow.completedAt = new Date().toISOString();
+        for (const phase of workflow.phases) {
+            if (phase.status === 'awaiting-approval') {
+                this.clearApprovalTimer(workflow.id, phase.name);
+            }
+            if (!isSettled(phase) && phase.status !== 'rejected') {
+                phase.status = 'cancelled';
+            }
+        }
+    }
+
+    // =========================================================================
+    // APPROVAL GATES
+    // =========================================================================
+
+    /**
+     * Hold a phase in `awaiting-approval` until a human decides.
+     * The phase's output (if any) stays available for review; dependents
+     * wait. Without a decision, the default action applies after the timeout.
+     */
+    async requestApproval(workflow, phase) {
+        const settings = typeof phase.approval === 'object' ? phase.approval : {};
+        const timeout = settings.timeout ?? this.config.approvals.timeout;
+        const requestedAt = new Date();
+
+        phase.status = 'awaiting-approval';
+        phase.approvalRequest = {
+            message: settings.message || `Approve the "${phase.name}" phase of ${workflow.name}?`,
+            requestedAt: requestedAt.toISOString(),
+            expiresAt: timeout > 0 ? new Date(requestedAt.getTime() + timeout).toISOString() : null,
+            defaultAction: settings.defaultAction || this.config.approvals.defaultAction
+        };
+
+        this.armApprovalTimer(workflow, phase);
+        await this.persistWorkflow(workflow);
+
+        this.emit('approval-requested', this.describeApproval(workflow, phase));
+    }
+
+    /**
+     * Approve a phase awaiting approval
+     * @param {string} workflowId - Workflow ID
+     * @param {string} phaseName - Phase awaiting approval
+     * @param {Object} options - { approver, comment }
+     */
+    async approvePhase(workflowId, phaseName, options = {}) {
+        return this.decideApproval(workflowId, phaseName, 'approved', options);
+    }
+
+    /**
+     * Reject a phase awaiting approval. The workflow ends as `rejected`.
+     * @param {string} workflowId - Workflow ID
+     * @param {string} phaseName - Phase awaiting approval
+     * @param {Object} options - { approver, comment }
+     */
+    async rejectPhase(workflowId, phaseName, options = {}) {
+        return this.decideApproval(workflowId, phaseName, 'rejected', options);
+    }
+
+    /**
+     * Record an approval decision, store it with the phase's reasoning and
+     * continue the workflow.
+     */
+    async decideApproval(workflowId, phaseName, decision, options = {}) {
+        const workflow = await this.loadWorkflow(workflowId);
+        if (!workflow) {
+            const error = new Error(`Workflow not found: ${workflowId}`);
+            error.status = 404;
+            throw error;
         }
+
+        const phase = workflow.phases.find(p => p.name === phaseName);
+        if (!phase || phase.status !== 'awaiting-approval') {
+            const error = new Error(`Phase "${phaseName}" is not awaiting approval`);
+            error.status = phase ? 409 : 404;
+            throw error;
+        }
+
+        this.clearApprovalTimer(workflowId, phaseName);
+
+        phase.decision = {
+            decision,
+            approver: options.approver || 'anonymous',
+            comment: options.comment || null,
+            decidedAt: new Date().toISOString(),
+            timedOut: options.timedOut === true
+        };
+        phase.status = decision === 'approved' ? 'completed' : 'rejected';
+        phase.completedAt = phase.decision.decidedAt;
+
+        // Keep the decision alongside the phase's reasoning
+        const key = `${workflowId}-${phase.name}`;
+        const existing = await this.getReasoning(key);
+        await this.storeReasoning(key, {
+            type: 'workflow-phase',
+            workflowId,
+            phase: phase.name,
+            result: phase.result,
+            context: workflow.context,
+            ...existing?.reasoning,
+            approval: phase.decision
+        });
+
+        await this.persistWorkflow(workflow);
+        this.emit('approval-decided', { workflowId, phase: phase.name, ...phase.decision });
+
+        const control = this.workflowControl.get(workflowId);
+        if (control) {
+            control.wake?.();
+        } else if (workflow.status === 'awaiting-approval') {
+            this.continueWorkflow(workflowId);
+        }
+
+        return workflow;
+    }
+
+    /**
+     * Continue a workflow in the background after an approval decision
+     */
+    continueWorkflow(workflowId) {
+        setImmediate(() => {
+            this.executeWorkflow(workflowId).catch(error =>
+                this.emit('workflow-resume-failed', { workflowId, error })
+            );
+        });
+    }
+
+    /**
+     * Pending approvals across all workflows
+     */
+    listPendingApprovals() {
+        const pending = [];
+        for (const workflow of this.workflows.values()) {
+            for (const phase of workflow.phases) {
+                if (phase.status === 'awaiting-approval') {
+                    pending.push(this.describeApproval(workflow, phase));
+                }
+            }
+        }
+        return pending;
+    }
+
+    /**
+     * Public view of a pending approval, including the output under review
+     */
+    describeApproval(workflow, phase) {
+        return {
+            workflowId: workflow.id,
+            workflow: workflow.name,
+            template: workflow.template,
+            phase: phase.name,
+            result: phase.result,
+            ...phase.approvalRequest
+        };
+    }
+
+    /**
+     * Apply the default action when an approval expires
+     */
+    armApprovalTimer(workflow, phase) {
+        const { expiresAt, defaultAction } = phase.approvalRequest;
+        if (!expiresAt) return;
+
+        const key = `${workflow.id}:${phase.name}`;
+        clearTimeout(this.approvalTimers.get(key));
+
+        // setTimeout overflows past ~24.8 days; re-arm until actually expired
+        const remaining = new Date(expiresAt).getTime() - Date.now();
+        const timer = setTimeout(() => {
+            this.approvalTimers.delete(key);
+            if (new Date(expiresAt).getTime() > Date.now()) {
+                this.armApprovalTimer(workflow, phase);
+                return;
+            }
+
+            this.decideApproval(workflow.id, phase.name, defaultAction === 'approve' ? 'approved' : 'rejected', {
+                approver: 'system',
+                comment: 'Approval timed out',
+                timedOut: true
+            }).catch(error => this.emit('approval-timeout-failed', { workflowId: workflow.id, phase: phase.name, error }));
+        }, Math.min(Math.max(remaining, 0), 2147483647));
+
+        timer.unref?.();
+        this.approvalTimers.set(key, timer);
+    }
+
+    /**
+     * Cancel the expiry timer for an approval
+     */
+    clearApprovalTimer(workflowId, phaseName) {
+        const key = `${workflowId}:${phaseName}`;
+        clearTimeout(this.approvalTimers.get(key));
+        this.approvalTimers.delete(key);
+    }
+
+    /**
+     * Get a workflow from memory, falling back to the store
+     */
+    async loadWorkflow(workflowId) {
+        let workflow = this.workflows.get(workflowId);
+
+        if (!workflow && this.workflowStore) {
+            workflow = await this.workflowStore.getWorkflow(workflowId);
+            if (workflow) {
+                this.workflows.set(workflowId, workflow);
+            }
+        }
+
+        return workflow || null;
+    }
+
+    /**
+     * Persist workflow state. Failures are reported, not thrown, so a
+     * storage problem never fails a phase that already completed.
+     */
+    async persistWorkflow(workflow) {
+        if (!this.workflowStore) return;
+
+        try {
+            await this.workflowStore.saveWorkflow(workflow);
+        } catch (error) {
+            this.emit('workflow-persist-failed', { workflowId: workflow.id, error });
+        }
+    }
+
+    /**
+     * Reload unfinished workflows from the store after a restart.
+     * Workflows left `running` were interrupted mid-phase; they are marked
+     * `interrupted` for resumeInterrupted().
+     */
+    async restoreWorkflows() {
+        const stored = await this.workflowStore.listWorkflows({
+            status: ['running', 'paused', 'interrupted', 'created', 'awaiting-approval']
+        });
+
+        const interrupted = [];
+
+        for (const workflow of stored) {
+            if (workflow.status === 'running') {
+                workflow.status = 'interrupted';
+                for (const phase of workflow.phases) {
+                    if (phase.status === 'running') {
+                        phase.status = 'pending';
+                    }
+                }
+                await this.persistWorkflow(workflow);
+            }
+
+            if (workflow.status === 'interrupted') {
+                interrupted.push(workflow.id);
+            }
+
+            this.workflows.set(workflow.id, workflow);
+
+            // Expired approvals resolve as soon as their timer re-arms
+            for (const phase of workflow.phases) {
+                if (phase.status === 'awaiting-approval' && phase.approvalRequest) {
+                    this.armApprovalTimer(workflow, phase);
+                }
+            }
+        }
+
+        this.emit('workflows-restored', { count: stored.length, interrupted });
+    }
+
+    /**
+     * Resume every interrupted workflow in the background
+     * @returns {string[]} IDs of the workflows resumed
+     */
+    resumeInterrupted() {
+        const resumed = [];
+        for (const workflow of this.workflows.values()) {
+            if (workflow.status !== 'interrupted') continue;
+
+            resumed.push(workflow.id);
+            this.resumeWorkflow(workflow.id).catch(error =>
+                this.emit('workflow-resume-failed', { workflowId: workflow.id, error })
+            );
+        }
+        return resumed;
     }
 
     /**
      * Execute a single workflow phase
      */
-    async executePhase(workflow, phase) {
+    async executePhase(workflow, phase, options = {}) {
         phase.status = 'running';
         phase.startedAt = new Date().toISOString();
 
@@ -395,33 +1530,55 @@ export class ClaudeFlowIntegration extends EventEmitter {
             // Build context from previous phases
             const phaseContext = {
                 workflow: workflow.context,
-                previousOutputs: workflow.outputs,
+                previousOutputs: phase.inputs
+                    ? this.resolvePhaseInputs(workflow, phase.inputs)
+                    : workflow.outputs,
                 currentPhase: phase.name
             };
 
-            // Execute through LLM gateway
-            const result = await this.callGateway({
-                model: workflow.context.model || 'qwen-coder',
+            const priorReasoning = await this.retrievePriorReasoning(workflow, phase);
+            if (priorReasoning.length > 0) {
+                phaseContext.priorReasoning = priorReasoning;
+            }
+
+            // Later loop iterations see what the previous attempt produced
+            if (phase.iteration > 1) {
+                phaseContext.iteration = phase.iteration;
+                phaseContext.previousAttempt = phase.result;
+            }
+
+            const request = {
+                model: phase.model || workflow.context.model || workflow.model || 'qwen-coder',
                 messages: [
                     {
                         role: 'system',
-                        content: `You are executing the "${phase.name}" phase of the ${workflow.name}. ${phase.prompt}`
+                        content: `You are executing the "${phase.name}" phase of the ${workflow.name}. ${phase.prompt}` +
+                            (phaseContext.priorReasoning
+                                ? ' Related reasoning from earlier work is provided as priorReasoning; reuse it where it applies.'
+                                : '')
                     },
                     {
                         role: 'user',
                         content: JSON.stringify(phaseContext)
                     }
                 ]
-            });
+            };
+
+            // Phases with declared outputs get validated JSON, others free text
+            const structured = phase.outputs?.length > 0 || !!phase.schema;
+            const result = structured
+                ? await this.callStructured(workflow, phase, request, options)
+                : await this.callGateway(request, options);
 
             phase.result = result;
             phase.status = 'completed';
             phase.completedAt = new Date().toISOString();
 
-            // Store outputs
-            if (phase.outputs) {
-                for (const output of phase.outputs) {
-                    workflow.outputs[output] = result[output] || result;
+            // Store outputs as separate fields
+            if (structured) {
+                workflow.phaseOutputs[phase.name] = result;
+                for (const output of phase.outputs || Object.keys(result)) {
+                    workflow.outputs[output] = result[output];
                 }
             }
 
@@ -433,10 +1590,120 @@ export class ClaudeFlowIntegration extends EventEmitter {
         }
     }
 
+    /**
+     * Get the JSON schema for a phase's outputs.
+     * Without an explicit schema every declared output is a required field.
+     */
+    getPhaseSchema(phase) {
+        if (phase.schema) return phase.schema;
+
+        return {
+            type: 'object',
+            properties: Object.fromEntries((phase.outputs || []).map(output => [output, {}])),
+            required: phase.outputs || []
+        };
+    }
+
+    /**
+     * Ask for JSON matching the phase schema, re-prompting with the
+     * validation errors until it parses or repair attempts run out
+     */
+    async callStructured(workflow, phase, request, options = {}) {
+        const schema = this.getPhaseSchema(phase);
+        const { maxRepairAttempts, responseFormat } = this.config.structuredOutput;
+
+        const messages = [...request.messages];
+        messages[0] = {
+            ...messages[0],
+            content: `${messages[0].content}\n\nRespond with a single JSON object only, no prose, ` +
+                `matching this JSON schema:\n${JSON.stringify(schema)}`
+        };
+
+        let errors = [];
+
+        for (let attempt = 0; attempt <= maxRepairAttempts; attempt++) {
+            const content = await this.callGateway({
+                ...request,
+                messages,
+                response_format: responseFormat ? { type: 'json_object' } : undefined
+            }, options);
+
+            let parsed;
+            try {
+                parsed = extractJson(content);
+                errors = validateSchema(parsed, schema);
+            } catch (error) {
+                errors = [`invalid JSON: ${error.message}`];
+            }
+
+            if (errors.length === 0) {
+                return parsed;
+            }
+
+            this.emit('phase-output-invalid', {
+                workflowId: workflow.id,
+                phase: phase.name,
+                attempt,
+                errors
+            });
+
+            messages.push(
+                { role: 'assistant', content },
+                {
+                    role: 'user',
+                    content: `Your response did not match the required schema:\n- ${errors.join('\n- ')}\n` +
+                        'Reply again with only the corrected JSON object.'
+                }
+            );
+        }
+
+        throw new Error(`Phase "${phase.name}" output failed schema validation: ${errors.join('; ')}`);
+    }
+
+    /**
+     * Resolve a phase's declared inputs from earlier outputs.
+     * References are "phase.output", a bare output name, or a phase name
+     * (its whole output object). Accepts an array of references or an
+     * object mapping local names to references.
+     */
+    resolvePhaseInputs(workflow, inputs) {
+        const entries = Array.isArray(inputs)
+            ? inputs.map(ref => [ref, ref])
+            : Object.entries(inputs);
+
+        return Object.fromEntries(entries.map(([name, ref]) => [name, this.resolveOutputRef(workflow, ref)]));
+    }
+
+    /**
+     * Look up a single output reference
+     */
+    resolveOutputRef(workflow, ref) {
+        const dot = ref.indexOf('.');
+        if (dot !== -1) {
+            const phaseName = ref.slice(0, dot);
+            const output = ref.slice(dot + 1);
+            if (phaseName in workflow.phaseOutputs) {
+                return workflow.phaseOutputs[phaseName]?.[output];
+            }
+        }
+
+        if (ref in workflow.outputs) {
+            return workflow.outputs[ref];
+        }
+
+        if (ref in workflow.phaseOutputs) {
+            return workflow.phaseOutputs[ref];
+        }
+
+        return workflow.phases.find(p => p.name === ref)?.result;
+    }
+
     /**
      * Call the LiteLLM gateway
+     * @param {Object} request - Chat completion request
+     * @param {Object} options - { signal } to abort the call
      */
-    async callGateway(request) {
+    async callGateway(request, options = {}) {
         const gatewayUrl = process.env.LITELLM_URL || 'http://localhost:4000';
 
         const response = await fetch(`${gatewayUrl}/v1/chat/completions`, {
@@ -445,7 +1712,8 @@ export class ClaudeFlowIntegration extends EventEmitter {
                 'Content-Type': 'application/json',
                 'Authorization': `Bearer ${process.env.LITELLM_MASTER_KEY || ''}`
             },
-            body: JSON.stringify(request)
+            body: JSON.stringify(request),
+            signal: options.signal
         });
 
         if (!response.ok) {
@@ -487,27 +1755,67 @@ export class ClaudeFlowIntegration extends EventEmitter {
         return Array.from(this.templates.entries()).map(([id, template]) => ({
             id,
             name: template.name,
+            description: template.description,
+            extends: template.extends,
+            source: this.templateSource(id),
             phases: template.phases.length
         }));
     }
 
+    /**
+     * Where the active definition of a template came from
+     */
+    templateSource(id) {
+        if (this.templateDefinitions.api.has(id)) return 'api';
+        if (this.templateFiles.has(id)) return this.templateFiles.get(id);
+        return 'builtin';
+    }
+
     /**
      * Shutdown
      */
     async shutdown() {
+        // Let in-flight reasoning index writes land
+        await Promise.allSettled([...this.reasoningIndexing]);
+
         // Persist any unsaved reasoning
-        if (this.reasoningBank && this.config.reasoningBank.persistPath) {
-            const indexPath = path.join(this.config.reasoningBank.persistPath, 'index.json');
-            const index = {
-                metadata: this.reasoningBank.metadata,
-                entries: Array.from(this.reasoningBank.entries.keys())
-            };
-            await fs.writeFile(indexPath, JSON.stringify(index, null, 2));
+        if (this.reasoningStore) {
+            await this.reasoningStore.setMetadata(this.reasoningBank.metadata);
+            await this.reasoningStore.close();
+            this.reasoningStore = null;
         }
 
+        this.unwatchTemplateDirectory();
+        for (const timer of this.approvalTimers.values()) {
+            clearTimeout(timer);
+        }
+        this.approvalTimers.clear();
         this.workflows.clear();
         this.emit('shutdown');
     }
 }
 
+/**
+ * Vector index ID for a ReasoningBank entry
+ */
+function reasoningVectorId(key) {
+    return `reasoning:${key}`;
+}
+
+/**
+ * Text embedded for a ReasoningBank entry. Workflow context is left out:
+ * it repeats across phases and would dominate similarity.
+ */
+function reasoningText(entry) {
+    const { context, ...reasoning } = entry.reasoning || {};
+    return JSON.stringify(reasoning).slice(0, 8000);
+}
+
+/**
+ * Completed or skipped: the phase no longer blocks its dependents
+ */
+function isSettled(phase) {
+    return phase.status === 'completed' || phase.status === 'skipped';
+}
+
 export default ClaudeFlowIntegration;
@@ -0,0 +1,289 @@
+/**
+ * =============================================================================
+ * Document Chunker
+ * Structure-aware splitting of Markdown, code, JSON and plain text
+ * =============================================================================
+ */
+
+import path from 'path';
+
+/**
+ * File extension -> format
+ */
+export const DOCUMENT_FORMATS = {
+    '.md': 'markdown',
+    '.mdx': 'markdown',
+    '.markdown': 'markdown',
+    '.txt': 'text',
+    '.rst': 'text',
+    '.json': 'json',
+    '.js': 'code',
+    '.mjs': 'code',
+    '.cjs': 'code',
+    '.jsx': 'code',
+    '.ts': 'code',
+    '.tsx': 'code',
+    '.py': 'code',
+    '.go': 'code',
+    '.rs': 'code',
+    '.java': 'code',
+    '.rb': 'code',
+    '.sh': 'code'
+};
+
+// Top-level declarations in the supported languages
+const CODE_DECLARATION = new RegExp([
+    '^(?:export\\s+(?:default\\s+)?)?(?:async\\s+)?function\\*?\\s+([\\w$]+)',
+    '^(?:export\\s+(?:default\\s+)?)?(?:abstract\\s+)?class\\s+([\\w$]+)',
+    '^(?:export\\s+)?(?:const|let|var)\\s+([\\w$]+)\\s*=\\s*(?:async\\s+)?(?:function|\\([^)]*\\)\\s*=>|[\\w$]+\\s*=>)',
+    '^(?:export\\s+)?(?:interface|type|enum)\\s+([\\w$]+)',
+    '^(?:async\\s+)?def\\s+(\\w+)',
+    '^func\\s+(?:\\([^)]*\\)\\s*)?(\\w+)',
+    '^(?:pub(?:\\([^)]*\\))?\\s+)?(?:async\\s+)?(?:fn|struct|enum|trait|impl)\\s+(\\w+)',
+    '^(?:public|private|protected)?\\s*(?:static\\s+)?(?:final\\s+)?(?:class|interface|record)\\s+(\\w+)',
+    '^(?:module|class)\\s+(\\w+)'
+].join('|'));
+
+// Comments and decorators that belong to the declaration below them
+const LEADING_LINE = /^\s*(?:\/\/|\/\*|\*|#|@|""")/;
+
+/**
+ * Detect a file's format from its extension
+ * @returns {string|null} 'markdown' | 'code' | 'json' | 'text', or null if unsupported
+ */
+export function detectFormat(filePath) {
+    return DOCUMENT_FORMATS[path.extname(filePath).toLowerCase()] || null;
+}
+
+/**
+ * Split a document into chunks.
+ *
+ * The document is first cut at structural boundaries (Markdown headings,
+ * top-level code declarations, top-level JSON keys or array items, blank-line
+ * paragraphs for text). Adjacent small sections are merged up to maxChars;
+ * sections longer than maxChars are split at paragraph, line or word breaks,
+ * and those pieces overlap by `overlap` characters.
+ *
+ * @param {string} text - Document text
+ * @param {Object} options - { format, maxChars: 1500, overlap: 200 }
+ * @returns {Object[]} [{ text, start, end, section }] with start/end as
+ *   character offsets into `text` and section the heading path or symbol name
+ */
+export function chunkDocument(text, options = {}) {
+    const { format = 'text', maxChars = 1500, overlap = 200 } = options;
+    if (overlap >= maxChars) {
+        throw new Error('Chunk overlap must be smaller than maxChars');
+    }
+
+    const sections = mergeSections(splitSections(text, format), maxChars);
+    const chunks = [];
+
+    for (const section of sections) {
+        for (const [start, end] of splitRange(text, section.start, section.end, maxChars, overlap)) {
+            const chunkText = text.slice(start, end);
+            if (!chunkText.trim()) continue;
+            chunks.push({ text: chunkText, start, end, section: section.name });
+        }
+    }
+
+    return chunks;
+}
+
+/**
+ * Structural sections: [{ start, end, name }] covering the whole text
+ */
+function splitSections(text, format) {
+    let boundaries;
+    switch (format) {
+        case 'markdown':
+            boundaries = markdownBoundaries(text);
+            break;
+        case 'code':
+            boundaries = codeBoundaries(text);
+            break;
+        case 'json':
+            boundaries = jsonBoundaries(text);
+            break;
+        default:
+            boundaries = [{ offset: 0, name: null }];
+    }
+
+    if (boundaries.length === 0 || boundaries[0].offset > 0) {
+        boundaries.unshift({ offset: 0, name: null });
+    }
+
+    return boundaries.map((boundary, i) => ({
+        start: boundary.offset,
+        end: i + 1 < boundaries.length ? boundaries[i + 1].offset : text.length,
+        name: boundary.name
+    }));
+}
+
+/**
+ * Merge runs of adjacent sections that fit in maxChars together
+ */
+function mergeSections(sections, maxChars) {
+    const merged = [];
+    for (const section of sections) {
+        const last = merged[merged.length - 1];
+        if (last && section.end - last.start <= maxChars) {
+            last.end = section.end;
+            last.name ||= section.name;
+        } else {
+            merged.push({ ...section });
+        }
+    }
+    return merged;
+}
+
+function markdownBoundaries(text) {
+    const boundaries = [];
+    const headings = [];
+    let inFence = false;
+
+    for (const { line, offset } of lines(text)) {
+        if (/^\s*(```|~~~)/.test(line)) {
+            inFence = !inFence;
+            continue;
+        }
+        if (inFence) continue;
+
+        const match = /^(#{1,6})\s+(.+?)\s*#*\s*$/.exec(line);
+        if (match) {
+            const level = match[1].length;
+            headings.length = level - 1;
+            headings[level - 1] = match[2];
+            boundaries.push({ offset, name: headings.filter(Boolean).join(' > ') });
+        }
+    }
+
+    return boundaries;
+}
+
+function codeBoundaries(text) {
+    const boundaries = [];
+    const all = lines(text);
+
+    all.forEach(({ line, offset }, i) => {
+        const match = CODE_DECLARATION.exec(line);
+        if (!match) return;
+
+        // Start at the doc comment or decorators above the declaration
+        let start = offset;
+        for (let j = i - 1; j >= 0 && LEADING_LINE.test(all[j].line); j--) {
+            start = all[j].offset;
+        }
+
+        if (boundaries.length > 0 && boundaries[boundaries.length - 1].offset >= start) return;
+        boundaries.push({ offset: start, name: match.slice(1).find(Boolean) });
+    });
+
+    return boundaries;
+}
+
+/**
+ * Offsets of the top-level members of a JSON object or array
+ */
+function jsonBoundaries(text) {
+    const boundaries = [];
+    let depth = 0;
+    let inString = false;
+    let escaped = false;
+    let index = 0;
+    let isArray = false;
+    let expectMember = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (expectMember && !/\s/.test(char)) {
+            expectMember = false;
+            if (char !== ']' && char !== '}') {
+                boundaries.push({
+                    offset: i,
+                    name: isArray ? `[${index++}]` : jsonKey(text, i)
+                });
+            }
+        }
+
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+
+        if (char === '"') {
+            inString = true;
+        } else if (char === '{' || char === '[') {
+            if (depth === 0) {
+                isArray = char === '[';
+                expectMember = true;
+            }
+            depth++;
+        } else if (char === '}' || char === ']') {
+            depth--;
+        } else if (char === ',' && depth === 1) {
+            expectMember = true;
+        }
+    }
+
+    // The opening bracket belongs to the first member
+    if (boundaries.length > 0) {
+        boundaries[0].offset = 0;
+    }
+
+    return boundaries;
+}
+
+function jsonKey(text, offset) {
+    const match = /^"((?:[^"\\]|\\.)*)"/.exec(text.slice(offset, offset + 200));
+    return match ? match[1] : null;
+}
+
+/**
+ * Split [start, end) into ranges of at most maxChars, preferring paragraph,
+ * then line, then word breaks; consecutive ranges overlap by up to `overlap`
+ */
+function splitRange(text, start, end, maxChars, overlap) {
+    const ranges = [];
+    let from = start;
+
+    while (end - from > maxChars) {
+        const limit = from + maxChars;
+        let cut = -1;
+        for (const separator of ['\n\n', '\n', ' ']) {
+            const at = text.lastIndexOf(separator, limit - separator.length);
+            if (at > from + overlap) {
+                cut = at + separator.length;
+                break;
+            }
+        }
+        if (cut === -1) cut = limit;
+
+        ranges.push([from, cut]);
+
+        // Back up by the overlap, then forward to a word start
+        let next = Math.max(cut - overlap, from + 1);
+        if (overlap > 0) {
+            const space = text.slice(next, cut).search(/\s\S/);
+            if (space !== -1) next += space + 1;
+        } else {
+            next = cut;
+        }
+        from = next;
+    }
+
+    ranges.push([from, end]);
+    return ranges;
+}
+
+function lines(text) {
+    const result = [];
+    let offset = 0;
+    for (const line of text.split('\n')) {
+        result.push({ line, offset });
+        offset += line.length + 1;
+    }
+    return result;
+}
@@ -0,0 +1,305 @@
+/**
+ * =============================================================================
+ * Document Ingestion
+ * Chunk, embed and index files and directories into RuVector
+ * =============================================================================
+ */
+
+import EventEmitter from 'events';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { chunkDocument, detectFormat } from './document-chunker.js';
+
+/**
+ * DocumentIngestor - Incremental ingestion of Markdown, code, JSON and text.
+ *
+ * Chunk IDs are derived from the source path and the chunk's content hash,
+ * so re-ingesting a changed file only embeds chunks whose text changed.
+ * AgentDB keeps the document and chunk lists used to detect changes.
+ */
+export class DocumentIngestor extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            maxChars: 1500, // per chunk
+            overlap: 200, // characters shared by consecutive pieces of a long section
+            maxFileSize: 1024 * 1024, // larger files are skipped
+            exclude: ['node_modules', '.git'], // directory and file names never walked
+            collection: null, // RuVector collection for chunk vectors; null uses its default
+            ...config
+        };
+
+        this.store = null;
+        this.vectorIndex = null;
+    }
+
+    /**
+     * Use AgentDB for the document and chunk lists
+     * @param {Object} store - AgentDBIntegration instance
+     */
+    setDocumentStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Use RuVector for chunk embeddings
+     * @param {Object} vectorIndex - RuVectorIntegration instance
+     */
+    setVectorIndex(vectorIndex) {
+        this.vectorIndex = vectorIndex;
+    }
+
+    /**
+     * Ingest files and directories. Unchanged files and chunks are skipped;
+     * documents previously ingested from a directory that no longer exist
+     * (or a listed path that is gone) are removed.
+     * @param {string|string[]} paths - Files or directories
+     * @param {Object} options - { metadata, force, maxChars, overlap }
+     * @returns {Promise<Object>} Ingestion summary
+     */
+    async ingest(paths, options = {}) {
+        const summary = {
+            files: 0,
+            unchangedFiles: 0,
+            removedFiles: 0,
+            embedded: 0,
+            unchangedChunks: 0,
+            removedChunks: 0,
+            failed: []
+        };
+
+        for (const target of Array.isArray(paths) ? paths : [paths]) {
+            const resolved = path.resolve(target);
+            const stat = await fs.stat(resolved).catch(() => null);
+
+            if (!stat) {
+                for (const document of this.documentsUnder(resolved, true)) {
+                    await this.removeDocument(document.source, summary);
+                }
+                continue;
+            }
+
+            if (!stat.isDirectory()) {
+                await this.ingestFile(resolved, options, summary);
+                continue;
+            }
+
+            const seen = new Set();
+            for (const file of await this.walk(resolved)) {
+                seen.add(file);
+                await this.ingestFile(file, options, summary);
+            }
+
+            for (const document of this.documentsUnder(resolved, false)) {
+                if (!seen.has(document.source)) {
+                    await this.removeDocument(document.source, summary);
+                }
+            }
+        }
+
+        this.emit('ingestion-completed', summary);
+        return summary;
+    }
+
+    /**
+     * Ingest one file
+     */
+    async ingestFile(file, options, summary) {
+        const format = options.format || detectFormat(file);
+
+        try {
+            if (!format) {
+                throw new Error(`Unsupported document type: ${path.extname(file) || file}`);
+            }
+
+            const stat = await fs.stat(file);
+            if (stat.size > this.config.maxFileSize) {
+                throw new Error(`File exceeds maxFileSize (${stat.size} > ${this.config.maxFileSize} bytes)`);
+            }
+
+            const content = await fs.readFile(file, 'utf-8');
+            const hash = sha256(content);
+            const existing = this.store.getDocument(file);
+
+            if (existing?.hash === hash && !options.force) {
+                summary.unchangedFiles++;
+                return;
+            }
+
+            const chunks = this.chunk(file, content, format, options);
+            const previous = new Map(
+                (existing ? this.store.getDocumentChunks(file) : []).map(chunk => [chunk.id, chunk])
+            );
+
+            // Chunks already indexed keep their vector; only metadata (offsets) is refreshed
+            const fresh = [];
+            let unchanged = 0;
+            for (const chunk of chunks) {
+                const before = previous.get(chunk.id);
+                const stored = before && await this.vectorIndex.get(chunk.id, this.vectorOptions());
+                const vector = toVector(stored?.vector);
+
+                if (!vector) {
+                    fresh.push(chunk);
+                    continue;
+                }
+
+                unchanged++;
+                if (before.start !== chunk.start || before.end !== chunk.end || before.index !== chunk.index) {
+                    await this.vectorIndex.add(
+                        chunk.id,
+                        vector,
+                        this.chunkMetadata(file, format, chunk, options),
+                        { ...this.vectorOptions(), model: stored.metadata?.embeddingModel }
+                    );
+                }
+            }
+
+            if (fresh.length > 0) {
+                const vectors = await this.vectorIndex.embed(fresh.map(chunk => chunk.text));
+                for (let i = 0; i < fresh.length; i++) {
+                    await this.vectorIndex.add(
+                        fresh[i].id,
+                        vectors[i],
+                        this.chunkMetadata(file, format, fresh[i], options),
+                        this.vectorOptions()
+                    );
+                }
+            }
+
+            const current = new Set(chunks.map(chunk => chunk.id));
+            let removed = 0;
+            for (const id of previous.keys()) {
+                if (!current.has(id)) {
+                    await this.vectorIndex.delete(id, this.vectorOptions());
+                    removed++;
+                }
+            }
+
+            this.store.saveDocument({ source: file, format, hash, size: stat.size }, chunks);
+
+            summary.files++;
+            summary.embedded += fresh.length;
+            summary.unchangedChunks += unchanged;
+            summary.removedChunks += removed;
+
+            this.emit('document-ingested', {
+                source: file,
+                chunks: chunks.length,
+                embedded: fresh.length,
+                unchanged,
+                removed
+            });
+        } catch (error) {
+            summary.failed.push({ source: file, error: error.message });
+            this.emit('document-failed', { source: file, error });
+        }
+    }
+
+    /**
+     * Chunk a document and assign content-derived IDs
+     */
+    chunk(file, content, format, options = {}) {
+        const sourceId = sha256(file).slice(0, 16);
+        const occurrences = new Map();
+
+        return chunkDocument(content, {
+            format,
+            maxChars: options.maxChars || this.config.maxChars,
+            overlap: options.overlap ?? this.config.overlap
+        }).map((chunk, index) => {
+            const hash = sha256(chunk.text);
+            // Identical chunks within one file get distinct IDs
+            const occurrence = occurrences.get(hash) || 0;
+            occurrences.set(hash, occurrence + 1);
+
+            return {
+                ...chunk,
+                index,
+                hash,
+                id: `doc-${sourceId}-${hash.slice(0, 16)}-${occurrence}`
+            };
+        });
+    }
+
+    chunkMetadata(file, format, chunk, options) {
+        return {
+            ...options.metadata,
+            type: 'knowledge',
+            source: file,
+            format,
+            section: chunk.section,
+            chunkIndex: chunk.index,
+            startOffset: chunk.start,
+            endOffset: chunk.end,
+            contentHash: chunk.hash,
+            originalText: chunk.text
+        };
+    }
+
+    vectorOptions() {
+        return { collection: this.config.collection };
+    }
+
+    /**
+     * Remove a document's chunks from the index and forget it
+     */
+    async removeDocument(source, summary) {
+        const chunks = this.store.getDocumentChunks(source);
+        for (const chunk of chunks) {
+            await this.vectorIndex.delete(chunk.id, this.vectorOptions());
+        }
+        this.store.deleteDocument(source);
+
+        if (summary) {
+            summary.removedFiles++;
+            summary.removedChunks += chunks.length;
+        }
+        this.emit('document-removed', { source, chunks: chunks.length });
+    }
+
+    /**
+     * Ingested documents under a directory (or, with `self`, the path itself)
+     */
+    documentsUnder(root, self) {
+        return this.store.listDocuments({ prefix: root })
+            .filter(document => document.source.startsWith(root + path.sep) ||
+                (self && document.source === root));
+    }
+
+    /**
+     * Supported files under a directory, skipping hidden and excluded names
+     */
+    async walk(directory) {
+        const files = [];
+        const entries = await fs.readdir(directory, { withFileTypes: true });
+
+        for (const entry of entries) {
+            if (entry.name.startsWith('.') || this.config.exclude.includes(entry.name)) continue;
+
+            const fullPath = path.join(directory, entry.name);
+            if (entry.isDirectory()) {
+                files.push(...await this.walk(fullPath));
+            } else if (entry.isFile() && detectFormat(fullPath)) {
+                files.push(fullPath);
+            }
+        }
+
+        return files.sort();
+    }
+}
+
+function sha256(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Stored vector as an array (pgvector returns its text form)
+ */
+function toVector(vector) {
+    if (!vector) return null;
+    return typeof vector === 'string' ? JSON.parse(vector) : Array.from(vector);
+}
+
+export default DocumentIngestor;
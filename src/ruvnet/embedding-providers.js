@@ -0,0 +1,230 @@
+/**
+ * =============================================================================
+ * Embedding Providers
+ * Interchangeable text embedders for RuVector, tried in order on failure
+ * =============================================================================
+ *
+ * A provider is any object with:
+ *
+ *   name        label used in events and stats
+ *   model       model identifier recorded with every vector it embeds
+ *   dimensions  vector size, or null until the first response shows it
+ *   embed(texts) -> Promise<number[][]>, one vector per text, in order
+ *
+ * Built in:
+ *
+ *   litellm            the LiteLLM gateway's /v1/embeddings (LITELLM_URL)
+ *   openai             the OpenAI API (OPENAI_API_KEY, OPENAI_BASE_URL)
+ *   openai-compatible  any server implementing POST <url>/embeddings
+ *   hashing            pure-JS feature hashing; no model files, no network
+ *   test               deterministic vectors per text, for tests
+ */
+
+/**
+ * OpenAICompatibleEmbeddingProvider - POST { model, input } to <url>/embeddings
+ */
+export class OpenAICompatibleEmbeddingProvider {
+    /**
+     * @param {Object} options - { url, model, apiKey, dimensions, name, timeout: 30000 }
+     *   where url is the API base, e.g. http://localhost:8080/v1
+     */
+    constructor(options = {}) {
+        if (!options.url) {
+            throw new Error('OpenAI-compatible embedding provider requires a url');
+        }
+        if (!options.model) {
+            throw new Error('OpenAI-compatible embedding provider requires a model');
+        }
+
+        this.name = options.name || 'openai-compatible';
+        this.url = options.url.replace(/\/+$/, '');
+        this.model = options.model;
+        this.apiKey = options.apiKey || null;
+        this.dimensions = options.dimensions || null;
+        this.timeout = options.timeout || 30000;
+    }
+
+    async embed(texts) {
+        const response = await fetch(`${this.url}/embeddings`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                ...(this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {})
+            },
+            body: JSON.stringify({
+                model: this.model,
+                input: texts
+            }),
+            signal: AbortSignal.timeout(this.timeout)
+        });
+
+        if (!response.ok) {
+            const error = new Error(`Embedding error from ${this.name}: ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        const data = await response.json();
+        const vectors = [...data.data]
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(d => d.embedding);
+
+        if (vectors.length !== texts.length) {
+            throw new Error(`Embedding error from ${this.name}: expected ${texts.length} vectors, got ${vectors.length}`);
+        }
+        for (const vector of vectors) {
+            if (this.dimensions && vector.length !== this.dimensions) {
+                throw new Error(`Embedding error from ${this.name}: expected ${this.dimensions} dimensions, got ${vector.length}`);
+            }
+        }
+
+        this.dimensions = this.dimensions || vectors[0]?.length || null;
+        return vectors;
+    }
+}
+
+/**
+ * LiteLLMEmbeddingProvider - Embeddings through the LiteLLM gateway
+ */
+export class LiteLLMEmbeddingProvider extends OpenAICompatibleEmbeddingProvider {
+    constructor(options = {}) {
+        super({
+            name: 'litellm',
+            url: `${process.env.LITELLM_URL || 'http://localhost:4000'}/v1`,
+            apiKey: process.env.LITELLM_MASTER_KEY,
+            ...options
+        });
+    }
+}
+
+/**
+ * HashingEmbeddingProvider - Feature-hashing embedder that runs anywhere.
+ *
+ * Words, word pairs and character trigrams are hashed into the vector with
+ * a hashed sign, weighted by log term frequency, then scaled to unit
+ * length. Texts sharing words and word fragments land close together; it
+ * captures no synonyms, so it is a fallback, not a substitute for a model.
+ */
+export class HashingEmbeddingProvider {
+    /**
+     * @param {Object} options - { dimensions: 1536, name }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'hashing';
+        this.dimensions = options.dimensions || 1536;
+        this.model = `hashing-v1-${this.dimensions}`;
+    }
+
+    async embed(texts) {
+        return texts.map(text => this.embedText(text));
+    }
+
+    embedText(text) {
+        const weights = new Map();
+        const add = (feature, weight) => weights.set(feature, (weights.get(feature) || 0) + weight);
+
+        const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+        words.forEach((word, i) => {
+            add(`w:${word}`, 1);
+            if (i > 0) add(`b:${words[i - 1]} ${word}`, 0.5);
+
+            const padded = `^${word}$`;
+            for (let j = 0; j + 3 <= padded.length; j++) {
+                add(`c:${padded.slice(j, j + 3)}`, 0.25);
+            }
+        });
+
+        const vector = new Array(this.dimensions).fill(0);
+        for (const [feature, weight] of weights) {
+            const index = fnv1a(feature) % this.dimensions;
+            const sign = fnv1a(feature, 0x9747b28c) & 1 ? 1 : -1;
+            vector[index] += sign * (1 + Math.log(1 + weight));
+        }
+        return normalize(vector);
+    }
+}
+
+/**
+ * TestEmbeddingProvider - Deterministic pseudo-random unit vector per text.
+ * Equal texts get equal vectors; different texts are nearly orthogonal.
+ */
+export class TestEmbeddingProvider {
+    /**
+     * @param {Object} options - { dimensions: 1536, name, model: 'test' }
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'test';
+        this.dimensions = options.dimensions || 1536;
+        this.model = options.model || 'test';
+    }
+
+    async embed(texts) {
+        return texts.map(text => {
+            const random = mulberry32(fnv1a(String(text)));
+            return normalize(Array.from({ length: this.dimensions }, () => random() * 2 - 1));
+        });
+    }
+}
+
+/**
+ * Build a provider from a spec. Objects with an embed function are
+ * returned as they are, so custom providers can be mixed in.
+ * @param {Object|string} spec - Type name or { type, ...options }
+ * @param {Object} defaults - Options used when the spec leaves them out
+ *   ({ model, dimensions })
+ */
+export function createEmbeddingProvider(spec, defaults = {}) {
+    if (typeof spec?.embed === 'function') {
+        return spec;
+    }
+
+    const { type, ...options } = typeof spec === 'string' ? { type: spec } : spec;
+    switch (type) {
+        case 'litellm':
+            return new LiteLLMEmbeddingProvider({ model: defaults.model, ...options });
+        case 'openai':
+            return new OpenAICompatibleEmbeddingProvider({
+                name: 'openai',
+                url: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+                apiKey: process.env.OPENAI_API_KEY,
+                model: 'text-embedding-ada-002',
+                ...options
+            });
+        case 'openai-compatible':
+            return new OpenAICompatibleEmbeddingProvider(options);
+        case 'hashing':
+            return new HashingEmbeddingProvider({ dimensions: defaults.dimensions, ...options });
+        case 'test':
+            return new TestEmbeddingProvider({ dimensions: defaults.dimensions, ...options });
+        default:
+            throw new Error(`Unknown embedding provider: ${type}`);
+    }
+}
+
+// =============================================================================
+// INTERNALS
+// =============================================================================
+
+function fnv1a(text, seed = 0x811c9dc5) {
+    let hash = seed;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+function mulberry32(seed) {
+    let state = seed;
+    return () => {
+        state = (state + 0x6D2B79F5) | 0;
+        let t = Math.imul(state ^ (state >>> 15), 1 | state);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function normalize(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => value / norm) : vector;
+}
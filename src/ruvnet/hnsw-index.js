@@ -0,0 +1,599 @@
+/**
+ * =============================================================================
+ * HNSW Index
+ * In-process Hierarchical Navigable Small World graph for approximate
+ * nearest-neighbour search (Malkov & Yashunin, 2016)
+ * =============================================================================
+ */
+
+/**
+ * Distance functions by space. Smaller is closer; cosine vectors are
+ * normalised on insert so cosine distance is 1 - dot product.
+ */
+const SPACES = {
+    cosine: (a, b) => 1 - dot(a, b),
+    dot: (a, b) => -dot(a, b),
+    euclidean: (a, b) => {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) {
+            const d = a[i] - b[i];
+            sum += d * d;
+        }
+        return sum;
+    }
+};
+
+/**
+ * HNSWIndex - Approximate nearest-neighbour index.
+ *
+ * Deleted and replaced nodes are tombstoned: they still route searches but
+ * are never returned. Once tombstones exceed `rebuildThreshold` of the
+ * nodes, the graph is rebuilt from the live vectors.
+ *
+ * With a `codec` (see vector-quantization.js) nodes hold compact codes
+ * instead of Float32 vectors, decoded on the fly when distances are taken.
+ */
+export class HNSWIndex {
+    /**
+     * @param {Object} options - { dimensions, space: 'cosine' | 'dot' | 'euclidean',
+     *   M: 16, efConstruction: 200, efSearch: 64, rebuildThreshold: 0.25, codec: null }
+     */
+    constructor(options = {}) {
+        this.type = 'hnsw';
+        this.dimensions = options.dimensions;
+        this.space = options.space || 'cosine';
+        this.M = options.M || 16;
+        this.efConstruction = options.efConstruction || 200;
+        this.efSearch = options.efSearch || 64;
+        this.rebuildThreshold = options.rebuildThreshold ?? 0.25;
+
+        if (!SPACES[this.space]) {
+            throw new Error(`Unsupported HNSW space: ${this.space}`);
+        }
+        this.distance = SPACES[this.space];
+        this.levelMultiplier = 1 / Math.log(this.M);
+
+        this.clear();
+        this.setCodec(options.codec || null);
+    }
+
+    /**
+     * Remove every node
+     */
+    clear() {
+        this.nodes = []; // { id, vector, level, neighbors: number[][], deleted }
+        this.ids = new Map(); // id -> node index
+        this.entryPoint = -1;
+        this.maxLevel = -1;
+        this.tombstones = 0;
+    }
+
+    /**
+     * Number of live (not deleted) vectors
+     */
+    get size() {
+        return this.ids.size;
+    }
+
+    has(id) {
+        return this.ids.has(id);
+    }
+
+    /**
+     * Store nodes as codes from now on, encoding those already inserted
+     * @param {Object|null} codec - { encode(vector) -> code, decode(code, out) -> Float32Array }
+     */
+    setCodec(codec) {
+        if (codec && this.codec !== codec) {
+            for (const node of this.nodes) {
+                node.vector = codec.encode(this.codec ? this.codec.decode(node.vector) : node.vector);
+            }
+        }
+        this.codec = codec;
+        // Decode targets, one per vector compared at the same time
+        this.scratch = codec ? [0, 1, 2].map(() => new Float32Array(this.dimensions)) : null;
+    }
+
+    /**
+     * Insert a vector, replacing any existing vector with the same ID
+     * @param {string} id - Vector ID
+     * @param {number[]} vector - Vector
+     */
+    insert(id, vector) {
+        if (vector.length !== this.dimensions) {
+            throw new Error(`Vector dimensions mismatch: expected ${this.dimensions}, got ${vector.length}`);
+        }
+        const prepared = this.prepare(vector);
+        this.insertNode(id, prepared, this.codec ? this.codec.encode(prepared) : prepared);
+    }
+
+    /**
+     * Insert a vector already encoded by the codec
+     * @param {string} id - Vector ID
+     * @param {Uint8Array} code - Code from codec.encode
+     */
+    insertEncoded(id, code) {
+        this.insertNode(id, this.prepare(this.codec.decode(code)), code);
+    }
+
+    /**
+     * The stored form of a vector: its code with a codec, otherwise the
+     * prepared (for cosine, normalised) vector
+     */
+    stored(id) {
+        const index = this.ids.get(id);
+        return index === undefined ? undefined : this.nodes[index].vector;
+    }
+
+    /**
+     * Memory held by node vectors (or codes) and links, in bytes
+     */
+    memoryUsage() {
+        let vectors = 0;
+        let links = 0;
+        for (const node of this.nodes) {
+            vectors += node.vector.byteLength;
+            for (const layer of node.neighbors) links += layer.length * 4;
+        }
+        return { vectors, links };
+    }
+
+    /**
+     * Link a node into the graph
+     * @param {string} id - Vector ID
+     * @param {Float32Array} query - Prepared vector, used to find neighbours
+     * @param {Float32Array|Uint8Array} stored - What the node keeps
+     */
+    insertNode(id, query, stored) {
+        // The old node is tombstoned; the threshold is checked once the
+        // new one is linked, so updates count towards a rebuild
+        const replaced = this.delete(id, { rebuild: false });
+
+        const node = {
+            id,
+            vector: stored,
+            level: this.randomLevel(),
+            neighbors: [],
+            deleted: false
+        };
+        for (let l = 0; l <= node.level; l++) node.neighbors.push([]);
+
+        const index = this.nodes.length;
+        this.nodes.push(node);
+        this.ids.set(id, index);
+
+        if (this.entryPoint === -1) {
+            this.entryPoint = index;
+            this.maxLevel = node.level;
+            return;
+        }
+
+        // Greedy descent through the layers above the new node's level
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > node.level; l--) {
+            entry = this.greedyClosest(query, entry, l);
+        }
+
+        let entries = [entry];
+        for (let l = Math.min(node.level, this.maxLevel); l >= 0; l--) {
+            const candidates = this.searchLayer(query, entries, this.efConstruction, l);
+            const maxConnections = l === 0 ? this.M * 2 : this.M;
+
+            node.neighbors[l] = this.selectNeighbors(candidates, this.M);
+            for (const neighbor of node.neighbors[l]) {
+                const links = this.nodes[neighbor].neighbors[l];
+                links.push(index);
+                if (links.length > maxConnections) {
+                    const vector = this.nodeVector(neighbor, 2);
+                    this.nodes[neighbor].neighbors[l] = this.selectNeighbors(
+                        links.map(link => ({ index: link, distance: this.distance(vector, this.nodeVector(link)) })),
+                        maxConnections
+                    );
+                }
+            }
+
+            entries = candidates.map(candidate => candidate.index);
+        }
+
+        if (node.level > this.maxLevel) {
+            this.maxLevel = node.level;
+            this.entryPoint = index;
+        }
+
+        if (replaced) {
+            this.rebuildIfNeeded();
+        }
+    }
+
+    /**
+     * Tombstone a vector, rebuilding once too many are deleted
+     * @returns {boolean} Whether the ID was present
+     */
+    delete(id, options = {}) {
+        const index = this.ids.get(id);
+        if (index === undefined) return false;
+
+        this.nodes[index].deleted = true;
+        this.ids.delete(id);
+        this.tombstones++;
+
+        if (options.rebuild !== false) {
+            this.rebuildIfNeeded();
+        }
+        return true;
+    }
+
+    /**
+     * Rebuild once tombstones exceed rebuildThreshold of the nodes
+     */
+    rebuildIfNeeded() {
+        if (this.tombstones > this.rebuildThreshold * this.nodes.length) {
+            this.rebuild();
+        }
+    }
+
+    /**
+     * Rebuild the graph from the live vectors, dropping tombstones
+     */
+    rebuild() {
+        const live = this.nodes.filter(node => !node.deleted);
+        this.clear();
+        for (const node of live) {
+            if (this.codec) {
+                this.insertEncoded(node.id, node.vector);
+            } else {
+                this.insertNode(node.id, node.vector, node.vector);
+            }
+        }
+    }
+
+    /**
+     * k nearest neighbours of a query
+     * @param {number[]} query - Query vector
+     * @param {number} k - Number of results
+     * @param {Object} options - { efSearch, filter: id => boolean }
+     * @returns {Object[]} [{ id, distance }] nearest first
+     */
+    search(query, k, options = {}) {
+        if (this.size === 0 || k <= 0) return [];
+
+        const vector = this.prepare(query);
+        const { filter = null } = options;
+        let ef = Math.max(options.efSearch || this.efSearch, k);
+
+        let entry = this.entryPoint;
+        for (let l = this.maxLevel; l > 0; l--) {
+            entry = this.greedyClosest(vector, entry, l);
+        }
+
+        // Filtered searches widen the beam until k matches are found
+        while (true) {
+            const results = this.searchLayer(vector, [entry], ef, 0)
+                .filter(({ index }) => {
+                    const node = this.nodes[index];
+                    return !node.deleted && (!filter || filter(node.id));
+                })
+                .slice(0, k)
+                .map(({ index, distance }) => ({ id: this.nodes[index].id, distance }));
+
+            if (results.length >= k || ef >= this.nodes.length) {
+                return results;
+            }
+            ef = Math.min(ef * 2, this.nodes.length);
+        }
+    }
+
+    /**
+     * Binary form of the graph over the live nodes (vectors are stored
+     * separately). Tombstones are dropped and links to them removed.
+     *
+     * Layout (Int32, little-endian): version, M, efConstruction, count,
+     * entry row, max level, then per node: level, and per layer a neighbour
+     * count followed by neighbour rows.
+     *
+     * @returns {{ ids: string[], buffer: Buffer }} Node IDs in row order and the graph
+     */
+    serialize() {
+        const rows = new Map(); // node index -> row
+        const ids = [];
+        this.nodes.forEach((node, index) => {
+            if (!node.deleted) {
+                rows.set(index, ids.length);
+                ids.push(node.id);
+            }
+        });
+
+        // A deleted entry point is replaced by the highest live node
+        let entry = rows.get(this.entryPoint) ?? -1;
+        let maxLevel = entry === -1 ? -1 : this.maxLevel;
+        if (entry === -1) {
+            for (const [index, row] of rows) {
+                if (this.nodes[index].level > maxLevel) {
+                    maxLevel = this.nodes[index].level;
+                    entry = row;
+                }
+            }
+        }
+
+        // Size first so large graphs are written straight into one array
+        let size = 6;
+        for (const index of rows.keys()) {
+            const node = this.nodes[index];
+            size += 1 + node.neighbors.length;
+            for (const links of node.neighbors) {
+                for (const link of links) if (rows.has(link)) size++;
+            }
+        }
+
+        const data = new Int32Array(size);
+        data.set([1, this.M, this.efConstruction, ids.length, entry, maxLevel]);
+        let offset = 6;
+        for (const index of rows.keys()) {
+            const node = this.nodes[index];
+            data[offset++] = node.level;
+            for (const links of node.neighbors) {
+                const countAt = offset++;
+                for (const link of links) {
+                    if (rows.has(link)) data[offset++] = rows.get(link);
+                }
+                data[countAt] = offset - countAt - 1;
+            }
+        }
+
+        return { ids, buffer: Buffer.from(data.buffer) };
+    }
+
+    /**
+     * Restore a graph written by serialize
+     * @param {Buffer} buffer - Serialised graph
+     * @param {string[]} ids - Node IDs in row order
+     * @param {Function} vectorOf - id -> vector, or its code with a codec
+     * @returns {boolean} False if the graph does not match these settings
+     */
+    deserialize(buffer, ids, vectorOf) {
+        const words = new Int32Array(buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength));
+        const [version, M, , count, entry, maxLevel] = words;
+        if (version !== 1 || M !== this.M || count !== ids.length) {
+            return false;
+        }
+
+        this.clear();
+        let offset = 6;
+        for (let row = 0; row < count; row++) {
+            const level = words[offset++];
+            const neighbors = [];
+            for (let l = 0; l <= level; l++) {
+                const n = words[offset++];
+                neighbors.push(Array.from(words.subarray(offset, offset + n)));
+                offset += n;
+            }
+
+            this.nodes.push({
+                id: ids[row],
+                vector: this.codec ? vectorOf(ids[row]) : this.prepare(vectorOf(ids[row])),
+                level,
+                neighbors,
+                deleted: false
+            });
+            this.ids.set(ids[row], row);
+        }
+
+        this.entryPoint = entry;
+        this.maxLevel = maxLevel;
+        return true;
+    }
+
+    /**
+     * Graph statistics
+     */
+    stats() {
+        let edges = 0;
+        for (const node of this.nodes) {
+            if (!node.deleted) edges += node.neighbors[0].length;
+        }
+
+        return {
+            type: this.type,
+            space: this.space,
+            elements: this.size,
+            tombstones: this.tombstones,
+            maxLevel: this.maxLevel,
+            M: this.M,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            averageDegree: this.size > 0 ? edges / this.size : 0
+        };
+    }
+
+    // =========================================================================
+    // GRAPH INTERNALS
+    // =========================================================================
+
+    prepare(vector) {
+        const prepared = Float32Array.from(vector);
+        if (this.space === 'cosine') {
+            const norm = Math.sqrt(dot(prepared, prepared));
+            if (norm > 0) {
+                for (let i = 0; i < prepared.length; i++) prepared[i] /= norm;
+            }
+        }
+        return prepared;
+    }
+
+    /**
+     * A node's vector as Float32. Codes are decoded into scratch buffer
+     * `slot`, valid until that slot is used again; decoded cosine vectors
+     * are renormalised, as codes do not keep them exactly unit length.
+     */
+    nodeVector(index, slot = 0) {
+        const { vector } = this.nodes[index];
+        if (!this.codec) return vector;
+
+        const decoded = this.codec.decode(vector, this.scratch[slot]);
+        if (this.space === 'cosine') {
+            const norm = Math.sqrt(dot(decoded, decoded));
+            if (norm > 0) {
+                for (let i = 0; i < decoded.length; i++) decoded[i] /= norm;
+            }
+        }
+        return decoded;
+    }
+
+    randomLevel() {
+        return Math.floor(-Math.log(1 - Math.random()) * this.levelMultiplier);
+    }
+
+    /**
+     * Follow edges on one layer while they get closer to the query
+     */
+    greedyClosest(vector, entry, level) {
+        let current = entry;
+        let currentDistance = this.distance(vector, this.nodeVector(current));
+
+        let improved = true;
+        while (improved) {
+            improved = false;
+            for (const neighbor of this.nodes[current].neighbors[level] || []) {
+                const distance = this.distance(vector, this.nodeVector(neighbor));
+                if (distance < currentDistance) {
+                    current = neighbor;
+                    currentDistance = distance;
+                    improved = true;
+                }
+            }
+        }
+
+        return current;
+    }
+
+    /**
+     * Beam search on one layer
+     * @returns {Object[]} Up to ef [{ index, distance }] nearest first
+     */
+    searchLayer(vector, entries, ef, level) {
+        const visited = new Set(entries);
+        const candidates = new BinaryHeap((a, b) => a.distance - b.distance); // nearest on top
+        const results = new BinaryHeap((a, b) => b.distance - a.distance); // furthest on top
+
+        for (const index of entries) {
+            const item = { index, distance: this.distance(vector, this.nodeVector(index)) };
+            candidates.push(item);
+            results.push(item);
+        }
+        while (results.size > ef) results.pop();
+
+        while (candidates.size > 0) {
+            const nearest = candidates.pop();
+            if (results.size >= ef && nearest.distance > results.peek().distance) break;
+
+            for (const neighbor of this.nodes[nearest.index].neighbors[level] || []) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+
+                const distance = this.distance(vector, this.nodeVector(neighbor));
+                if (results.size < ef || distance < results.peek().distance) {
+                    const item = { index: neighbor, distance };
+                    candidates.push(item);
+                    results.push(item);
+                    if (results.size > ef) results.pop();
+                }
+            }
+        }
+
+        return results.toArray().sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * Neighbour selection heuristic: prefer candidates closer to the base
+     * than to any neighbour already selected, which keeps edges spread out;
+     * top up with the nearest pruned candidates.
+     */
+    selectNeighbors(candidates, count) {
+        const sorted = [...candidates].sort((a, b) => a.distance - b.distance);
+        const selected = [];
+        const pruned = [];
+
+        for (const candidate of sorted) {
+            if (selected.length >= count) break;
+
+            const candidateVector = this.nodeVector(candidate.index, 1);
+            const diverse = selected.every(chosen =>
+                candidate.distance < this.distance(candidateVector, this.nodeVector(chosen)));
+
+            if (diverse) selected.push(candidate.index);
+            else pruned.push(candidate.index);
+        }
+
+        for (const index of pruned) {
+            if (selected.length >= count) break;
+            selected.push(index);
+        }
+
+        return selected;
+    }
+}
+
+/**
+ * Binary heap ordered by compare (smallest on top)
+ */
+class BinaryHeap {
+    constructor(compare) {
+        this.compare = compare;
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    peek() {
+        return this.items[0];
+    }
+
+    push(item) {
+        const items = this.items;
+        items.push(item);
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.compare(items[i], items[parent]) >= 0) break;
+            [items[i], items[parent]] = [items[parent], items[i]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && this.compare(items[left], items[smallest]) < 0) smallest = left;
+                if (right < items.length && this.compare(items[right], items[smallest]) < 0) smallest = right;
+                if (smallest === i) break;
+                [items[i], items[smallest]] = [items[smallest], items[i]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+
+    toArray() {
+        return [...this.items];
+    }
+}
+
+function dot(a, b) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[i];
+    }
+    return sum;
+}
+
+export default HNSWIndex;
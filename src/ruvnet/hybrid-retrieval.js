@@ -0,0 +1,139 @@
+/**
+ * =============================================================================
+ * Hybrid Retrieval
+ * Rank fusion, MMR diversification and token-budget context packing
+ * =============================================================================
+ */
+
+/**
+ * Fuse ranked result lists with reciprocal rank fusion:
+ * score(d) = sum over retrievers of weight / (k + rank(d)).
+ *
+ * @param {Object<string, Object[]>} rankings - Retriever name -> results
+ *   ({ id, score, ... }) best first
+ * @param {Object} options - { k: 60, weights: { [retriever]: 1 } }
+ * @returns {Object[]} [{ id, score, scores, ranks, item }] best first. `scores`
+ *   and `ranks` hold each retriever's own score and 1-based rank.
+ */
+export function reciprocalRankFusion(rankings, options = {}) {
+    const { k = 60, weights = {} } = options;
+    const fused = new Map();
+
+    for (const [retriever, results] of Object.entries(rankings)) {
+        const weight = weights[retriever] ?? 1;
+
+        results.forEach((result, i) => {
+            let entry = fused.get(result.id);
+            if (!entry) {
+                entry = { id: result.id, score: 0, scores: {}, ranks: {}, item: result };
+                fused.set(result.id, entry);
+            }
+
+            entry.score += weight / (k + i + 1);
+            entry.scores[retriever] = result.score;
+            entry.ranks[retriever] = i + 1;
+        });
+    }
+
+    return Array.from(fused.values()).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Select results by maximal marginal relevance: each pick maximises
+ * lambda * relevance - (1 - lambda) * max similarity to the picks so far.
+ *
+ * @param {Object[]} candidates - [{ score, vector, ... }] best first;
+ *   candidates without a vector are treated as dissimilar to everything
+ * @param {Object} options - { k, lambda: 0.5, similarity }
+ * @returns {Object[]} Selected candidates, each with an `mmr` score
+ */
+export function maximalMarginalRelevance(candidates, options = {}) {
+    const { k = candidates.length, lambda = 0.5, similarity = cosineSimilarity } = options;
+    const top = Math.max(...candidates.map(c => c.score), 0) || 1;
+    const remaining = candidates.map(candidate => ({ ...candidate, relevance: candidate.score / top }));
+    const selected = [];
+
+    while (selected.length < k && remaining.length > 0) {
+        let best = 0;
+        let bestScore = -Infinity;
+
+        remaining.forEach((candidate, i) => {
+            const redundancy = candidate.vector
+                ? Math.max(0, ...selected
+                    .filter(picked => picked.vector)
+                    .map(picked => similarity(candidate.vector, picked.vector)))
+                : 0;
+            const score = lambda * candidate.relevance - (1 - lambda) * redundancy;
+            if (score > bestScore) {
+                best = i;
+                bestScore = score;
+            }
+        });
+
+        const [picked] = remaining.splice(best, 1);
+        const { relevance, ...rest } = picked;
+        selected.push({ ...rest, mmr: bestScore });
+    }
+
+    return selected;
+}
+
+/**
+ * Pack texts into a token budget in rank order. Items that do not fit are
+ * skipped so smaller, lower-ranked items can still fill the budget; if not
+ * even the first item fits, it is truncated to the budget.
+ *
+ * @param {Object[]} items - [{ text, ... }] best first
+ * @param {Object} options - { maxTokens, separator }
+ * @returns {{ items: Object[], tokens: number, skipped: number }}
+ */
+export function packContext(items, options = {}) {
+    const { maxTokens = null, separator = '\n\n' } = options;
+    if (!maxTokens) {
+        return {
+            items,
+            tokens: estimateTokens(items.map(item => item.text).join(separator)),
+            skipped: 0
+        };
+    }
+
+    const separatorTokens = estimateTokens(separator);
+    const packed = [];
+    let tokens = 0;
+
+    for (const item of items) {
+        const cost = estimateTokens(item.text) + (packed.length > 0 ? separatorTokens : 0);
+        if (tokens + cost <= maxTokens) {
+            packed.push(item);
+            tokens += cost;
+        }
+    }
+
+    if (packed.length === 0 && items.length > 0) {
+        packed.push({ ...items[0], text: items[0].text.slice(0, maxTokens * 4), truncated: true });
+        tokens = estimateTokens(packed[0].text);
+    }
+
+    return { items: packed, tokens, skipped: items.length - packed.length };
+}
+
+/**
+ * Rough token count (4 characters per token), as used for gateway estimates
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+
+    return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
@@ -11,6 +11,15 @@ export { ClaudeFlowIntegration } from './claude-flow.js';
 export { AgentDBIntegration } from './agentdb.js';
 export { RuVectorIntegration } from './ruvector.js';
 export { RuvnetOrchestrator } from './orchestrator.js';
+export { MemoryConsolidator } from './memory-consolidation.js';
+export { DocumentIngestor } from './document-ingestion.js';
+export {
+    createEmbeddingProvider,
+    LiteLLMEmbeddingProvider,
+    OpenAICompatibleEmbeddingProvider,
+    HashingEmbeddingProvider,
+    TestEmbeddingProvider
+} from './embedding-providers.js';
 
 /**
  * Initialize the complete Ruvnet ecosystem
@@ -44,7 +53,8 @@ export const DEFAULT_CONFIG = {
         reasoningBank: {
             enabled: true,
             maxSize: 10000,
-            persistPath: '/opt/edge-ai/data/reasoning-bank'
+            persistPath: '/opt/edge-ai/data/reasoning-bank',
+            storage: 'sqlite'
         },
         sparc: {
             enabled: true,
@@ -80,6 +90,13 @@ export const DEFAULT_CONFIG = {
         }
     },
 
+    // Agent memory consolidation
+    memory: {
+        enabled: true,
+        interval: 15 * 60 * 1000,
+        dedupThreshold: 0.95
+    },
+
     // LiteLLM Gateway
     gateway: {
         url: process.env.LITELLM_URL || 'http://localhost:4000',
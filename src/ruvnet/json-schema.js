@@ -0,0 +1,186 @@
+/**
+ * =============================================================================
+ * JSON Schema Validation
+ * Minimal validator for structured LLM outputs (draft-07 subset)
+ * =============================================================================
+ */
+
+/**
+ * Validate a value against a JSON schema.
+ *
+ * Supports: type (incl. arrays of types and "integer"), enum, const,
+ * properties, required, additionalProperties, items, minItems, maxItems,
+ * minLength, maxLength, minimum, maximum, pattern, anyOf, oneOf, allOf.
+ *
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON schema
+ * @param {string} [path] - Path prefix for error messages
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateSchema(value, schema, path = '$') {
+    if (!schema || schema === true) return [];
+    if (schema === false) return [`${path}: no value allowed`];
+
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.some(option => deepEqual(option, value))) {
+        errors.push(`${path}: must be one of ${JSON.stringify(schema.enum)}`);
+    }
+
+    if ('const' in schema && !deepEqual(schema.const, value)) {
+        errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength != null && value.length < schema.minLength) {
+            errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        }
+        if (schema.maxLength != null && value.length > schema.maxLength) {
+            errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${path}: does not match ${schema.pattern}`);
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum != null && value < schema.minimum) {
+            errors.push(`${path}: less than ${schema.minimum}`);
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            errors.push(`${path}: greater than ${schema.maximum}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            errors.push(`${path}: fewer than ${schema.minItems} items`);
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            errors.push(`${path}: more than ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => {
+                errors.push(...validateSchema(item, schema.items, `${path}[${i}]`));
+            });
+        }
+    }
+
+    if (isObject(value)) {
+        for (const key of schema.required || []) {
+            if (!(key in value)) {
+                errors.push(`${path}.${key}: is required`);
+            }
+        }
+
+        const properties = schema.properties || {};
+        for (const [key, propertySchema] of Object.entries(properties)) {
+            if (key in value) {
+                errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`));
+            }
+        }
+
+        if (schema.additionalProperties !== undefined && schema.additionalProperties !== true) {
+            for (const key of Object.keys(value)) {
+                if (key in properties) continue;
+                if (schema.additionalProperties === false) {
+                    errors.push(`${path}.${key}: is not allowed`);
+                } else {
+                    errors.push(...validateSchema(value[key], schema.additionalProperties, `${path}.${key}`));
+                }
+            }
+        }
+    }
+
+    if (schema.allOf) {
+        for (const sub of schema.allOf) {
+            errors.push(...validateSchema(value, sub, path));
+        }
+    }
+
+    if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(value, sub, path).length === 0)) {
+        errors.push(`${path}: does not match any allowed schema`);
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(sub => validateSchema(value, sub, path).length === 0).length;
+        if (matches !== 1) {
+            errors.push(`${path}: must match exactly one schema (matched ${matches})`);
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Extract a JSON value from model output.
+ * Accepts bare JSON, fenced ```json blocks, or JSON surrounded by prose.
+ *
+ * @param {string} text - Model output
+ * @returns {*} Parsed value
+ * @throws {SyntaxError} When no JSON can be found
+ */
+export function extractJson(text) {
+    const trimmed = String(text).trim();
+
+    try {
+        return JSON.parse(trimmed);
+    } catch (error) {
+        // Fall through to looser extraction
+    }
+
+    const fenced = trimmed.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fenced) {
+        try {
+            return JSON.parse(fenced[1].trim());
+        } catch (error) {
+            // Fall through
+        }
+    }
+
+    const start = trimmed.search(/[{[]/);
+    const end = Math.max(trimmed.lastIndexOf('}'), trimmed.lastIndexOf(']'));
+    if (start !== -1 && end > start) {
+        return JSON.parse(trimmed.slice(start, end + 1));
+    }
+
+    throw new SyntaxError('No JSON found in response');
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'null':
+            return value === null;
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return isObject(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        default:
+            return typeof value === type;
+    }
+}
+
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function deepEqual(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
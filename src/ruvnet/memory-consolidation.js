@@ -0,0 +1,653 @@
+/**
+ * =============================================================================
+ * Memory Consolidation
+ * Reflection over agent memories: summarisation, deduplication and decay
+ * =============================================================================
+ */
+
+import EventEmitter from 'events';
+import { extractJson } from './json-schema.js';
+
+/**
+ * Memories are ranked by a weighted sum of relevance to the current query
+ * (vector similarity), recency (halving every `halfLife` ms since the memory
+ * was created or last recalled) and importance (0-1, per memory or by type).
+ */
+export const DEFAULT_RANKING = {
+    weights: { relevance: 0.5, recency: 0.3, importance: 0.2 },
+    halfLife: 7 * 24 * 60 * 60 * 1000,
+    importance: { semantic: 0.8, task: 0.6, 'tool-call': 0.3, default: 0.5 }
+};
+
+/**
+ * MemoryConsolidator - Long-term memory for agents on top of AgentDB and RuVector
+ */
+export class MemoryConsolidator extends EventEmitter {
+    constructor(config = {}) {
+        super();
+        this.config = {
+            enabled: true,
+            interval: 15 * 60 * 1000, // ms between consolidation passes; 0 disables the timer
+            model: 'qwen-coder',
+            episodicAge: 60 * 60 * 1000, // episodes older than this are summarised
+            minEpisodes: 10, // fewer old episodes are left as they are
+            batchSize: 20, // episodes per summary request
+            dedupThreshold: 0.95, // similarity at which two memories are merged
+            dedupNeighbours: 10, // nearest memories each new memory is compared with
+            consolidationBatch: 500, // memories loaded at a time during a pass
+            forgetBelow: 0, // drop memories whose importance x recency falls below this
+            candidates: 200, // recent memories considered when ranking
+            maxChars: 2000, // per memory in prompts and embeddings
+            collection: null, // RuVector collection for memory vectors; null uses its default
+            ...config,
+            weights: { ...DEFAULT_RANKING.weights, ...config.weights },
+            halfLife: config.halfLife || DEFAULT_RANKING.halfLife,
+            importance: { ...DEFAULT_RANKING.importance, ...config.importance }
+        };
+
+        this.store = null;
+        this.vectorIndex = null;
+        this.timer = null;
+        this.running = null;
+        this.checkedUntil = new Map(); // agentId -> time of the last deduplication pass
+    }
+
+    /**
+     * Use AgentDB for memory storage
+     * @param {Object} store - AgentDBIntegration instance
+     */
+    setMemoryStore(store) {
+        this.store = store;
+    }
+
+    /**
+     * Use RuVector for memory embeddings and relevance
+     * @param {Object} vectorIndex - RuVectorIntegration instance
+     */
+    setVectorIndex(vectorIndex) {
+        this.vectorIndex = vectorIndex;
+    }
+
+    /**
+     * Start periodic consolidation
+     */
+    start() {
+        if (!this.config.enabled || !this.config.interval || this.timer) return;
+
+        this.timer = setInterval(() => {
+            this.consolidateAll().catch(error => this.emit('consolidation-failed', { error }));
+        }, this.config.interval);
+        this.timer.unref();
+    }
+
+    // =========================================================================
+    // WRITE AND RECALL
+    // =========================================================================
+
+    /**
+     * Store a memory. A near-duplicate of an existing memory of the same type
+     * reinforces that memory instead of adding a new one.
+     * @param {string} agentId - Agent ID
+     * @param {Object} memory - { type, content, metadata }
+     * @returns {Promise<number>} ID of the stored or reinforced memory
+     */
+    async addMemory(agentId, memory) {
+        const type = memory.type || 'general';
+        const text = memoryText(memory.content, this.config.maxChars);
+        let vector = null;
+
+        if (this.vectorIndex && text) {
+            try {
+                vector = await this.vectorIndex.embed(text);
+
+                const [duplicate] = await this.vectorIndex.search(vector, {
+                    k: 1,
+                    threshold: this.config.dedupThreshold,
+                    filter: { type: 'agent-memory', agentId, memoryType: type },
+                    collection: this.config.collection
+                });
+                const existing = duplicate && this.store.getMemory(memoryIdFromVectorId(agentId, duplicate.id));
+                if (existing) {
+                    this.reinforce(existing, memory.metadata?.importance);
+                    this.emit('memory-deduplicated', { agentId, kept: existing.id, merged: [] });
+                    return existing.id;
+                }
+            } catch (error) {
+                // Stored without an embedding; the next consolidation pass adds it
+                vector = null;
+                this.emit('memory-index-failed', { agentId, error });
+            }
+        }
+
+        const memoryId = this.store.addMemory(agentId, {
+            type,
+            content: memory.content,
+            embedding: vector,
+            metadata: {
+                importance: this.importanceOf({ type, metadata: memory.metadata }),
+                ...memory.metadata
+            }
+        });
+
+        if (vector) {
+            try {
+                await this.indexMemory(agentId, memoryId, type, vector, text);
+            } catch (error) {
+                // Dropping the embedding makes the next consolidation pass index it
+                this.store.updateMemory(memoryId, { embedding: null });
+                this.emit('memory-index-failed', { agentId, memoryId, error });
+            }
+        }
+
+        return memoryId;
+    }
+
+    /**
+     * Top-ranked memories for an agent. Recalled memories count as accessed,
+     * which resets their recency.
+     * @param {string} agentId - Agent ID
+     * @param {string} query - What the agent is about to do (optional)
+     * @param {Object} options - { k }
+     */
+    async recall(agentId, query, options = {}) {
+        const { k = 10 } = options;
+        const memories = new Map(
+            this.store.getMemories(agentId, { limit: this.config.candidates })
+                .map(row => [row.id, row])
+        );
+        const relevance = new Map();
+
+        if (query && this.vectorIndex) {
+            try {
+                const hits = await this.vectorIndex.search(query, {
+                    k: this.config.candidates,
+                    filter: { type: 'agent-memory', agentId },
+                    collection: this.config.collection
+                });
+                for (const hit of hits) {
+                    const memoryId = memoryIdFromVectorId(agentId, hit.id);
+                    relevance.set(memoryId, hit.score);
+
+                    // Older memories outside the candidate window can still be relevant
+                    if (!memories.has(memoryId)) {
+                        const row = this.store.getMemory(memoryId);
+                        if (row) memories.set(memoryId, row);
+                    }
+                }
+            } catch (error) {
+                // Rank on recency and importance alone
+                this.emit('memory-recall-failed', { agentId, error });
+            }
+        }
+
+        const ranked = rankMemories(
+            Array.from(memories.values(), row => ({
+                ...toRankable(row),
+                relevance: relevance.get(row.id) || 0,
+                row
+            })),
+            this.config
+        ).slice(0, k);
+
+        const now = new Date().toISOString();
+        for (const { row } of ranked) {
+            this.store.updateMemory(row.id, {
+                metadata: {
+                    ...row.metadata,
+                    lastAccessedAt: now,
+                    accessCount: (row.metadata.accessCount || 0) + 1
+                }
+            });
+        }
+
+        return ranked.map(({ row, score }) => ({
+            id: row.id,
+            type: row.type,
+            content: row.content,
+            score,
+            createdAt: row.created_at
+        }));
+    }
+
+    // =========================================================================
+    // CONSOLIDATION
+    // =========================================================================
+
+    /**
+     * Consolidate the memories of every agent in AgentDB.
+     * Overlapping calls share the pass already in progress.
+     */
+    async consolidateAll() {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const results = [];
+            for (const agent of this.store.listAgents()) {
+                try {
+                    results.push(await this.consolidate(agent.id));
+                } catch (error) {
+                    this.emit('consolidation-failed', { agentId: agent.id, error });
+                }
+            }
+            return results;
+        })();
+
+        try {
+            return await this.running;
+        } finally {
+            this.running = null;
+        }
+    }
+
+    /**
+     * One reflection pass over an agent's memories:
+     * deduplicate, summarise old episodes into semantic memories, then forget
+     * what has decayed below `forgetBelow`. Memories are loaded
+     * `consolidationBatch` at a time, oldest first.
+     * @param {string} agentId - Agent ID
+     */
+    async consolidate(agentId) {
+        const startedAt = Date.now();
+        const totals = { deduplicated: 0, summarized: 0, created: 0, forgotten: 0 };
+        let afterId = 0;
+
+        for (;;) {
+            const page = this.store.getMemories(agentId, { afterId, limit: this.config.consolidationBatch });
+            if (page.length === 0) break;
+            afterId = page[page.length - 1].id;
+
+            const merged = await this.deduplicate(agentId, page);
+            let memories = page.filter(row => !merged.has(row.id));
+
+            const { summarized, created } = await this.summarizeEpisodes(agentId, memories);
+            memories = memories.filter(row => !summarized.includes(row.id));
+
+            const forgotten = await this.forget(agentId, memories, startedAt);
+
+            totals.deduplicated += merged.size;
+            totals.summarized += summarized.length;
+            totals.created += created;
+            totals.forgotten += forgotten.length;
+
+            if (page.length < this.config.consolidationBatch) break;
+        }
+
+        this.checkedUntil.set(agentId, startedAt);
+
+        const result = { agentId, ...totals };
+        this.emit('memory-consolidated', result);
+        return result;
+    }
+
+    /**
+     * Merge near-identical memories of the same type into the most important
+     * (then newest) one. Each memory added since the last pass is compared
+     * with its `dedupNeighbours` nearest memories in RuVector rather than
+     * with every other memory.
+     * @returns {Promise<Set<number>>} IDs of the merged-away memories
+     */
+    async deduplicate(agentId, memories) {
+        const merged = new Set();
+        if (!this.vectorIndex) return merged;
+
+        const checkedUntil = this.checkedUntil.get(agentId) || 0;
+        await this.ensureEmbeddings(agentId, memories);
+
+        const rows = new Map(memories.map(row => [row.id, row]));
+        const better = (a, b) => (a.importance - b.importance) || (a.createdAt - b.createdAt);
+        const ordered = memories
+            .filter(row => row.embedding && parseTimestamp(row.created_at) >= checkedUntil)
+            .map(row => ({ row, ...toRankable(row), importance: this.importanceOf(row) }))
+            .sort((a, b) => better(b, a));
+
+        for (const candidate of ordered) {
+            if (merged.has(candidate.row.id)) continue;
+
+            const neighbours = await this.vectorIndex.search(candidate.row.embedding, {
+                k: this.config.dedupNeighbours + 1,
+                threshold: this.config.dedupThreshold,
+                filter: { type: 'agent-memory', agentId, memoryType: candidate.row.type },
+                collection: this.config.collection
+            });
+
+            for (const hit of neighbours) {
+                const memoryId = memoryIdFromVectorId(agentId, hit.id);
+                if (memoryId === candidate.row.id || merged.has(memoryId)) continue;
+
+                const row = rows.get(memoryId) || this.store.getMemory(memoryId);
+                if (!row) continue;
+                const other = { row, ...toRankable(row), importance: this.importanceOf(row) };
+
+                const [kept, dropped] = better(candidate, other) >= 0 ? [candidate, other] : [other, candidate];
+                this.reinforce(kept.row, dropped.importance, dropped.row);
+                await this.deleteMemory(agentId, dropped.row.id);
+                merged.add(dropped.row.id);
+                this.emit('memory-deduplicated', { agentId, kept: kept.row.id, merged: [dropped.row.id] });
+
+                if (dropped === candidate) break;
+            }
+        }
+
+        return merged;
+    }
+
+    /**
+     * Summarise episodes older than `episodicAge` into semantic memories
+     * through the gateway, then drop the episodes.
+     */
+    async summarizeEpisodes(agentId, memories) {
+        const { episodicAge, minEpisodes, batchSize } = this.config;
+        const cutoff = Date.now() - episodicAge;
+        const episodes = memories
+            .filter(row => row.type !== 'semantic' && parseTimestamp(row.created_at) < cutoff)
+            .sort((a, b) => parseTimestamp(a.created_at) - parseTimestamp(b.created_at));
+
+        const summarized = [];
+        let created = 0;
+        if (episodes.length < minEpisodes) {
+            return { summarized, created };
+        }
+
+        for (let i = 0; i < episodes.length; i += batchSize) {
+            const batch = episodes.slice(i, i + batchSize);
+
+            let reflections;
+            try {
+                reflections = await this.reflect(agentId, batch);
+            } catch (error) {
+                // The episodes stay for the next pass
+                this.emit('consolidation-failed', { agentId, error });
+                continue;
+            }
+
+            // Nothing to keep in their place: the episodes stay for the next pass
+            if (reflections.length === 0) continue;
+
+            const sources = batch.map(row => row.id);
+            for (const reflection of reflections) {
+                await this.addMemory(agentId, {
+                    type: 'semantic',
+                    content: reflection.content,
+                    metadata: {
+                        importance: reflection.importance,
+                        sources,
+                        consolidatedAt: new Date().toISOString()
+                    }
+                });
+                created++;
+            }
+
+            for (const memoryId of sources) {
+                await this.deleteMemory(agentId, memoryId);
+            }
+            summarized.push(...sources);
+        }
+
+        return { summarized, created };
+    }
+
+    /**
+     * Ask the model for the durable lessons in a batch of episodes
+     * @returns {Promise<Object[]>} [{ content, importance }]
+     */
+    async reflect(agentId, episodes) {
+        const response = await this.callGateway({
+            model: this.config.model,
+            messages: [
+                {
+                    role: 'system',
+                    content: 'You consolidate an agent\'s episodic memories into long-term semantic memories. ' +
+                        'Extract the facts, preferences, outcomes and lessons worth remembering, merging repeats. ' +
+                        'Respond with JSON: {"memories": [{"content": string, "importance": number from 0 to 1}]}'
+                },
+                {
+                    role: 'user',
+                    content: JSON.stringify({
+                        agentId,
+                        episodes: episodes.map(row => ({
+                            type: row.type,
+                            createdAt: row.created_at,
+                            content: memoryText(row.content, this.config.maxChars)
+                        }))
+                    })
+                }
+            ],
+            response_format: { type: 'json_object' }
+        });
+
+        const parsed = extractJson(response.content);
+        if (!Array.isArray(parsed.memories)) {
+            throw new Error('Consolidation response has no memories array');
+        }
+
+        return parsed.memories
+            .filter(memory => typeof memory?.content === 'string' && memory.content.trim())
+            .map(memory => ({
+                content: memory.content.trim(),
+                importance: Number.isFinite(memory.importance)
+                    ? Math.min(1, Math.max(0, memory.importance))
+                    : this.config.importance.semantic
+            }));
+    }
+
+    /**
+     * Delete memories whose importance x recency is below `forgetBelow`
+     * @returns {Promise<number[]>} Forgotten memory IDs
+     */
+    async forget(agentId, memories, now = Date.now()) {
+        const forgotten = [];
+        if (!(this.config.forgetBelow > 0)) return forgotten;
+
+        for (const row of memories) {
+            const { createdAt, lastAccessedAt } = toRankable(row);
+            const retention = this.importanceOf(row) * recency(lastAccessedAt || createdAt, this.config.halfLife, now);
+            if (retention < this.config.forgetBelow) {
+                await this.deleteMemory(agentId, row.id);
+                forgotten.push(row.id);
+            }
+        }
+
+        if (forgotten.length > 0) {
+            this.emit('memory-forgotten', { agentId, memoryIds: forgotten });
+        }
+        return forgotten;
+    }
+
+    // =========================================================================
+    // HELPERS
+    // =========================================================================
+
+    /**
+     * Embed memories stored without an embedding (e.g. tool calls recorded
+     * straight into AgentDB), reusing vectors already in RuVector
+     */
+    async ensureEmbeddings(agentId, memories) {
+        const missing = [];
+        for (const row of memories) {
+            if (row.embedding) continue;
+
+            const existing = await this.vectorIndex.get(memoryVectorId(agentId, row.id), {
+                collection: this.config.collection
+            });
+            if (existing?.vector) {
+                row.embedding = typeof existing.vector === 'string'
+                    ? JSON.parse(existing.vector)
+                    : Array.from(existing.vector);
+                this.store.updateMemory(row.id, { embedding: row.embedding });
+            } else {
+                missing.push(row);
+            }
+        }
+
+        if (missing.length === 0) return;
+
+        const texts = missing.map(row => memoryText(row.content, this.config.maxChars));
+        const vectors = await this.vectorIndex.embed(texts);
+
+        for (let i = 0; i < missing.length; i++) {
+            const row = missing[i];
+            row.embedding = vectors[i];
+            this.store.updateMemory(row.id, { embedding: vectors[i] });
+            await this.indexMemory(agentId, row.id, row.type, vectors[i], texts[i]);
+        }
+    }
+
+    async indexMemory(agentId, memoryId, type, vector, text) {
+        await this.vectorIndex.add(memoryVectorId(agentId, memoryId), vector, {
+            type: 'agent-memory',
+            agentId,
+            memoryType: type,
+            originalText: text
+        }, { collection: this.config.collection });
+    }
+
+    /**
+     * Fold a repeat into an existing memory: count it, keep the higher
+     * importance and the latest access
+     */
+    reinforce(row, importance, duplicate = null) {
+        const metadata = row.metadata || {};
+        const current = this.importanceOf(row);
+        const accessedAt = [metadata.lastAccessedAt, duplicate?.metadata?.lastAccessedAt, new Date().toISOString()]
+            .filter(Boolean)
+            .sort()
+            .pop();
+
+        row.metadata = {
+            ...metadata,
+            importance: Math.max(current, Number.isFinite(importance) ? importance : current),
+            occurrences: (metadata.occurrences || 1) + (duplicate?.metadata?.occurrences || 1),
+            lastAccessedAt: accessedAt
+        };
+        this.store.updateMemory(row.id, { metadata: row.metadata });
+    }
+
+    async deleteMemory(agentId, memoryId) {
+        this.store.deleteMemory(memoryId);
+        if (this.vectorIndex) {
+            await this.vectorIndex.delete(memoryVectorId(agentId, memoryId), {
+                collection: this.config.collection
+            });
+        }
+    }
+
+    importanceOf(memory) {
+        return importanceOf(memory, this.config.importance);
+    }
+
+    /**
+     * Call the LiteLLM gateway
+     */
+    async callGateway(request) {
+        const gatewayUrl = process.env.LITELLM_URL || 'http://localhost:4000';
+
+        const response = await fetch(`${gatewayUrl}/v1/chat/completions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${process.env.LITELLM_MASTER_KEY || ''}`
+            },
+            body: JSON.stringify(request)
+        });
+
+        if (!response.ok) {
+            throw new Error(`Gateway error: ${response.status}`);
+        }
+
+        const data = await response.json();
+        return data.choices[0].message;
+    }
+
+    /**
+     * Stop the consolidation timer and wait for a running pass
+     */
+    async shutdown() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.running) {
+            await this.running.catch(() => {});
+        }
+        this.emit('shutdown');
+    }
+}
+
+/**
+ * Rank memories, best first
+ * @param {Object[]} memories - Each with createdAt (ms), and optionally
+ *   lastAccessedAt (ms), importance, type and relevance (0-1)
+ * @param {Object} options - { weights, halfLife, importance, now }
+ * @returns {Object[]} The memories with a `score`, sorted descending
+ */
+export function rankMemories(memories, options = {}) {
+    const weights = { ...DEFAULT_RANKING.weights, ...options.weights };
+    const halfLife = options.halfLife || DEFAULT_RANKING.halfLife;
+    const importance = { ...DEFAULT_RANKING.importance, ...options.importance };
+    const now = options.now || Date.now();
+
+    return memories
+        .map(memory => ({
+            ...memory,
+            score: weights.relevance * (memory.relevance || 0) +
+                weights.recency * recency(memory.lastAccessedAt || memory.createdAt, halfLife, now) +
+                weights.importance * (Number.isFinite(memory.importance)
+                    ? memory.importance
+                    : importanceOf(memory, importance))
+        }))
+        .sort((a, b) => (b.score - a.score) || (b.createdAt - a.createdAt));
+}
+
+/**
+ * Text of a memory's content, for prompts and embeddings
+ */
+export function memoryText(content, maxChars = 2000) {
+    if (content == null) return '';
+    const text = typeof content === 'string' ? content : JSON.stringify(content);
+    return text.slice(0, maxChars);
+}
+
+/**
+ * Vector index ID for an agent memory
+ */
+function memoryVectorId(agentId, memoryId) {
+    return `memory-${agentId}-${memoryId}`;
+}
+
+function memoryIdFromVectorId(agentId, vectorId) {
+    return Number(vectorId.slice(`memory-${agentId}-`.length));
+}
+
+function importanceOf(memory, importance) {
+    const explicit = memory.metadata?.importance;
+    if (Number.isFinite(explicit)) return explicit;
+    return importance[memory.type] ?? importance.default;
+}
+
+/**
+ * AgentDB row -> fields used for ranking
+ */
+function toRankable(row) {
+    return {
+        type: row.type,
+        metadata: row.metadata,
+        importance: Number.isFinite(row.metadata?.importance) ? row.metadata.importance : undefined,
+        createdAt: parseTimestamp(row.created_at),
+        lastAccessedAt: row.metadata?.lastAccessedAt ? Date.parse(row.metadata.lastAccessedAt) : null
+    };
+}
+
+function recency(timestamp, halfLife, now) {
+    const age = Math.max(0, now - timestamp);
+    return Math.pow(0.5, age / halfLife);
+}
+
+/**
+ * SQLite datetime('now') values are UTC without a zone designator
+ */
+function parseTimestamp(value) {
+    if (typeof value === 'number') return value;
+    return Date.parse(/[zZ]|[+-]\d\d:?\d\d$/.test(value) ? value : `${value.replace(' ', 'T')}Z`);
+}
+
+export default MemoryConsolidator;
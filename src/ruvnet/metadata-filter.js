@@ -0,0 +1,323 @@
+/**
+ * =============================================================================
+ * Metadata Filters
+ * One filter language for in-memory matching, PostgreSQL JSONB and SQLite JSON queries
+ * =============================================================================
+ *
+ * A filter is an object of path -> condition, all of which must hold:
+ *
+ *   { type: 'knowledge' }                              equality
+ *   { 'source.repo': 'edge-ai' }                       nested path
+ *   { priority: { $gte: 2, $lt: 5 } }                  range
+ *   { status: { $in: ['open', 'blocked'] } }           membership
+ *   { capabilities: { $contains: 'coding' } }          array contains
+ *   { $or: [{ agentId: 'a1' }, { shared: true }] }     boolean combinations
+ *
+ * Operators: $eq, $ne, $in, $nin, $gt, $gte, $lt, $lte, $exists, $contains,
+ * and at the top level of any filter $and / $or with a list of filters.
+ *
+ * Comparisons are type-strict: ranges only match numbers against numbers and
+ * strings against strings (so ISO timestamps compare as expected). $ne and
+ * $nin match documents where the path is missing. Equality on arrays and
+ * objects compares the whole value; use $contains to match array elements.
+ * Undefined conditions are ignored, so optional fields can be spread in.
+ */
+
+const FIELD_OPERATORS = ['$eq', '$ne', '$in', '$nin', '$gt', '$gte', '$lt', '$lte', '$exists', '$contains'];
+const RANGE_SQL = { $gt: '>', $gte: '>=', $lt: '<', $lte: '<=' };
+
+/**
+ * Check a filter's structure, throwing on unknown operators or bad operands
+ * @param {Object} filter - Metadata filter
+ */
+export function validateFilter(filter) {
+    if (!isPlainObject(filter)) {
+        throw new Error('Metadata filter must be an object');
+    }
+
+    for (const [key, condition] of Object.entries(filter)) {
+        if (condition === undefined) continue;
+        if (key === '$and' || key === '$or') {
+            if (!Array.isArray(condition) || condition.length === 0) {
+                throw new Error(`${key} requires a non-empty array of filters`);
+            }
+            condition.forEach(validateFilter);
+            continue;
+        }
+        if (key.startsWith('$')) {
+            throw new Error(`Unknown filter operator: ${key}`);
+        }
+        if (!isOperatorObject(condition)) continue;
+
+        for (const [operator, operand] of Object.entries(condition)) {
+            if (!FIELD_OPERATORS.includes(operator)) {
+                throw new Error(`Unknown filter operator: ${operator}`);
+            }
+            if ((operator === '$in' || operator === '$nin') && !Array.isArray(operand)) {
+                throw new Error(`${operator} on '${key}' requires an array`);
+            }
+            if (RANGE_SQL[operator] && typeof operand !== 'number' && typeof operand !== 'string') {
+                throw new Error(`${operator} on '${key}' requires a number or string`);
+            }
+            if (operator === '$exists' && typeof operand !== 'boolean') {
+                throw new Error(`$exists on '${key}' requires true or false`);
+            }
+            if (operator === '$contains' && [].concat(operand).some(value => value !== null && typeof value === 'object')) {
+                throw new Error(`$contains on '${key}' requires a scalar or an array of scalars`);
+            }
+        }
+    }
+}
+
+/**
+ * Evaluate a filter against a metadata object
+ * @param {Object} metadata - Metadata to test
+ * @param {Object} filter - Metadata filter
+ * @returns {boolean}
+ */
+export function matchesFilter(metadata, filter) {
+    for (const [key, condition] of Object.entries(filter)) {
+        if (condition === undefined) continue;
+        if (key === '$and') {
+            if (!condition.every(clause => matchesFilter(metadata, clause))) return false;
+            continue;
+        }
+        if (key === '$or') {
+            if (!condition.some(clause => matchesFilter(metadata, clause))) return false;
+            continue;
+        }
+
+        const value = resolvePath(metadata, key);
+        const operators = isOperatorObject(condition) ? condition : { $eq: condition };
+
+        for (const [operator, operand] of Object.entries(operators)) {
+            if (!matchesOperator(value, operator, operand)) return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Translate a filter into a parameterised SQL predicate over a JSONB column.
+ * Paths and values are passed as parameters, never interpolated.
+ *
+ * @param {Object} filter - Metadata filter
+ * @param {Array} params - Query parameters; the filter's are appended and
+ *   numbered after those already present
+ * @param {string} column - JSONB column (a trusted identifier)
+ * @returns {string} SQL boolean expression
+ */
+export function filterToSql(filter, params, column = 'metadata') {
+    const param = value => {
+        params.push(value);
+        return `$${params.length}`;
+    };
+
+    const clauses = [];
+    for (const [key, condition] of Object.entries(filter)) {
+        if (condition === undefined) continue;
+        if (key === '$and' || key === '$or') {
+            const parts = condition.map(clause => `(${filterToSql(clause, params, column)})`);
+            clauses.push(`(${parts.join(key === '$and' ? ' AND ' : ' OR ')})`);
+            continue;
+        }
+
+        const field = `(${column} #> ${param(key.split('.'))}::text[])`;
+        const operators = isOperatorObject(condition) ? condition : { $eq: condition };
+
+        for (const [operator, operand] of Object.entries(operators)) {
+            switch (operator) {
+                case '$eq':
+                    clauses.push(`${field} = ${param(JSON.stringify(operand))}::jsonb`);
+                    break;
+                case '$ne':
+                    clauses.push(`${field} IS DISTINCT FROM ${param(JSON.stringify(operand))}::jsonb`);
+                    break;
+                case '$in':
+                    clauses.push(`${field} = ANY(${param(operand.map(v => JSON.stringify(v)))}::jsonb[])`);
+                    break;
+                case '$nin':
+                    clauses.push(`(${field} IS NULL OR NOT ${field} = ANY(${param(operand.map(v => JSON.stringify(v)))}::jsonb[]))`);
+                    break;
+                case '$gt':
+                case '$gte':
+                case '$lt':
+                case '$lte':
+                    clauses.push(typeof operand === 'number'
+                        ? `(jsonb_typeof(${field}) = 'number' AND (${field})::numeric ${RANGE_SQL[operator]} ${param(operand)}::numeric)`
+                        : `(jsonb_typeof(${field}) = 'string' AND (${field} #>> '{}') COLLATE "C" ${RANGE_SQL[operator]} ${param(operand)}::text)`);
+                    break;
+                case '$exists':
+                    clauses.push(`${field} IS ${operand ? 'NOT NULL' : 'NULL'}`);
+                    break;
+                case '$contains':
+                    clauses.push(`(jsonb_typeof(${field}) = 'array' AND ${field} @> ${param(JSON.stringify([].concat(operand)))}::jsonb)`);
+                    break;
+            }
+        }
+    }
+
+    return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+}
+
+/**
+ * Translate a filter into a parameterised SQLite predicate over a JSON text
+ * column, using json_type/json_extract so types compare as in matchesFilter.
+ * Paths and values are passed as named parameters (@p1, @p2, ...).
+ *
+ * Returns null for filters SQLite cannot evaluate exactly: equality with
+ * an object or array, and paths with numeric or quoted segments (array
+ * index or object key is ambiguous). Use matchesFilter for those.
+ *
+ * @param {Object} filter - Metadata filter
+ * @param {Object} params - Named parameters; the filter's are added
+ * @param {string} column - JSON text column (a trusted identifier)
+ * @returns {string|null} SQL boolean expression
+ */
+export function filterToSqlite(filter, params, column = 'metadata') {
+    const param = value => {
+        const name = `p${Object.keys(params).length + 1}`;
+        params[name] = value;
+        return `@${name}`;
+    };
+
+    const clauses = [];
+    for (const [key, condition] of Object.entries(filter)) {
+        if (condition === undefined) continue;
+        if (key === '$and' || key === '$or') {
+            const parts = [];
+            for (const clause of condition) {
+                const part = filterToSqlite(clause, params, column);
+                if (part === null) return null;
+                parts.push(`(${part})`);
+            }
+            clauses.push(`(${parts.join(key === '$and' ? ' AND ' : ' OR ')})`);
+            continue;
+        }
+
+        const segments = key.split('.');
+        if (segments.some(segment => /^\d+$/.test(segment) || segment.includes('"'))) return null;
+
+        const path = param(`$${segments.map(segment => `."${segment}"`).join('')}`);
+        const type = `json_type(${column}, ${path})`;
+        const value = `json_extract(${column}, ${path})`;
+        const operators = isOperatorObject(condition) ? condition : { $eq: condition };
+
+        for (const [operator, operand] of Object.entries(operators)) {
+            switch (operator) {
+                case '$eq':
+                case '$ne':
+                case '$in':
+                case '$nin': {
+                    const candidates = operator === '$eq' || operator === '$ne' ? [operand] : operand;
+                    if (candidates.some(candidate => candidate !== null && typeof candidate === 'object')) return null;
+
+                    const equal = candidates.length > 0
+                        ? `(${candidates.map(candidate => sqliteEquals(type, value, candidate, param)).join(' OR ')})`
+                        : 'FALSE';
+                    clauses.push(operator === '$eq' || operator === '$in'
+                        ? equal
+                        : `(${type} IS NULL OR NOT ${equal})`);
+                    break;
+                }
+                case '$gt':
+                case '$gte':
+                case '$lt':
+                case '$lte':
+                    clauses.push(typeof operand === 'number'
+                        ? `(${type} IN ('integer', 'real') AND ${value} ${RANGE_SQL[operator]} ${param(operand)})`
+                        : `(${type} = 'text' AND ${value} ${RANGE_SQL[operator]} ${param(operand)})`);
+                    break;
+                case '$exists':
+                    clauses.push(`${type} IS ${operand ? 'NOT NULL' : 'NULL'}`);
+                    break;
+                case '$contains': {
+                    const items = [].concat(operand).map(item =>
+                        `EXISTS (SELECT 1 FROM json_each(${column}, ${path}) AS element WHERE ` +
+                        `${sqliteEquals('element.type', 'element.value', item, param)})`);
+                    clauses.push(`(${type} = 'array'${items.map(item => ` AND ${item}`).join('')})`);
+                    break;
+                }
+            }
+        }
+    }
+
+    return clauses.length > 0 ? clauses.join(' AND ') : 'TRUE';
+}
+
+/**
+ * Typed equality of a JSON value (given as its json_type and SQL value)
+ * with a scalar
+ */
+function sqliteEquals(type, value, operand, param) {
+    if (operand === null) return `${type} = 'null'`;
+    if (typeof operand === 'boolean') return `${type} = '${operand}'`;
+    if (typeof operand === 'number') return `(${type} IN ('integer', 'real') AND ${value} = ${param(operand)})`;
+    return `(${type} = 'text' AND ${value} = ${param(String(operand))})`;
+}
+
+function matchesOperator(value, operator, operand) {
+    switch (operator) {
+        case '$eq':
+            return value !== undefined && deepEqual(value, operand);
+        case '$ne':
+            return value === undefined || !deepEqual(value, operand);
+        case '$in':
+            return value !== undefined && operand.some(candidate => deepEqual(value, candidate));
+        case '$nin':
+            return value === undefined || !operand.some(candidate => deepEqual(value, candidate));
+        case '$gt':
+        case '$gte':
+        case '$lt':
+        case '$lte': {
+            if (typeof value !== typeof operand) return false;
+            if (operator === '$gt') return value > operand;
+            if (operator === '$gte') return value >= operand;
+            if (operator === '$lt') return value < operand;
+            return value <= operand;
+        }
+        case '$exists':
+            return (value !== undefined) === operand;
+        case '$contains':
+            return Array.isArray(value) && [].concat(operand).every(item => value.includes(item));
+        default:
+            return false;
+    }
+}
+
+/**
+ * Value at a dot-separated path ('source.repo', 'tags.0'), or undefined
+ */
+function resolvePath(object, path) {
+    let value = object;
+    for (const segment of path.split('.')) {
+        if (value === null || typeof value !== 'object' || !Object.hasOwn(value, segment)) {
+            return undefined;
+        }
+        value = value[segment];
+    }
+    return value;
+}
+
+/**
+ * Key-order-insensitive equality for JSON values, as JSONB compares them
+ */
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (a === null || b === null || typeof a !== 'object' || typeof b !== 'object') return false;
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keys = Object.keys(a);
+    if (keys.length !== Object.keys(b).length) return false;
+    return keys.every(key => Object.hasOwn(b, key) && deepEqual(a[key], b[key]));
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isOperatorObject(condition) {
+    return isPlainObject(condition) &&
+        Object.keys(condition).length > 0 &&
+        Object.keys(condition).every(key => key.startsWith('$'));
+}
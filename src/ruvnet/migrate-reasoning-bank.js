@@ -0,0 +1,84 @@
+/**
+ * =============================================================================
+ * ReasoningBank Migration
+ * Moves a file-based ReasoningBank (index.json + one JSON file per entry)
+ * into the SQLite storage backend
+ * =============================================================================
+ *
+ * Usage:
+ *   node src/ruvnet/migrate-reasoning-bank.js [--from <dir>] [--to <file>] [--no-compression]
+ *
+ * --from defaults to ./data/reasoning-bank, ClaudeFlowIntegration's default
+ * reasoningBank.persistPath, and --to to <from>/reasoning-bank.sqlite, where
+ * ClaudeFlowIntegration looks for the database. When persistPath is
+ * configured elsewhere, pass it as --from. The source files are left
+ * untouched, so the migration can be re-run.
+ */
+
+import path from 'path';
+import { FileReasoningStore, SQLiteReasoningStore, migrateReasoningStore } from './reasoning-store.js';
+
+/**
+ * Migrate a file-based ReasoningBank into SQLite
+ * @param {Object} options - { from, to, compression }
+ */
+export async function migrateReasoningBank(options = {}) {
+    const from = options.from || './data/reasoning-bank';
+    const to = options.to || path.join(from, 'reasoning-bank.sqlite');
+
+    const source = new FileReasoningStore({ path: from });
+    const target = new SQLiteReasoningStore({ path: to, compression: options.compression !== false });
+
+    await source.initialize();
+    await target.initialize();
+
+    try {
+        const result = await migrateReasoningStore(source, target, {
+            onProgress: options.onProgress
+        });
+        return { from, to, ...result };
+    } finally {
+        await target.close();
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--from':
+                options.from = argv[++i];
+                break;
+            case '--to':
+                options.to = argv[++i];
+                break;
+            case '--no-compression':
+                options.compression = false;
+                break;
+            default:
+                throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    return options;
+}
+
+// Run if executed directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const options = parseArgs(process.argv.slice(2));
+
+    migrateReasoningBank({
+        ...options,
+        onProgress: ({ migrated, total }) => process.stdout.write(`\rMigrated ${migrated}/${total}`)
+    })
+        .then(({ from, to, migrated, missing }) => {
+            console.log(`\n✅ Migrated ${migrated} entries from ${from} to ${to}`);
+            if (missing.length > 0) {
+                console.warn(`⚠ ${missing.length} indexed entries had no file: ${missing.slice(0, 10).join(', ')}${missing.length > 10 ? ', ...' : ''}`);
+            }
+            process.exit(0);
+        })
+        .catch(error => {
+            console.error('Migration failed:', error.message);
+            process.exit(1);
+        });
+}
@@ -10,6 +10,9 @@ import { AgenticFlowIntegration } from './agentic-flow.js';
 import { ClaudeFlowIntegration } from './claude-flow.js';
 import { AgentDBIntegration } from './agentdb.js';
 import { RuVectorIntegration } from './ruvector.js';
+import { MemoryConsolidator } from './memory-consolidation.js';
+import { DocumentIngestor } from './document-ingestion.js';
+import { reciprocalRankFusion, maximalMarginalRelevance, packContext } from './hybrid-retrieval.js';
 
 /**
  * RuvnetOrchestrator - Master orchestrator for all Ruvnet components
@@ -22,6 +25,8 @@ export class RuvnetOrchestrator extends EventEmitter {
             claudeFlow: config.claudeFlow || {},
             agentdb: config.agentdb || {},
             ruvector: config.ruvector || {},
+            memory: config.memory || {},
+            ingestion: config.ingestion || {},
             gateway: {
                 url: process.env.LITELLM_URL || 'http://localhost:4000',
                 apiKey: process.env.LITELLM_MASTER_KEY,
@@ -32,7 +37,29 @@ export class RuvnetOrchestrator extends EventEmitter {
                 discoveryMethod: 'kubernetes',
                 ...config.a2a
             },
-            ...config
+            ...config,
+            retrieval: {
+                hybrid: true, // fuse BM25 full-text results with vector results
+                minScore: 0.7, // vector similarity floor
+                candidates: 20, // results taken from each retriever before fusion
+                rrfK: 60, // reciprocal rank fusion constant
+                weights: { vector: 1, lexical: 1 },
+                mmr: false, // diversify with maximal marginal relevance
+                mmrLambda: 0.5, // 1 = relevance only, 0 = diversity only
+                maxTokens: null, // context token budget
+                sources: ['knowledge', 'tasks', 'workflows', 'reasoning'], // keys of `collections` searched
+                ...config.retrieval
+            },
+            // RuVector collection per kind of vector
+            collections: {
+                knowledge: 'knowledge', // addKnowledge and ingested documents
+                capabilities: 'agent_capabilities',
+                tasks: 'task_results',
+                workflows: 'workflow_outputs',
+                memories: 'agent_memories',
+                reasoning: 'reasoning',
+                ...config.collections
+            }
         };
 
         // Component instances
@@ -40,6 +67,8 @@ export class RuvnetOrchestrator extends EventEmitter {
         this.claudeFlow = null;
         this.agentdb = null;
         this.ruvector = null;
+        this.memoryConsolidator = null;
+        this.ingestor = null;
 
         // Orchestration state
         this.initialized = false;
@@ -67,15 +96,35 @@ export class RuvnetOrchestrator extends EventEmitter {
             this.emit('component-initialized', { component: 'agentdb' });
 
             // Initialize remaining components in parallel
+            const { collections } = this.config;
             this.agenticFlow = new AgenticFlowIntegration(this.config.agenticFlow);
-            this.claudeFlow = new ClaudeFlowIntegration(this.config.claudeFlow);
-            this.ruvector = new RuVectorIntegration(this.config.ruvector);
+            this.claudeFlow = new ClaudeFlowIntegration({
+                ...this.config.claudeFlow,
+                priorReasoning: { collection: collections.reasoning, ...this.config.claudeFlow.priorReasoning }
+            });
+            this.claudeFlow.setWorkflowStore(this.agentdb);
+            this.ruvector = new RuVectorIntegration({
+                ...this.config.ruvector,
+                collections: {
+                    ...Object.fromEntries(Object.values(collections).map(name => [name, {}])),
+                    ...this.config.ruvector.collections
+                }
+            });
+            this.claudeFlow.setVectorIndex(this.ruvector);
+            this.memoryConsolidator = new MemoryConsolidator({ collection: collections.memories, ...this.config.memory });
+            this.memoryConsolidator.setMemoryStore(this.agentdb);
+            this.memoryConsolidator.setVectorIndex(this.ruvector);
+            this.agenticFlow.setMemoryProvider(this.memoryConsolidator);
+            this.ingestor = new DocumentIngestor({ collection: collections.knowledge, ...this.config.ingestion });
+            this.ingestor.setDocumentStore(this.agentdb);
+            this.ingestor.setVectorIndex(this.ruvector);
 
             initPromises.push(
                 this.agenticFlow.initialize().then(() =>
                     this.emit('component-initialized', { component: 'agenticFlow' })
                 ),
-                this.claudeFlow.initialize().then(() =>
+                // Interrupted workflows resume once every component is up
+                this.claudeFlow.initialize({ resume: false }).then(() =>
                     this.emit('component-initialized', { component: 'claudeFlow' })
                 ),
                 this.ruvector.initialize().then(() =>
@@ -88,9 +137,21 @@ export class RuvnetOrchestrator extends EventEmitter {
             // Wire up event handlers
             this.wireEventHandlers();
 
+            // Tools backed by Ruvnet components
+            this.registerDefaultTools();
+
+            await this.migrateToCollections();
+            await this.backfillTextIndex();
+
+            this.memoryConsolidator.start();
+
             this.initialized = true;
             this.emit('initialized', { components: ['agentdb', 'agenticFlow', 'claudeFlow', 'ruvector'] });
 
+            if (this.claudeFlow.config.workflows.autoResume !== false) {
+                this.claudeFlow.resumeInterrupted();
+            }
+
             return true;
         } catch (error) {
             this.emit('initialization-error', { error });
@@ -131,30 +192,92 @@ export class RuvnetOrchestrator extends EventEmitter {
                 result: data.result,
                 duration: data.duration
             });
+
+            // Episodic memory, summarised later by the consolidator
+            await this.memoryConsolidator.addMemory(data.agentId, {
+                type: 'task',
+                content: { task: data.task, result: data.result },
+                metadata: { taskId: task.id, duration: data.duration }
+            });
         });
 
+        // Persist every tool call as agent memory
+        const recordToolCall = async (data) => {
+            await this.agentdb.addMemory(data.agentId, {
+                type: 'tool-call',
+                content: {
+                    tool: data.tool,
+                    arguments: data.arguments,
+                    result: data.result
+                },
+                metadata: { step: data.step, callId: data.callId, duration: data.duration }
+            });
+        };
+        this.agenticFlow.on('tool-call-completed', recordToolCall);
+        this.agenticFlow.on('tool-call-failed', recordToolCall);
+
         // ClaudeFlow events
         this.claudeFlow.on('workflow-completed', async (data) => {
             // Index workflow outputs in RuVector for retrieval
             for (const [key, output] of Object.entries(data.workflow.outputs)) {
-                if (typeof output === 'string') {
+                if (output != null) {
                     await this.ruvector.add(
                         `workflow-${data.workflowId}-${key}`,
-                        output,
+                        typeof output === 'string' ? output : JSON.stringify(output),
                         {
                             type: 'workflow-output',
                             workflowId: data.workflowId,
                             outputKey: key
-                        }
+                        },
+                        { collection: this.config.collections.workflows }
                     );
                 }
             }
         });
 
+        this.claudeFlow.on('approval-requested', (data) => {
+            this.emit('approval-requested', data);
+        });
+
         // RuVector events
         this.ruvector.on('vector-added', (data) => {
+            this.indexText(data.id, data.metadata, data.collection);
             this.emit('knowledge-indexed', data);
         });
+
+        this.ruvector.on('vector-deleted', (data) => {
+            this.agentdb.removeText(data.id, { collection: data.collection });
+        });
+
+        this.ruvector.on('collection-dropped', (data) => {
+            this.agentdb.removeTextCollection(data.name);
+        });
+    }
+
+    /**
+     * Register tools that agents can call through the tool loop
+     */
+    registerDefaultTools() {
+        this.agenticFlow.registerTool('knowledge_search', {
+            description: 'Semantic search over the knowledge base and prior results.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: { type: 'string', description: 'What to search for' },
+                    k: { type: 'integer', description: 'Number of results', default: 5 }
+                },
+                required: ['query']
+            },
+            handler: async ({ query, k = 5 }) => {
+                const results = await this.ruvector.search(query, { k, collection: this.retrievalCollections() });
+                return results.map(r => ({
+                    id: r.id,
+                    score: r.score,
+                    type: r.metadata?.type,
+                    text: r.metadata?.originalText
+                }));
+            }
+        });
     }
 
     // =========================================================================
@@ -180,7 +303,8 @@ export class RuvnetOrchestrator extends EventEmitter {
                     type: 'agent-capability',
                     agentId: agent.id,
                     capabilities: spec.capabilities
-                }
+                },
+                { collection: this.config.collections.capabilities }
             );
         }
 
@@ -199,7 +323,7 @@ export class RuvnetOrchestrator extends EventEmitter {
 
         const results = await this.ruvector.search(capability, {
             k: 10,
-            filter: { type: 'agent-capability' }
+            collection: this.config.collections.capabilities
         });
 
         return results.map(r => ({
@@ -230,6 +354,63 @@ export class RuvnetOrchestrator extends EventEmitter {
         return result;
     }
 
+    /**
+     * Pause a running workflow after its current phase
+     * @param {string} workflowId - Workflow ID
+     */
+    async pauseWorkflow(workflowId) {
+        await this.ensureInitialized();
+        return this.claudeFlow.pauseWorkflow(workflowId);
+    }
+
+    /**
+     * Resume a paused or interrupted workflow from its last completed phase
+     * @param {string} workflowId - Workflow ID
+     */
+    async resumeWorkflow(workflowId) {
+        await this.ensureInitialized();
+        return this.claudeFlow.resumeWorkflow(workflowId);
+    }
+
+    /**
+     * Cancel a workflow, aborting its in-flight phase
+     * @param {string} workflowId - Workflow ID
+     */
+    async cancelWorkflow(workflowId) {
+        await this.ensureInitialized();
+        return this.claudeFlow.cancelWorkflow(workflowId);
+    }
+
+    /**
+     * Phases across all workflows that are waiting for a human decision
+     */
+    async listPendingApprovals() {
+        await this.ensureInitialized();
+        return this.claudeFlow.listPendingApprovals();
+    }
+
+    /**
+     * Approve a phase awaiting approval and continue its workflow
+     * @param {string} workflowId - Workflow ID
+     * @param {string} phase - Phase name
+     * @param {Object} options - { approver, comment }
+     */
+    async approvePhase(workflowId, phase, options = {}) {
+        await this.ensureInitialized();
+        return this.claudeFlow.approvePhase(workflowId, phase, options);
+    }
+
+    /**
+     * Reject a phase awaiting approval, ending its workflow
+     * @param {string} workflowId - Workflow ID
+     * @param {string} phase - Phase name
+     * @param {Object} options - { approver, comment }
+     */
+    async rejectPhase(workflowId, phase, options = {}) {
+        await this.ensureInitialized();
+        return this.claudeFlow.rejectPhase(workflowId, phase, options);
+    }
+
     // =========================================================================
     // UNIFIED TASK EXECUTION
     // =========================================================================
@@ -274,7 +455,8 @@ export class RuvnetOrchestrator extends EventEmitter {
                     type: 'task-result',
                     taskType: task.type,
                     agentId
-                }
+                },
+                { collection: this.config.collections.tasks }
             );
         }
 
@@ -316,11 +498,23 @@ export class RuvnetOrchestrator extends EventEmitter {
         await this.ruvector.add(id, content, {
             type: 'knowledge',
             ...metadata
-        });
+        }, { collection: this.config.collections.knowledge });
 
         return { id };
     }
 
+    /**
+     * Ingest files or directories of Markdown, code, JSON and text into the
+     * knowledge base. Re-ingesting only embeds changed chunks and removes
+     * documents whose files were deleted.
+     * @param {string|string[]} paths - Files or directories
+     * @param {Object} options - { metadata, force, maxChars, overlap }
+     */
+    async ingestDocuments(paths, options = {}) {
+        await this.ensureInitialized();
+        return this.ingestor.ingest(paths, options);
+    }
+
     /**
      * Search knowledge base
      * @param {string} query - Search query
@@ -331,36 +525,168 @@ export class RuvnetOrchestrator extends EventEmitter {
 
         return await this.ruvector.search(query, {
             ...options,
-            filter: { type: 'knowledge', ...options.filter }
+            collection: this.config.collections.knowledge
         });
     }
 
     /**
-     * Retrieve relevant context for a query using RAG
+     * Retrieve relevant context for a query using RAG.
+     *
+     * Vector results (above minScore) and BM25 full-text results are fused
+     * with reciprocal rank fusion, optionally diversified with MMR, then packed
+     * into maxTokens. Each source keeps its per-retriever scores and ranks.
+     *
      * @param {string} query - Query text
-     * @param {Object} options - RAG options
+     * @param {Object} options - RAG options: k, filter, and any of the
+     *   `retrieval` settings (hybrid, minScore, candidates, rrfK, weights,
+     *   mmr, mmrLambda, maxTokens, sources)
      */
     async retrieveContext(query, options = {}) {
         await this.ensureInitialized();
 
-        const { k = 5, minScore = 0.7 } = options;
+        const settings = {
+            ...this.config.retrieval,
+            ...options,
+            weights: { ...this.config.retrieval.weights, ...options.weights }
+        };
+        const { k = 5, filter = null, hybrid, minScore, rrfK, weights, mmr, mmrLambda, maxTokens } = settings;
+        const candidates = Math.max(settings.candidates, k);
+        const collections = this.retrievalCollections(settings.sources);
+
+        const rankings = {};
+
+        const vectorResults = await this.ruvector.search(query, { k: candidates, filter, collection: collections });
+        rankings.vector = vectorResults.filter(r => r.score >= minScore);
+
+        if (hybrid) {
+            try {
+                rankings.lexical = this.agentdb.searchText(query, { k: candidates, filter, collection: collections });
+            } catch (error) {
+                // Fall back to vector results alone
+                this.emit('lexical-search-failed', { query, error });
+            }
+        }
 
-        // Search across all knowledge types
-        const results = await this.ruvector.search(query, { k: k * 2 });
+        let results = reciprocalRankFusion(rankings, { k: rrfK, weights });
+
+        if (mmr) {
+            const withVectors = await Promise.all(results.map(async result => {
+                const stored = await this.ruvector.get(result.id, { collection: result.item.collection });
+                const vector = typeof stored?.vector === 'string' ? JSON.parse(stored.vector) : stored?.vector;
+                return { ...result, vector };
+            }));
+            results = maximalMarginalRelevance(withVectors, { k, lambda: mmrLambda });
+        } else {
+            results = results.slice(0, k);
+        }
 
-        // Filter by score and deduplicate
-        const filtered = results
-            .filter(r => r.score >= minScore)
-            .slice(0, k);
+        const packed = packContext(
+            results.map(result => ({
+                ...result,
+                text: result.item.metadata?.originalText || result.item.content || JSON.stringify(result.item.metadata)
+            })),
+            { maxTokens }
+        );
 
         return {
-            context: filtered.map(r => r.metadata.originalText || JSON.stringify(r.metadata)).join('\n\n'),
-            sources: filtered.map(r => ({
-                id: r.id,
-                score: r.score,
-                type: r.metadata.type
-            }))
+            context: packed.items.map(item => item.text).join('\n\n'),
+            sources: packed.items.map(item => ({
+                id: item.id,
+                score: item.score,
+                type: item.item.metadata?.type,
+                collection: item.item.collection,
+                scores: {
+                    ...item.scores,
+                    rrf: item.score,
+                    ...(item.mmr !== undefined ? { mmr: item.mmr } : {})
+                },
+                ranks: item.ranks,
+                ...(item.truncated ? { truncated: true } : {})
+            })),
+            tokens: packed.tokens,
+            skipped: packed.skipped
+        };
+    }
+
+    /**
+     * RuVector collections for the given `collections` keys
+     */
+    retrievalCollections(sources = this.config.retrieval.sources) {
+        return sources.map(source => this.config.collections[source] || source);
+    }
+
+    /**
+     * Add a vector's text to the AgentDB full-text index
+     */
+    indexText(id, metadata, collection) {
+        if (!metadata?.originalText) return;
+
+        const { originalText, ...rest } = metadata;
+        try {
+            this.agentdb.indexText(id, originalText, rest, { collection });
+        } catch (error) {
+            this.emit('text-index-failed', { id, error });
+        }
+    }
+
+    /**
+     * Move vectors stored before collections existed from the default
+     * collection into the collection for their type
+     */
+    async migrateToCollections() {
+        const { collections } = this.config;
+        const byType = {
+            'knowledge': collections.knowledge,
+            'agent-capability': collections.capabilities,
+            'task-result': collections.tasks,
+            'workflow-output': collections.workflows,
+            'agent-memory': collections.memories,
+            'reasoning': collections.reasoning
         };
+        const source = this.ruvector.config.collection;
+        let moved = 0;
+
+        const entries = this.ruvector.entries({
+            collection: source,
+            filter: { type: { $in: Object.keys(byType) } }
+        });
+        for await (const { id, vector, metadata } of entries) {
+            const target = byType[metadata.type];
+            if (target === source) continue;
+
+            try {
+                // Added before deleting so a failure leaves the vector where it was
+                await this.ruvector.add(id, Array.from(vector), { ...metadata }, {
+                    collection: target,
+                    model: metadata.embeddingModel
+                });
+                await this.ruvector.delete(id, { collection: source });
+                this.indexText(id, metadata, target);
+                moved++;
+            } catch (error) {
+                this.emit('vector-migration-failed', { id, collection: target, error });
+            }
+        }
+
+        if (moved > 0) {
+            this.emit('vectors-migrated', { count: moved, from: source });
+        }
+    }
+
+    /**
+     * Fill an empty full-text index from the texts already in RuVector
+     */
+    async backfillTextIndex() {
+        if (this.agentdb.textIndexSize() > 0) return;
+
+        const documents = await this.ruvector.documents();
+        for (const { id, text, metadata, collection } of documents) {
+            this.indexText(id, { ...metadata, originalText: text }, collection);
+        }
+
+        if (documents.length > 0) {
+            this.emit('text-index-rebuilt', { count: documents.length });
+        }
     }
 
     // =========================================================================
@@ -375,31 +701,13 @@ export class RuvnetOrchestrator extends EventEmitter {
     async addAgentMemory(agentId, memory) {
         await this.ensureInitialized();
 
-        // Add to AgentDB
-        const memoryId = await this.agentdb.addMemory(agentId, memory);
-
-        // Index in RuVector for retrieval
-        if (memory.content) {
-            const content = typeof memory.content === 'string'
-                ? memory.content
-                : JSON.stringify(memory.content);
-
-            await this.ruvector.add(
-                `memory-${agentId}-${memoryId}`,
-                content,
-                {
-                    type: 'agent-memory',
-                    agentId,
-                    memoryType: memory.type
-                }
-            );
-        }
-
-        return memoryId;
+        // Stored in AgentDB and indexed in RuVector; near-duplicates reinforce
+        // an existing memory instead
+        return this.memoryConsolidator.addMemory(agentId, memory);
     }
 
     /**
-     * Retrieve relevant memories for an agent
+     * Retrieve an agent's top-ranked memories by relevance, recency and importance
      * @param {string} agentId - Agent ID
      * @param {string} query - Query for relevance
      */
@@ -407,14 +715,19 @@ export class RuvnetOrchestrator extends EventEmitter {
         await this.ensureInitialized();
 
         const { k = 10 } = options;
+        return this.memoryConsolidator.recall(agentId, query, { k });
+    }
 
-        // Search vector store for relevant memories
-        const results = await this.ruvector.search(query, {
-            k,
-            filter: { type: 'agent-memory', agentId }
-        });
+    /**
+     * Run a consolidation pass now, for one agent or all of them
+     * @param {string} agentId - Agent ID (optional)
+     */
+    async consolidateAgentMemories(agentId = null) {
+        await this.ensureInitialized();
 
-        return results;
+        return agentId
+            ? this.memoryConsolidator.consolidate(agentId)
+            : this.memoryConsolidator.consolidateAll();
     }
 
     // =========================================================================
@@ -532,6 +845,11 @@ export class RuvnetOrchestrator extends EventEmitter {
 
         const shutdownPromises = [];
 
+        // Stop consolidating before the stores it writes to close
+        if (this.memoryConsolidator) {
+            await this.memoryConsolidator.shutdown();
+        }
+
         if (this.agenticFlow) {
             shutdownPromises.push(this.agenticFlow.shutdown());
         }
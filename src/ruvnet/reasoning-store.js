@@ -0,0 +1,428 @@
+/**
+ * =============================================================================
+ * ReasoningBank Storage
+ * Pluggable persistence for ClaudeFlow reasoning entries
+ * =============================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import zlib from 'zlib';
+import Database from 'better-sqlite3';
+
+/**
+ * Storage backends share one interface:
+ *
+ *   initialize()                   open / create storage
+ *   keys()                         all entry keys
+ *   get(key)                       entry or null
+ *   put(entry)                     insert or replace, atomically
+ *   delete(keys)                   remove entries
+ *   query({ tags, type, minConfidence, limit })   newest first
+ *   oldestKeys(limit)              keys in timestamp order, for pruning
+ *   getMetadata() / setMetadata(metadata)
+ *   close()
+ */
+
+// Entries smaller than this are stored uncompressed
+const COMPRESSION_THRESHOLD = 1024;
+
+/**
+ * SQLite storage: one row per entry, tags in an indexed side table,
+ * gzip-compressed bodies, and every write in a transaction.
+ */
+export class SQLiteReasoningStore {
+    constructor(config = {}) {
+        this.config = {
+            path: './data/reasoning-bank.sqlite',
+            compression: true,
+            wal: true,
+            ...config
+        };
+
+        this.db = null;
+        this.statements = null;
+    }
+
+    async initialize() {
+        await fs.mkdir(path.dirname(this.config.path), { recursive: true });
+        this.db = new Database(this.config.path);
+
+        if (this.config.wal) {
+            this.db.pragma('journal_mode = WAL');
+        }
+
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS reasoning_entries (
+                id TEXT PRIMARY KEY,
+                type TEXT NOT NULL DEFAULT 'general',
+                confidence REAL NOT NULL DEFAULT 1.0,
+                source TEXT,
+                timestamp TEXT NOT NULL,
+                compressed INTEGER NOT NULL DEFAULT 0,
+                data BLOB NOT NULL
+            );
+
+            CREATE TABLE IF NOT EXISTS reasoning_tags (
+                entry_id TEXT NOT NULL,
+                tag TEXT NOT NULL,
+                PRIMARY KEY (entry_id, tag),
+                FOREIGN KEY (entry_id) REFERENCES reasoning_entries(id) ON DELETE CASCADE
+            );
+
+            CREATE TABLE IF NOT EXISTS reasoning_metadata (
+                key TEXT PRIMARY KEY,
+                value TEXT NOT NULL
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_reasoning_type ON reasoning_entries(type, timestamp);
+            CREATE INDEX IF NOT EXISTS idx_reasoning_timestamp ON reasoning_entries(timestamp);
+            CREATE INDEX IF NOT EXISTS idx_reasoning_tags ON reasoning_tags(tag);
+        `);
+        this.db.pragma('foreign_keys = ON');
+
+        this.statements = {
+            keys: this.db.prepare('SELECT id FROM reasoning_entries'),
+            get: this.db.prepare('SELECT compressed, data FROM reasoning_entries WHERE id = ?'),
+            upsert: this.db.prepare(`
+                INSERT INTO reasoning_entries (id, type, confidence, source, timestamp, compressed, data)
+                VALUES (@id, @type, @confidence, @source, @timestamp, @compressed, @data)
+                ON CONFLICT(id) DO UPDATE SET
+                    type = excluded.type,
+                    confidence = excluded.confidence,
+                    source = excluded.source,
+                    timestamp = excluded.timestamp,
+                    compressed = excluded.compressed,
+                    data = excluded.data
+            `),
+            deleteTags: this.db.prepare('DELETE FROM reasoning_tags WHERE entry_id = ?'),
+            insertTag: this.db.prepare('INSERT OR IGNORE INTO reasoning_tags (entry_id, tag) VALUES (?, ?)'),
+            delete: this.db.prepare('DELETE FROM reasoning_entries WHERE id = ?'),
+            oldest: this.db.prepare('SELECT id FROM reasoning_entries ORDER BY timestamp ASC LIMIT ?'),
+            getMetadata: this.db.prepare('SELECT value FROM reasoning_metadata WHERE key = ?'),
+            setMetadata: this.db.prepare(`
+                INSERT INTO reasoning_metadata (key, value) VALUES (?, ?)
+                ON CONFLICT(key) DO UPDATE SET value = excluded.value
+            `)
+        };
+
+        // Entry row and its tags are written together or not at all
+        this.putTransaction = this.db.transaction(rows => {
+            for (const { row, tags } of rows) {
+                this.statements.upsert.run(row);
+                this.statements.deleteTags.run(row.id);
+                for (const tag of tags) {
+                    this.statements.insertTag.run(row.id, tag);
+                }
+            }
+        });
+
+        this.deleteTransaction = this.db.transaction(keys => {
+            for (const key of keys) {
+                this.statements.delete.run(key);
+            }
+        });
+    }
+
+    async keys() {
+        return this.statements.keys.all().map(row => row.id);
+    }
+
+    async get(key) {
+        const row = this.statements.get.get(key);
+        return row ? this.decode(row) : null;
+    }
+
+    /**
+     * Insert or replace one entry or a batch of entries
+     */
+    async put(entries) {
+        const batch = (Array.isArray(entries) ? entries : [entries]).map(entry => ({
+            row: this.encode(entry),
+            tags: entry.metadata?.tags || []
+        }));
+        this.putTransaction(batch);
+    }
+
+    async delete(keys) {
+        this.deleteTransaction(Array.isArray(keys) ? keys : [keys]);
+    }
+
+    /**
+     * Filter by tags (any), type and minimum confidence using the indexes
+     */
+    async query(query = {}) {
+        const conditions = [];
+        const params = [];
+
+        if (query.type) {
+            conditions.push('e.type = ?');
+            params.push(query.type);
+        }
+
+        if (query.minConfidence) {
+            conditions.push('e.confidence >= ?');
+            params.push(query.minConfidence);
+        }
+
+        if (query.tags && query.tags.length > 0) {
+            conditions.push(`e.id IN (SELECT entry_id FROM reasoning_tags WHERE tag IN (${query.tags.map(() => '?').join(', ')}))`);
+            params.push(...query.tags);
+        }
+
+        let sql = 'SELECT e.compressed, e.data FROM reasoning_entries e';
+        if (conditions.length > 0) {
+            sql += ` WHERE ${conditions.join(' AND ')}`;
+        }
+        sql += ' ORDER BY e.timestamp DESC';
+
+        if (query.limit) {
+            sql += ' LIMIT ?';
+            params.push(query.limit);
+        }
+
+        return this.db.prepare(sql).all(...params).map(row => this.decode(row));
+    }
+
+    async oldestKeys(limit) {
+        return this.statements.oldest.all(limit).map(row => row.id);
+    }
+
+    async getMetadata() {
+        const row = this.statements.getMetadata.get('bank');
+        return row ? JSON.parse(row.value) : null;
+    }
+
+    async setMetadata(metadata) {
+        this.statements.setMetadata.run('bank', JSON.stringify(metadata));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+
+    encode(entry) {
+        let data = Buffer.from(JSON.stringify(entry));
+        let compressed = 0;
+
+        if (this.config.compression && data.length >= COMPRESSION_THRESHOLD) {
+            data = zlib.gzipSync(data);
+            compressed = 1;
+        }
+
+        return {
+            id: entry.id,
+            type: entry.metadata?.type || 'general',
+            confidence: entry.metadata?.confidence ?? 1.0,
+            source: entry.metadata?.source || null,
+            timestamp: entry.timestamp || new Date().toISOString(),
+            compressed,
+            data
+        };
+    }
+
+    decode(row) {
+        const data = row.compressed ? zlib.gunzipSync(row.data) : row.data;
+        return JSON.parse(data.toString());
+    }
+}
+
+/**
+ * File storage: the original layout of one `<key>.json` per entry plus an
+ * `index.json`. Writes go to a temp file and are renamed into place so a
+ * crash never leaves a truncated entry; with compression, entries are
+ * written as `<key>.json.gz`.
+ */
+export class FileReasoningStore {
+    constructor(config = {}) {
+        this.config = {
+            path: './data/reasoning-bank',
+            compression: false,
+            ...config
+        };
+
+        this.index = { metadata: null, entries: [] };
+        this.keySet = new Set();
+    }
+
+    async initialize() {
+        await fs.mkdir(this.config.path, { recursive: true });
+
+        try {
+            const data = await fs.readFile(this.indexPath(), 'utf-8');
+            this.index = JSON.parse(data);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.keySet = new Set(this.index.entries || []);
+    }
+
+    async keys() {
+        return Array.from(this.keySet);
+    }
+
+    async get(key) {
+        for (const [file, compressed] of [[`${key}.json.gz`, true], [`${key}.json`, false]]) {
+            try {
+                const data = await fs.readFile(path.join(this.config.path, file));
+                return JSON.parse((compressed ? zlib.gunzipSync(data) : data).toString());
+            } catch (error) {
+                if (error.code !== 'ENOENT') throw error;
+            }
+        }
+        return null;
+    }
+
+    async put(entries) {
+        for (const entry of Array.isArray(entries) ? entries : [entries]) {
+            const json = JSON.stringify(entry, null, 2);
+            if (this.config.compression) {
+                await writeAtomic(this.entryPath(entry.id, true), zlib.gzipSync(json));
+                await fs.unlink(this.entryPath(entry.id, false)).catch(() => { });
+            } else {
+                await writeAtomic(this.entryPath(entry.id, false), json);
+            }
+            this.keySet.add(entry.id);
+        }
+        await this.writeIndex();
+    }
+
+    async delete(keys) {
+        for (const key of Array.isArray(keys) ? keys : [keys]) {
+            this.keySet.delete(key);
+            await fs.unlink(this.entryPath(key, false)).catch(() => { });
+            await fs.unlink(this.entryPath(key, true)).catch(() => { });
+        }
+        await this.writeIndex();
+    }
+
+    /**
+     * Full scan: the file layout has no secondary indexes
+     */
+    async query(query = {}) {
+        const results = [];
+
+        for (const key of this.keySet) {
+            const entry = await this.get(key);
+            if (!entry) continue;
+
+            const { metadata } = entry;
+            if (query.type && metadata.type !== query.type) continue;
+            if (query.minConfidence && metadata.confidence < query.minConfidence) continue;
+            if (query.tags && query.tags.length > 0 && !query.tags.some(tag => metadata.tags.includes(tag))) continue;
+
+            results.push(entry);
+        }
+
+        results.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return query.limit ? results.slice(0, query.limit) : results;
+    }
+
+    async oldestKeys(limit) {
+        const entries = await this.query();
+        return entries.reverse().slice(0, limit).map(entry => entry.id);
+    }
+
+    async getMetadata() {
+        return this.index.metadata || null;
+    }
+
+    async setMetadata(metadata) {
+        this.index.metadata = metadata;
+        await this.writeIndex();
+    }
+
+    async close() {
+        await this.writeIndex();
+    }
+
+    async writeIndex() {
+        this.index.entries = Array.from(this.keySet);
+        await writeAtomic(this.indexPath(), JSON.stringify(this.index, null, 2));
+    }
+
+    indexPath() {
+        return path.join(this.config.path, 'index.json');
+    }
+
+    entryPath(key, compressed) {
+        return path.join(this.config.path, compressed ? `${key}.json.gz` : `${key}.json`);
+    }
+}
+
+/**
+ * Create the storage backend for a ReasoningBank config
+ * @param {Object} config - ClaudeFlow `reasoningBank` config
+ * @returns {SQLiteReasoningStore|FileReasoningStore|null} null when persistence is off
+ */
+export function createReasoningStore(config) {
+    if (!config.persistPath) return null;
+
+    switch (config.storage || 'sqlite') {
+        case 'sqlite':
+            return new SQLiteReasoningStore({
+                path: config.sqlitePath || path.join(config.persistPath, 'reasoning-bank.sqlite'),
+                compression: config.compressionEnabled !== false
+            });
+        case 'file':
+            return new FileReasoningStore({
+                path: config.persistPath,
+                compression: config.compressionEnabled === true
+            });
+        default:
+            throw new Error(`Unknown ReasoningBank storage: ${config.storage}`);
+    }
+}
+
+/**
+ * Copy every entry from one store to another in batches.
+ * The source is only read, so a failed migration can simply be re-run.
+ * @param {Object} source - Store to read from (e.g. FileReasoningStore)
+ * @param {Object} target - Store to write to (e.g. SQLiteReasoningStore)
+ * @param {Object} options - { batchSize, onProgress }
+ * @returns {Promise<{ migrated: number, missing: string[] }>}
+ */
+export async function migrateReasoningStore(source, target, options = {}) {
+    const { batchSize = 500, onProgress = null } = options;
+    const keys = await source.keys();
+    const missing = [];
+    let migrated = 0;
+
+    for (let i = 0; i < keys.length; i += batchSize) {
+        const batch = [];
+        for (const key of keys.slice(i, i + batchSize)) {
+            const entry = await source.get(key);
+            if (entry) {
+                batch.push({ ...entry, id: entry.id || key });
+            } else {
+                missing.push(key);
+            }
+        }
+
+        if (batch.length > 0) {
+            await target.put(batch);
+            migrated += batch.length;
+        }
+        onProgress?.({ migrated, total: keys.length });
+    }
+
+    const metadata = await source.getMetadata();
+    if (metadata) {
+        await target.setMetadata({ ...metadata, totalEntries: migrated });
+    }
+
+    return { migrated, missing };
+}
+
+/**
+ * Write a file via temp file + rename so readers never see a partial write
+ */
+async function writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+}
@@ -6,9 +6,49 @@
  */
 
 import EventEmitter from 'events';
+import fs from 'fs/promises';
+import path from 'path';
+import { HNSWIndex } from './hnsw-index.js';
+import { LocalVectorStore } from './vector-store.js';
+import { filterToSql, matchesFilter, validateFilter } from './metadata-filter.js';
+import {
+    SIMILARITY_METRICS,
+    PGVECTOR_METRICS,
+    similarity,
+    scoreFromHnswDistance,
+    normalizeVector
+} from './vector-metrics.js';
+import {
+    QUANTIZATION_TYPES,
+    createQuantizer,
+    deserializeQuantizer,
+    defaultSubvectors
+} from './vector-quantization.js';
+import { createEmbeddingProvider } from './embedding-providers.js';
+
+const INDEX_TYPES = ['hnsw', 'flat'];
+
+// Collection names double as directory and table name suffixes
+const COLLECTION_NAME = /^[a-z][a-z0-9_]{0,39}$/;
 
 /**
- * RuVectorIntegration - Vector database for AI agents
+ * RuVectorIntegration - Vector database for AI agents.
+ *
+ * Vectors live in named collections, each with its own dimensions,
+ * similarity metric and index settings. Collections are stored separately
+ * (a directory per collection locally, a table per collection in Postgres),
+ * so searching one never scans another. Operations that name no collection
+ * use `config.collection`.
+ *
+ * Local collections can be quantized (`local.quantization`) to fit large
+ * collections on small devices: memory then holds compact codes, full
+ * vectors stay on disk, and searches re-rank the best candidates exactly.
+ *
+ * Text is embedded by the first available provider in `embedding.providers`
+ * (see embedding-providers.js). The model that embedded a vector is stored
+ * in its metadata (`embeddingModel`, `embeddingDimensions`), so a collection
+ * holding vectors from different models is detected rather than searched as
+ * if they were comparable.
  */
 export class RuVectorIntegration extends EventEmitter {
     constructor(config = {}) {
@@ -16,30 +56,58 @@ export class RuVectorIntegration extends EventEmitter {
         this.config = {
             backend: 'local', // 'local' | 'postgres' | 'remote'
             dimensions: 1536, // OpenAI ada-002 dimensions
-            indexType: 'hnsw', // 'hnsw' | 'flat' | 'ivf'
-            similarity: 'cosine', // 'cosine' | 'euclidean' | 'dot'
-            local: {
-                path: './data/ruvector',
-                maxElements: 1000000,
-                efConstruction: 200,
-                M: 16
+            indexType: 'hnsw', // 'hnsw' | 'flat' (exact linear scan)
+            similarity: 'cosine', // 'cosine' | 'euclidean' | 'dot'; scores are higher-is-better for all three
+            normalize: false, // scale vectors and queries to unit length
+            collection: 'default', // collection used when an operation names none
+            collections: {}, // name -> settings; created on initialize if missing
+            ...config,
+            embedding: {
+                provider: 'local', // default provider: 'local' (LiteLLM gateway) | 'openai' (OpenAI API)
+                model: 'all-MiniLM-L6-v2',
+                providers: null, // ordered failover list of provider specs or objects; replaces provider and fallback
+                fallback: null, // on-device provider tried after the default one, e.g. 'hashing' (opt-in)
+                batchSize: 32,
+                retryAfter: 30000, // ms a failed provider is skipped before it is tried again
+                mismatch: 'warn', // adding a vector from another model than a collection holds: 'warn' | 'reject'
+                ...config.embedding
             },
             postgres: {
                 connectionString: process.env.POSTGRES_URL,
-                tableName: 'vectors'
+                tableName: 'vectors', // default collection; others use <tableName>_<name>
+                ...config.postgres
             },
-            embedding: {
-                provider: 'local', // 'local' | 'openai'
-                model: 'all-MiniLM-L6-v2',
-                batchSize: 32
-            },
-            ...config
+            local: {
+                path: './data/ruvector',
+                maxElements: 1000000,
+                efConstruction: 200,
+                M: 16,
+                efSearch: 64, // search beam width; higher is slower with better recall
+                rebuildThreshold: 0.25, // fraction of deleted nodes that triggers a graph rebuild
+                snapshotInterval: 5 * 60 * 1000, // ms between snapshots while the write-ahead log has changes
+                walMaxBytes: 64 * 1024 * 1024, // snapshot early once the log grows past this
+                fsync: false, // fsync each log record, not just rely on the OS page cache
+                ...config.local,
+                quantization: {
+                    type: 'none', // 'none' | 'int8' | 'pq'
+                    subvectors: null, // pq code bytes per vector; null picks dimensions / 16
+                    trainingSize: 10000, // vectors kept at full precision until the quantizer is trained on them
+                    rerank: 4, // candidates re-scored from full vectors per result
+                    ...config.local?.quantization
+                }
+            }
         };
 
-        this.index = null;
-        this.vectors = new Map();
-        this.metadata = new Map();
-        this.embeddingModel = null;
+        // name -> { definition, ...backend state }; local collections also
+        // hold index, vectors, codes, quantizer, metadata and store
+        this.collections = new Map();
+        this.snapshotTimer = null;
+
+        // [{ provider, failures, failedAt, lastError }] in failover order
+        this.embeddingProviders = [];
+        // Vectors returned by embed() -> { model, provider }, so add() and
+        // search() can tell which model produced a vector they are given
+        this.embeddedBy = new WeakMap();
     }
 
     /**
@@ -50,7 +118,7 @@ export class RuVectorIntegration extends EventEmitter {
             // Initialize based on backend
             switch (this.config.backend) {
                 case 'local':
-                    await this.initializeLocalIndex();
+                    await this.initializeLocal();
                     break;
                 case 'postgres':
                     await this.initializePostgres();
@@ -60,6 +128,13 @@ export class RuVectorIntegration extends EventEmitter {
                     break;
             }
 
+            // Collections declared in config
+            for (const [name, settings] of Object.entries(this.config.collections)) {
+                if (!this.collections.has(name)) {
+                    await this.createCollection(name, settings);
+                }
+            }
+
             // Initialize embedding model
             await this.initializeEmbedding();
 
@@ -72,65 +147,254 @@ export class RuVectorIntegration extends EventEmitter {
     }
 
     /**
-     * Initialize local HNSW index
+     * Open the local collections listed in collections.json. An index
+     * directory from before collections is opened as the default collection.
      */
-    async initializeLocalIndex() {
-        const fs = await import('fs/promises');
-        const path = await import('path');
-
+    async initializeLocal() {
         await fs.mkdir(this.config.local.path, { recursive: true });
 
-        // Initialize in-memory HNSW index
-        this.index = {
-            type: 'hnsw',
-            dimensions: this.config.dimensions,
-            efConstruction: this.config.local.efConstruction,
-            M: this.config.local.M,
-            elements: new Map(),
-            graph: new Map()
-        };
-
-        // Load existing index if available
-        const indexPath = path.join(this.config.local.path, 'index.json');
+        let catalog;
         try {
-            const data = await fs.readFile(indexPath, 'utf-8');
-            const saved = JSON.parse(data);
-            this.index.elements = new Map(saved.elements);
-            this.vectors = new Map(saved.vectors);
-            this.metadata = new Map(saved.metadata);
-            this.emit('index-loaded', { count: this.index.elements.size });
+            catalog = JSON.parse(await fs.readFile(this.localCatalogPath(), 'utf-8'));
         } catch (error) {
-            // No existing index
+            if (error.code !== 'ENOENT') throw error;
+            catalog = {
+                collections: [{ ...this.collectionDefinition(this.config.collection), path: '.' }]
+            };
+        }
+
+        for (const definition of catalog.collections) {
+            await this.openLocalCollection(definition);
+        }
+        await this.saveLocalCatalog();
+
+        if (this.config.local.snapshotInterval > 0) {
+            this.snapshotTimer = setInterval(() => {
+                for (const collection of this.collections.values()) {
+                    if (collection.store.walBytes > 0) {
+                        this.snapshot(collection).catch(error =>
+                            this.emit('snapshot-failed', { collection: collection.definition.name, error }));
+                    }
+                }
+            }, this.config.local.snapshotInterval);
+            this.snapshotTimer.unref?.();
         }
     }
 
     /**
-     * Initialize PostgreSQL with pgvector
+     * Load a local collection from its snapshot and write-ahead log
+     */
+    async openLocalCollection(definition) {
+        const quantized = (definition.quantization?.type ?? 'none') !== 'none';
+        const collection = {
+            definition,
+            index: null,
+            vectors: new Map(), // id -> full vector, unless quantized
+            codes: new Map(), // id -> code, for quantized flat indexes (HNSW nodes hold their own)
+            quantizer: null, // trained quantizer
+            training: null,
+            metadata: new Map(),
+            embeddingModels: new Map(), // model -> vector count
+            store: new LocalVectorStore({
+                path: path.join(this.config.local.path, definition.path),
+                dimensions: definition.dimensions,
+                fsync: this.config.local.fsync,
+                locate: quantized
+            }),
+            snapshots: Promise.resolve(),
+            compacting: false
+        };
+
+        if (quantized) {
+            const saved = await collection.store.loadQuantizer();
+            if (saved) collection.quantizer = deserializeQuantizer(saved);
+        }
+
+        // Initialize in-memory index
+        switch (definition.indexType) {
+            case 'hnsw':
+                collection.index = new HNSWIndex({
+                    dimensions: definition.dimensions,
+                    space: definition.similarity,
+                    M: definition.M,
+                    efConstruction: definition.efConstruction,
+                    efSearch: definition.efSearch,
+                    rebuildThreshold: definition.rebuildThreshold,
+                    codec: collection.quantizer
+                });
+                break;
+            case 'flat':
+                collection.index = { type: 'flat' };
+                break;
+            default:
+                throw new Error(`Unsupported local index type: ${definition.indexType}`);
+        }
+
+        const { quantizer } = collection;
+        const saved = await collection.store.load({ codeBytes: quantizer?.bytesPerVector });
+
+        // id -> vector, or code once the quantizer is trained
+        const stored = new Map();
+        for (const row of saved.rows) {
+            stored.set(row.id, row.code ?? (quantizer ? this.encodeVector(collection, row.vector) : row.vector));
+            collection.metadata.set(row.id, row.metadata);
+            this.countEmbeddingModel(collection, row.metadata, 1);
+        }
+        if (!quantizer) {
+            collection.vectors = stored;
+        } else if (collection.index.type === 'flat') {
+            collection.codes = stored;
+        }
+
+        // Rebuild the graph if none was saved or it no longer matches
+        let rebuilt = false;
+        if (collection.index.type === 'hnsw') {
+            const restored = saved.graph &&
+                collection.index.deserialize(saved.graph.buffer, saved.graph.ids, id => stored.get(id));
+            if (!restored) {
+                for (const [id, vector] of stored) {
+                    if (quantizer) collection.index.insertEncoded(id, vector);
+                    else collection.index.insert(id, vector);
+                }
+                rebuilt = stored.size > 0;
+            }
+        }
+
+        // Changes made after the snapshot
+        for (const record of saved.records) {
+            if (record.op === 'add') {
+                this.applyLocalAdd(collection, record.id, record.vector, record.metadata);
+            } else {
+                this.applyLocalDelete(collection, record.id);
+            }
+        }
+
+        this.collections.set(definition.name, collection);
+
+        if (saved.legacy) {
+            await this.snapshot(collection);
+            await saved.complete();
+        }
+
+        this.emit('index-loaded', {
+            collection: definition.name,
+            count: collection.metadata.size,
+            replayed: saved.records.length,
+            migrated: saved.legacy,
+            rebuilt
+        });
+
+        this.trainQuantizerIfNeeded(collection);
+    }
+
+    localCatalogPath() {
+        return path.join(this.config.local.path, 'collections.json');
+    }
+
+    /**
+     * Write collections.json (atomically, via a temp file)
+     */
+    async saveLocalCatalog() {
+        const catalog = {
+            version: 1,
+            collections: Array.from(this.collections.values(), collection => collection.definition)
+        };
+
+        const tmpPath = `${this.localCatalogPath()}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify(catalog, null, 2));
+        await fs.rename(tmpPath, this.localCatalogPath());
+    }
+
+    /**
+     * Initialize PostgreSQL with pgvector. Collection definitions are kept
+     * in `<tableName>_collections`; the default collection uses `tableName`.
      */
     async initializePostgres() {
         const pg = await import('pg');
         this.pgClient = new pg.Client(this.config.postgres.connectionString);
         await this.pgClient.connect();
 
-        // Create table with vector extension
         await this.pgClient.query(`
             CREATE EXTENSION IF NOT EXISTS vector;
 
-            CREATE TABLE IF NOT EXISTS ${this.config.postgres.tableName} (
+            CREATE TABLE IF NOT EXISTS ${this.postgresCatalogTable()} (
+                name TEXT PRIMARY KEY,
+                definition JSONB NOT NULL,
+                created_at TIMESTAMP DEFAULT NOW()
+            );
+        `);
+
+        const result = await this.pgClient.query(`
+            SELECT definition FROM ${this.postgresCatalogTable()} ORDER BY created_at
+        `);
+        for (const row of result.rows) {
+            const collection = { definition: row.definition, embeddingModels: new Map() };
+            this.collections.set(row.definition.name, collection);
+            await this.loadPostgresEmbeddingModels(collection);
+        }
+
+        if (!this.collections.has(this.config.collection)) {
+            // Keeps rows already in tableName from before collections
+            await this.createPostgresCollection({
+                ...this.collectionDefinition(this.config.collection),
+                table: this.config.postgres.tableName
+            });
+        }
+
+        this.emit('postgres-initialized');
+    }
+
+    postgresCatalogTable() {
+        return `${this.config.postgres.tableName}_collections`;
+    }
+
+    /**
+     * Create a collection's table and index and record it in the catalog
+     */
+    async createPostgresCollection(definition) {
+        const { table } = definition;
+
+        await this.pgClient.query(`
+            CREATE TABLE IF NOT EXISTS ${table} (
                 id TEXT PRIMARY KEY,
-                embedding vector(${this.config.dimensions}),
+                embedding vector(${definition.dimensions}),
                 content TEXT,
                 metadata JSONB DEFAULT '{}',
                 created_at TIMESTAMP DEFAULT NOW()
             );
-
-            CREATE INDEX IF NOT EXISTS ${this.config.postgres.tableName}_embedding_idx
-            ON ${this.config.postgres.tableName}
-            USING hnsw (embedding vector_cosine_ops)
-            WITH (m = 16, ef_construction = 200);
         `);
 
-        this.emit('postgres-initialized');
+        if (definition.indexType === 'hnsw') {
+            await this.pgClient.query(`
+                CREATE INDEX IF NOT EXISTS ${table}_embedding_idx
+                ON ${table}
+                USING hnsw (embedding ${PGVECTOR_METRICS[definition.similarity].opclass})
+                WITH (m = ${definition.M}, ef_construction = ${definition.efConstruction});
+            `);
+        }
+
+        await this.pgClient.query(`
+            INSERT INTO ${this.postgresCatalogTable()} (name, definition)
+            VALUES ($1, $2)
+            ON CONFLICT (name) DO UPDATE SET definition = $2
+        `, [definition.name, JSON.stringify(definition)]);
+
+        const collection = { definition, embeddingModels: new Map() };
+        this.collections.set(definition.name, collection);
+        await this.loadPostgresEmbeddingModels(collection);
+    }
+
+    /**
+     * Count a Postgres collection's vectors per embedding model
+     */
+    async loadPostgresEmbeddingModels(collection) {
+        const result = await this.pgClient.query(`
+            SELECT metadata->>'embeddingModel' as model, COUNT(*) as count
+            FROM ${collection.definition.table}
+            WHERE metadata ? 'embeddingModel'
+            GROUP BY 1
+        `);
+        collection.embeddingModels = new Map(result.rows.map(row => [row.model, parseInt(row.count)]));
     }
 
     /**
@@ -142,39 +406,310 @@ export class RuVectorIntegration extends EventEmitter {
             url: this.config.remote?.url,
             apiKey: this.config.remote?.apiKey
         };
+        this.collections.set(this.config.collection, {
+            definition: this.collectionDefinition(this.config.collection),
+            embeddingModels: new Map()
+        });
     }
 
     /**
-     * Initialize embedding model
+     * Set up the embedding providers in failover order
      */
     async initializeEmbedding() {
-        if (this.config.embedding.provider === 'local') {
-            // Use local embedding through LiteLLM
-            this.embeddingModel = {
-                type: 'local',
-                model: this.config.embedding.model
-            };
-        } else {
-            this.embeddingModel = {
-                type: 'openai',
-                model: 'text-embedding-ada-002'
+        const { provider, model, providers, fallback } = this.config.embedding;
+        let specs = providers;
+        if (!specs) {
+            const primary = provider === 'openai' ? { type: 'openai' } : { type: 'litellm', model };
+            specs = fallback ? [primary, fallback] : [primary];
+        }
+        if (specs.length === 0) {
+            throw new Error('At least one embedding provider is required');
+        }
+
+        this.embeddingProviders = specs.map(spec => ({
+            provider: createEmbeddingProvider(spec, { model, dimensions: this.config.dimensions }),
+            failures: 0,
+            failedAt: null,
+            lastError: null,
+            mismatchedDimensions: new Set() // sizes already warned about
+        }));
+    }
+
+    // =========================================================================
+    // COLLECTIONS
+    // =========================================================================
+
+    /**
+     * Create a collection
+     * @param {string} name - Lowercase letters, digits and underscores
+     * @param {Object} settings - { dimensions, similarity, normalize, indexType,
+     *   M, efConstruction, efSearch, rebuildThreshold, quantization }; unset
+     *   values come from config. quantization is a type ('int8', 'pq') or
+     *   { type, subvectors, trainingSize, rerank } and applies to the local backend
+     * @returns {Promise<Object>} Collection description
+     */
+    async createCollection(name, settings = {}) {
+        if (this.collections.has(name)) {
+            throw new Error(`Collection already exists: ${name}`);
+        }
+
+        const definition = this.collectionDefinition(name, settings);
+
+        switch (this.config.backend) {
+            case 'local':
+                await this.openLocalCollection({ ...definition, path: path.join('collections', name) });
+                await this.saveLocalCatalog();
+                break;
+            case 'postgres':
+                await this.createPostgresCollection({
+                    ...definition,
+                    table: `${this.config.postgres.tableName}_${name}`
+                });
+                break;
+            default:
+                this.collections.set(name, { definition, embeddingModels: new Map() });
+        }
+
+        this.emit('collection-created', { name });
+        return this.describeCollection(name);
+    }
+
+    /**
+     * Drop a collection and all its vectors. The default collection cannot
+     * be dropped.
+     * @param {string} name - Collection name
+     * @returns {Promise<Object>} { name, ids } with the IDs that were removed
+     */
+    async dropCollection(name) {
+        const collection = this.getCollection(name);
+        if (name === this.config.collection) {
+            throw new Error(`Cannot drop the default collection: ${name}`);
+        }
+
+        // Unlisted first so no new writes reach it
+        this.collections.delete(name);
+        let ids = [];
+
+        switch (this.config.backend) {
+            case 'local':
+                ids = Array.from(collection.metadata.keys());
+                await collection.training;
+                await collection.snapshots;
+                await collection.store.close();
+                await fs.rm(path.join(this.config.local.path, collection.definition.path), { recursive: true, force: true });
+                await this.saveLocalCatalog();
+                break;
+            case 'postgres': {
+                const { table } = collection.definition;
+                const result = await this.pgClient.query(`SELECT id FROM ${table}`);
+                ids = result.rows.map(row => row.id);
+                await this.pgClient.query(`DROP TABLE IF EXISTS ${table}`);
+                await this.pgClient.query(`
+                    DELETE FROM ${this.postgresCatalogTable()} WHERE name = $1
+                `, [name]);
+                break;
+            }
+        }
+
+        this.emit('collection-dropped', { name, ids });
+        return { name, ids };
+    }
+
+    /**
+     * Collection definitions
+     * @returns {Promise<Object[]>} [{ name, dimensions, similarity, indexType, ... }]
+     */
+    async listCollections() {
+        return Array.from(this.collections.values(), collection => ({ ...collection.definition }));
+    }
+
+    /**
+     * A collection's definition with its vector count, vectors per embedding
+     * model and index statistics. Local collections also report their memory
+     * footprint (see memoryUsage).
+     * @param {string} name - Collection name
+     */
+    async describeCollection(name) {
+        const collection = this.getCollection(name);
+        const { definition } = collection;
+        let vectorCount = 0;
+        let index;
+        let memory;
+
+        switch (this.config.backend) {
+            case 'local':
+                vectorCount = collection.metadata.size;
+                index = collection.index.type === 'hnsw'
+                    ? collection.index.stats()
+                    : { type: 'flat', elements: vectorCount };
+                memory = this.memoryUsage(collection);
+                break;
+            case 'postgres': {
+                const result = await this.pgClient.query(`
+                    SELECT COUNT(*) as count FROM ${definition.table}
+                `);
+                vectorCount = parseInt(result.rows[0].count);
+                await this.loadPostgresEmbeddingModels(collection);
+                break;
+            }
+        }
+
+        return {
+            ...definition,
+            vectorCount,
+            embeddingModels: Object.fromEntries(collection.embeddingModels),
+            mixedEmbeddings: collection.embeddingModels.size > 1,
+            ...(index ? { index, memory } : {})
+        };
+    }
+
+    /**
+     * Approximate memory held by a local collection, in bytes. Counts vector,
+     * code and link payloads, not JavaScript object overhead.
+     * @returns {Object} { quantization, trained, vectors, codes, graph,
+     *   codebooks, locations, total, fullPrecision, compression } where
+     *   fullPrecision is what the vectors alone take as Float32 and
+     *   compression is fullPrecision / (vectors + codes)
+     */
+    memoryUsage(collection) {
+        const { definition, quantizer } = collection;
+        const count = collection.metadata.size;
+        const vectorBytes = definition.dimensions * 4;
+
+        let vectors = collection.vectors.size * vectorBytes;
+        let codes = collection.codes.size * (quantizer?.bytesPerVector ?? 0);
+        let graph = 0;
+        if (collection.index.type === 'hnsw') {
+            const usage = collection.index.memoryUsage();
+            if (quantizer) codes += usage.vectors;
+            else vectors += usage.vectors;
+            graph = usage.links;
+        }
+        const codebooks = quantizer?.codebookBytes ?? 0;
+        const locations = (collection.store.locations?.size ?? 0) * 8;
+        const fullPrecision = count * vectorBytes;
+
+        return {
+            quantization: definition.quantization?.type ?? 'none',
+            trained: !!quantizer,
+            vectors,
+            codes,
+            graph,
+            codebooks,
+            locations,
+            total: vectors + codes + graph + codebooks + locations,
+            fullPrecision,
+            compression: vectors + codes > 0 ? fullPrecision / (vectors + codes) : 1
+        };
+    }
+
+    /**
+     * Whether a collection exists
+     */
+    hasCollection(name) {
+        return this.collections.has(name);
+    }
+
+    /**
+     * Look up a collection, defaulting to config.collection
+     */
+    getCollection(name) {
+        const key = name ?? this.config.collection;
+        const collection = this.collections.get(key);
+        if (!collection) {
+            throw new Error(`Unknown collection: ${key}`);
+        }
+        return collection;
+    }
+
+    /**
+     * Validated settings for a new collection
+     */
+    collectionDefinition(name, settings = {}) {
+        if (!COLLECTION_NAME.test(name)) {
+            throw new Error(`Invalid collection name: ${name} (use lowercase letters, digits and underscores)`);
+        }
+
+        const definition = {
+            name,
+            dimensions: settings.dimensions ?? this.config.dimensions,
+            similarity: settings.similarity ?? this.config.similarity,
+            normalize: settings.normalize ?? this.config.normalize,
+            indexType: settings.indexType ?? this.config.indexType,
+            M: settings.M ?? this.config.local.M,
+            efConstruction: settings.efConstruction ?? this.config.local.efConstruction,
+            efSearch: settings.efSearch ?? this.config.local.efSearch,
+            rebuildThreshold: settings.rebuildThreshold ?? this.config.local.rebuildThreshold,
+            quantization: null,
+            createdAt: new Date().toISOString()
+        };
+
+        const quantization = {
+            ...this.config.local.quantization,
+            ...(typeof settings.quantization === 'string' ? { type: settings.quantization } : settings.quantization)
+        };
+        if (!QUANTIZATION_TYPES.includes(quantization.type)) {
+            throw new Error(`Unsupported quantization for collection ${name}: ${quantization.type}`);
+        }
+        definition.quantization = quantization.type === 'none'
+            ? { type: 'none' }
+            : {
+                type: quantization.type,
+                ...(quantization.type === 'pq'
+                    ? { subvectors: quantization.subvectors ?? defaultSubvectors(definition.dimensions) }
+                    : {}),
+                trainingSize: quantization.trainingSize,
+                rerank: quantization.rerank
             };
+
+        if (!Number.isInteger(definition.dimensions) || definition.dimensions <= 0) {
+            throw new Error(`Invalid dimensions for collection ${name}: ${definition.dimensions}`);
+        }
+        if (!SIMILARITY_METRICS.includes(definition.similarity)) {
+            throw new Error(`Unsupported similarity for collection ${name}: ${definition.similarity}`);
         }
+        if (!INDEX_TYPES.includes(definition.indexType)) {
+            throw new Error(`Unsupported index type for collection ${name}: ${definition.indexType}`);
+        }
+        for (const key of ['M', 'efConstruction', 'efSearch']) {
+            if (!Number.isInteger(definition[key]) || definition[key] <= 0) {
+                throw new Error(`Invalid ${key} for collection ${name}: ${definition[key]}`);
+            }
+        }
+        if (definition.quantization.type !== 'none') {
+            for (const key of ['trainingSize', 'rerank']) {
+                if (!Number.isInteger(definition.quantization[key]) || definition.quantization[key] <= 0) {
+                    throw new Error(`Invalid quantization ${key} for collection ${name}: ${definition.quantization[key]}`);
+                }
+            }
+            if (definition.quantization.type === 'pq') {
+                // Throws unless subvectors divides the dimensions
+                createQuantizer(definition.quantization, definition.dimensions);
+            }
+        }
+
+        return definition;
     }
 
+    // =========================================================================
+    // EMBEDDINGS
+    // =========================================================================
+
     /**
      * Generate embeddings for text
      * @param {string|string[]} texts - Text(s) to embed
+     * @param {Object} options - { dimensions }: skip providers known to
+     *   produce another size
      * @returns {Promise<number[][]>} Embedding vectors
      */
-    async embed(texts) {
+    async embed(texts, options = {}) {
         const textArray = Array.isArray(texts) ? texts : [texts];
         const embeddings = [];
 
         // Batch processing
         for (let i = 0; i < textArray.length; i += this.config.embedding.batchSize) {
             const batch = textArray.slice(i, i + this.config.embedding.batchSize);
-            const batchEmbeddings = await this.embedBatch(batch);
+            const batchEmbeddings = await this.embedBatch(batch, options);
             embeddings.push(...batchEmbeddings);
         }
 
@@ -182,135 +717,317 @@ export class RuVectorIntegration extends EventEmitter {
     }
 
     /**
-     * Embed a batch of texts
+     * Embed a batch of texts with the first provider that succeeds.
+     * Providers that failed within retryAfter are skipped unless none is
+     * left to try.
      */
-    async embedBatch(texts) {
-        const gatewayUrl = process.env.LITELLM_URL || 'http://localhost:4000';
+    async embedBatch(texts, options = {}) {
+        const { dimensions } = options;
+        const now = Date.now();
+        const usable = this.embeddingProviders.filter(({ provider }) =>
+            !dimensions || !provider.dimensions || provider.dimensions === dimensions);
+        if (usable.length === 0) {
+            throw new Error(`No embedding provider produces ${dimensions} dimensions`);
+        }
 
-        const response = await fetch(`${gatewayUrl}/v1/embeddings`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${process.env.LITELLM_MASTER_KEY || ''}`
-            },
-            body: JSON.stringify({
-                model: this.embeddingModel.model,
-                input: texts
-            })
-        });
+        const ready = usable.filter(state => !state.failedAt || now - state.failedAt >= this.config.embedding.retryAfter);
+        const candidates = ready.length > 0 ? ready : usable;
+        let lastError = null;
+        let lastProvider = null;
 
-        if (!response.ok) {
-            throw new Error(`Embedding error: ${response.status}`);
+        for (const state of candidates) {
+            const { provider } = state;
+            if (lastError) {
+                this.emit('embedding-failover', { from: lastProvider, to: provider.name, error: lastError.message });
+            }
+
+            try {
+                const vectors = await provider.embed(texts);
+                if (dimensions && vectors.some(vector => vector.length !== dimensions)) {
+                    this.warnDimensionMismatch(state, dimensions, vectors[0]?.length);
+                    throw new Error(`Embedding error from ${provider.name}: expected ${dimensions} dimensions, got ${vectors[0]?.length}`);
+                }
+
+                state.failures = 0;
+                state.failedAt = null;
+                state.lastError = null;
+                for (const vector of vectors) {
+                    this.embeddedBy.set(vector, { model: provider.model, provider: provider.name });
+                }
+                return vectors;
+            } catch (error) {
+                state.failures++;
+                state.failedAt = Date.now();
+                state.lastError = error.message;
+                lastError = error;
+                lastProvider = provider.name;
+            }
         }
 
-        const data = await response.json();
-        return data.data.map(d => d.embedding);
+        const error = new Error(`All embedding providers failed (${candidates.map(state => state.provider.name).join(', ')}): ${lastError.message}`);
+        error.cause = lastError;
+        throw error;
     }
 
+    /**
+     * A provider whose vectors do not fit a collection is skipped for it from
+     * then on, so say so once rather than silently embedding with the next
+     * provider (or failing) every time
+     */
+    warnDimensionMismatch(state, expected, actual) {
+        if (state.mismatchedDimensions.has(expected)) return;
+        state.mismatchedDimensions.add(expected);
+
+        const { name, model } = state.provider;
+        console.warn(`RuVector: embedding provider ${name} (${model}) produces ${actual} dimensions, ` +
+            `not ${expected}; it is skipped for ${expected}-dimension collections`);
+        this.emit('embedding-dimensions-mismatch', { provider: name, model, expected, actual });
+    }
+
+    /**
+     * The model that produced a vector returned by embed(), if any
+     * @returns {Object|undefined} { model, provider }
+     */
+    embeddingOf(vector) {
+        return vector && typeof vector === 'object' ? this.embeddedBy.get(vector) : undefined;
+    }
+
+    /**
+     * Provider status, in failover order
+     */
+    embeddingStatus() {
+        const now = Date.now();
+        return this.embeddingProviders.map(({ provider, failures, failedAt, lastError }) => ({
+            name: provider.name,
+            model: provider.model,
+            dimensions: provider.dimensions || null,
+            available: !failedAt || now - failedAt >= this.config.embedding.retryAfter,
+            failures,
+            lastError
+        }));
+    }
+
+    /**
+     * Track a collection's vectors per embedding model
+     */
+    countEmbeddingModel(collection, metadata, delta) {
+        const model = metadata?.embeddingModel;
+        if (!model) return;
+
+        const count = (collection.embeddingModels.get(model) || 0) + delta;
+        if (count > 0) {
+            collection.embeddingModels.set(model, count);
+        } else {
+            collection.embeddingModels.delete(model);
+        }
+    }
+
+    /**
+     * Models other than `model` that a collection already holds vectors from
+     */
+    otherEmbeddingModels(collection, model) {
+        return Array.from(collection.embeddingModels.keys()).filter(other => other !== model);
+    }
+
+    // =========================================================================
+    // VECTORS
+    // =========================================================================
+
     /**
      * Add vector to index
-     * @param {string} id - Unique ID
+     * @param {string} id - Unique ID within the collection
      * @param {number[]|string} vectorOrText - Vector or text to embed
      * @param {Object} metadata - Associated metadata
+     * @param {Object} options - { collection, model }; model names the
+     *   embedding model of a vector that did not come from embed()
      */
-    async add(id, vectorOrText, metadata = {}) {
+    async add(id, vectorOrText, metadata = {}, options = {}) {
+        const collection = this.getCollection(options.collection);
+        const { name, dimensions } = collection.definition;
         let vector;
 
         // Check if input is text or vector
         if (typeof vectorOrText === 'string') {
-            vector = await this.embed(vectorOrText);
+            vector = await this.embed(vectorOrText, { dimensions });
             metadata.originalText = vectorOrText;
         } else {
             vector = vectorOrText;
         }
 
         // Validate dimensions
-        if (vector.length !== this.config.dimensions) {
-            throw new Error(`Vector dimensions mismatch: expected ${this.config.dimensions}, got ${vector.length}`);
+        if (vector.length !== dimensions) {
+            throw new Error(`Vector dimensions mismatch in collection ${name}: expected ${dimensions}, got ${vector.length}`);
+        }
+
+        const model = options.model ?? this.embeddingOf(vector)?.model;
+        if (model) {
+            const others = this.otherEmbeddingModels(collection, model);
+            if (others.length > 0) {
+                if (this.config.embedding.mismatch === 'reject') {
+                    throw new Error(`Embedding model mismatch in collection ${name}: ${model}, but it holds vectors from ${others.join(', ')}`);
+                }
+                this.emit('embedding-mismatch', { collection: name, id, model, models: others, phase: 'add' });
+            }
+            metadata.embeddingModel = model;
+            metadata.embeddingDimensions = vector.length;
+        }
+
+        if (collection.definition.normalize) {
+            vector = Array.from(normalizeVector(vector));
         }
 
         switch (this.config.backend) {
             case 'local':
-                await this.addLocal(id, vector, metadata);
+                await this.addLocal(collection, id, vector, metadata);
                 break;
             case 'postgres':
-                await this.addPostgres(id, vector, metadata);
+                await this.addPostgres(collection, id, vector, metadata);
                 break;
             case 'remote':
-                await this.addRemote(id, vector, metadata);
+                await this.addRemote(collection, id, vector, metadata);
                 break;
         }
 
-        this.emit('vector-added', { id, dimensions: vector.length });
-        return { id, dimensions: vector.length };
+        this.emit('vector-added', { id, collection: name, dimensions: vector.length, metadata });
+        return { id, collection: name, dimensions: vector.length };
     }
 
     /**
      * Add vector to local index
      */
-    async addLocal(id, vector, metadata) {
-        this.vectors.set(id, vector);
-        this.metadata.set(id, {
+    async addLocal(collection, id, vector, metadata) {
+        const stored = {
             ...metadata,
-            addedAt: new Date().toISOString()
-        });
-        this.index.elements.set(id, vector);
+            addedAt: metadata.addedAt || new Date().toISOString()
+        };
+        this.applyLocalAdd(collection, id, Float32Array.from(vector), stored);
+
+        await collection.store.append(id, vector, stored);
+        this.trainQuantizerIfNeeded(collection);
+        await this.compactIfNeeded(collection);
+    }
+
+    applyLocalAdd(collection, id, vector, metadata) {
+        this.countEmbeddingModel(collection, collection.metadata.get(id), -1);
+        this.countEmbeddingModel(collection, metadata, 1);
+        collection.metadata.set(id, metadata);
+        if (!collection.quantizer) {
+            collection.vectors.set(id, vector);
+        } else if (collection.index.type === 'flat') {
+            collection.codes.set(id, this.encodeVector(collection, vector));
+        }
+        if (collection.index.type === 'hnsw') {
+            collection.index.insert(id, vector);
+        }
+    }
+
+    applyLocalDelete(collection, id) {
+        this.countEmbeddingModel(collection, collection.metadata.get(id), -1);
+        collection.vectors.delete(id);
+        collection.codes.delete(id);
+        collection.metadata.delete(id);
+        if (collection.index.type === 'hnsw') {
+            collection.index.delete(id);
+        }
     }
 
     /**
      * Add vector to PostgreSQL
      */
-    async addPostgres(id, vector, metadata) {
+    async addPostgres(collection, id, vector, metadata) {
         const vectorStr = `[${vector.join(',')}]`;
+        const { table } = collection.definition;
 
-        await this.pgClient.query(`
-            INSERT INTO ${this.config.postgres.tableName} (id, embedding, content, metadata)
+        const result = await this.pgClient.query(`
+            WITH previous AS (
+                SELECT metadata->>'embeddingModel' as model FROM ${table} WHERE id = $1
+            )
+            INSERT INTO ${table} (id, embedding, content, metadata)
             VALUES ($1, $2::vector, $3, $4)
             ON CONFLICT (id) DO UPDATE
             SET embedding = $2::vector, content = $3, metadata = $4
+            RETURNING (SELECT model FROM previous) as previous_model
         `, [id, vectorStr, metadata.originalText || '', JSON.stringify(metadata)]);
+
+        this.countEmbeddingModel(collection, { embeddingModel: result.rows[0]?.previous_model }, -1);
+        this.countEmbeddingModel(collection, metadata, 1);
     }
 
     /**
      * Add vector to remote service
      */
-    async addRemote(id, vector, metadata) {
+    async addRemote(collection, id, vector, metadata) {
         // Implement based on remote service API
     }
 
     /**
      * Search for similar vectors
      * @param {number[]|string} queryOrText - Query vector or text
-     * @param {Object} options - Search options
-     * @returns {Promise<Object[]>} Search results
+     * @param {Object} options - Search options; `filter` uses the metadata
+     *   filter language in metadata-filter.js, `collection` is a name or a
+     *   list of names whose results are merged by score, `model` names the
+     *   embedding model of a query vector that did not come from embed().
+     *   In a collection holding vectors from several models, only those
+     *   from the query's model are searched.
+     * @returns {Promise<Object[]>} Search results ({ id, score, metadata, collection })
      */
     async search(queryOrText, options = {}) {
         const {
             k = 10,
             threshold = 0,
-            filter = null
+            filter = null,
+            collection = null,
+            efSearch // HNSW beam width for this query
         } = options;
 
+        if (filter) {
+            validateFilter(filter);
+        }
+        const collections = [].concat(collection ?? this.config.collection).map(name => this.getCollection(name));
+
         let queryVector;
 
         if (typeof queryOrText === 'string') {
-            queryVector = await this.embed(queryOrText);
+            const dimensions = new Set(collections.map(target => target.definition.dimensions));
+            queryVector = await this.embed(queryOrText, {
+                dimensions: dimensions.size === 1 ? collections[0].definition.dimensions : undefined
+            });
         } else {
             queryVector = queryOrText;
         }
+        const model = options.model ?? this.embeddingOf(queryVector)?.model;
 
-        let results;
+        let results = [];
 
-        switch (this.config.backend) {
-            case 'local':
-                results = await this.searchLocal(queryVector, k, filter);
-                break;
-            case 'postgres':
-                results = await this.searchPostgres(queryVector, k, filter);
-                break;
-            case 'remote':
-                results = await this.searchRemote(queryVector, k, filter);
-                break;
+        for (const target of collections) {
+            const query = target.definition.normalize ? Array.from(normalizeVector(queryVector)) : queryVector;
+
+            // Vectors from other models are not comparable to the query
+            let targetFilter = filter;
+            const others = model ? this.otherEmbeddingModels(target, model) : [];
+            if (others.length > 0) {
+                targetFilter = filter ? { $and: [filter, { embeddingModel: model }] } : { embeddingModel: model };
+                this.emit('embedding-mismatch', { collection: target.definition.name, model, models: others, phase: 'search' });
+            }
+
+            let found;
+            switch (this.config.backend) {
+                case 'local':
+                    found = await this.searchLocal(target, query, k, targetFilter, efSearch);
+                    break;
+                case 'postgres':
+                    found = await this.searchPostgres(target, query, k, targetFilter);
+                    break;
+                case 'remote':
+                    found = await this.searchRemote(target, query, k, targetFilter);
+                    break;
+            }
+            results.push(...found.map(result => ({ ...result, collection: target.definition.name })));
+        }
+
+        // Scores are only comparable between collections with the same metric
+        if (collections.length > 1) {
+            results = results.sort((a, b) => b.score - a.score).slice(0, k);
         }
 
         // Apply threshold filter
@@ -323,52 +1040,82 @@ export class RuVectorIntegration extends EventEmitter {
     }
 
     /**
-     * Search local index
+     * Search local index. Quantized collections rank k * rerank candidates
+     * by their codes, then re-score those from the full vectors on disk.
      */
-    async searchLocal(queryVector, k, filter) {
-        const results = [];
+    async searchLocal(collection, queryVector, k, filter, efSearch) {
+        const { index, vectors, codes, metadata, quantizer } = collection;
+        const metric = collection.definition.similarity;
+        const candidates = quantizer ? k * collection.definition.quantization.rerank : k;
+        let results;
+
+        if (index.type === 'hnsw') {
+            results = index
+                .search(queryVector, candidates, {
+                    efSearch,
+                    filter: filter ? id => this.matchesFilter(metadata.get(id), filter) : null
+                })
+                .map(({ id, distance }) => ({
+                    id,
+                    score: scoreFromHnswDistance(metric, distance),
+                    metadata: metadata.get(id)
+                }));
+        } else {
+            // Flat index: linear scan, exact unless quantized
+            results = [];
+            const decoded = quantizer ? new Float32Array(collection.definition.dimensions) : null;
+
+            for (const [id, vector] of quantizer ? codes.entries() : vectors.entries()) {
+                const stored = metadata.get(id);
 
-        for (const [id, vector] of this.vectors.entries()) {
-            const metadata = this.metadata.get(id);
+                // Apply filter if provided
+                if (filter && !this.matchesFilter(stored, filter)) {
+                    continue;
+                }
 
-            // Apply filter if provided
-            if (filter && !this.matchesFilter(metadata, filter)) {
-                continue;
+                const score = similarity(metric, queryVector, quantizer ? quantizer.decode(vector, decoded) : vector);
+                results.push({ id, score, metadata: stored });
             }
 
-            const score = this.cosineSimilarity(queryVector, vector);
-            results.push({ id, score, metadata });
+            // Sort by score descending
+            results.sort((a, b) => b.score - a.score);
+            results = results.slice(0, candidates);
         }
 
-        // Sort by score descending
-        results.sort((a, b) => b.score - a.score);
+        return quantizer ? this.rerank(collection, queryVector, results, k) : results;
+    }
 
-        return results.slice(0, k);
+    /**
+     * Exact scores for approximate results, from the full vectors on disk
+     */
+    async rerank(collection, queryVector, results, k) {
+        const metric = collection.definition.similarity;
+        const vectors = await collection.store.readVectors(results.map(result => result.id));
+
+        return results
+            .map((result, i) => vectors[i] && { ...result, score: similarity(metric, queryVector, vectors[i]) })
+            .filter(Boolean) // deleted while reading
+            .sort((a, b) => b.score - a.score)
+            .slice(0, k);
     }
 
     /**
      * Search PostgreSQL
      */
-    async searchPostgres(queryVector, k, filter) {
+    async searchPostgres(collection, queryVector, k, filter) {
         const vectorStr = `[${queryVector.join(',')}]`;
+        const { operator, score } = PGVECTOR_METRICS[collection.definition.similarity];
 
-        let whereClause = '';
         const params = [vectorStr, k];
+        const whereClause = filter ? `WHERE ${filterToSql(filter, params)}` : '';
 
-        if (filter) {
-            const conditions = Object.entries(filter)
-                .map(([key, value], i) => `metadata->>'${key}' = $${i + 3}`)
-                .join(' AND ');
-            whereClause = `WHERE ${conditions}`;
-            params.push(...Object.values(filter));
-        }
-
+        // Ordered by the raw operator so the metric's index is used
         const result = await this.pgClient.query(`
             SELECT id, content, metadata,
-                   1 - (embedding <=> $1::vector) as score
-            FROM ${this.config.postgres.tableName}
+                   ${score(`embedding ${operator} $1::vector`)} as score
+            FROM ${collection.definition.table}
             ${whereClause}
-            ORDER BY embedding <=> $1::vector
+            ORDER BY embedding ${operator} $1::vector
             LIMIT $2
         `, params);
 
@@ -385,7 +1132,7 @@ export class RuVectorIntegration extends EventEmitter {
     /**
      * Search remote service
      */
-    async searchRemote(queryVector, k, filter) {
+    async searchRemote(collection, queryVector, k, filter) {
         // Implement based on remote service API
         return [];
     }
@@ -394,66 +1141,65 @@ export class RuVectorIntegration extends EventEmitter {
      * Check if metadata matches filter
      */
     matchesFilter(metadata, filter) {
-        for (const [key, value] of Object.entries(filter)) {
-            if (metadata[key] !== value) {
-                return false;
-            }
-        }
-        return true;
+        return matchesFilter(metadata || {}, filter);
     }
 
     /**
      * Calculate cosine similarity
      */
     cosineSimilarity(a, b) {
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
-
-        for (let i = 0; i < a.length; i++) {
-            dotProduct += a[i] * b[i];
-            normA += a[i] * a[i];
-            normB += b[i] * b[i];
-        }
-
-        return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB));
+        return similarity('cosine', a, b);
     }
 
     /**
      * Delete vector by ID
+     * @param {string} id - Vector ID
+     * @param {Object} options - { collection }
      */
-    async delete(id) {
+    async delete(id, options = {}) {
+        const collection = this.getCollection(options.collection);
+
         switch (this.config.backend) {
             case 'local':
-                this.vectors.delete(id);
-                this.metadata.delete(id);
-                this.index.elements.delete(id);
+                if (!collection.metadata.has(id)) break;
+                this.applyLocalDelete(collection, id);
+                await collection.store.appendDelete(id);
+                await this.compactIfNeeded(collection);
                 break;
-            case 'postgres':
-                await this.pgClient.query(`
-                    DELETE FROM ${this.config.postgres.tableName} WHERE id = $1
+            case 'postgres': {
+                const result = await this.pgClient.query(`
+                    DELETE FROM ${collection.definition.table} WHERE id = $1
+                    RETURNING metadata->>'embeddingModel' as model
                 `, [id]);
+                for (const row of result.rows) {
+                    this.countEmbeddingModel(collection, { embeddingModel: row.model }, -1);
+                }
                 break;
+            }
         }
 
-        this.emit('vector-deleted', { id });
+        this.emit('vector-deleted', { id, collection: collection.definition.name });
     }
 
     /**
      * Get vector by ID
+     * @param {string} id - Vector ID
+     * @param {Object} options - { collection }
      */
-    async get(id) {
+    async get(id, options = {}) {
+        const collection = this.getCollection(options.collection);
+
         switch (this.config.backend) {
             case 'local':
                 return {
                     id,
-                    vector: this.vectors.get(id),
-                    metadata: this.metadata.get(id)
+                    vector: await this.localVectors(collection, [id]).then(([vector]) => vector),
+                    metadata: collection.metadata.get(id)
                 };
             case 'postgres':
                 const result = await this.pgClient.query(`
                     SELECT id, embedding, content, metadata
-                    FROM ${this.config.postgres.tableName}
+                    FROM ${collection.definition.table}
                     WHERE id = $1
                 `, [id]);
                 if (result.rows.length === 0) return null;
@@ -466,60 +1212,300 @@ export class RuVectorIntegration extends EventEmitter {
     }
 
     /**
-     * Get index statistics
+     * Iterate over the vectors in a collection
+     * @param {Object} options - { collection, filter, batchSize: 500 }
+     * @returns {AsyncGenerator<Object>} { id, vector, metadata }
      */
-    async stats() {
-        let count;
+    async *entries(options = {}) {
+        const { filter = null, batchSize = 500 } = options;
+        const collection = this.getCollection(options.collection);
+        if (filter) {
+            validateFilter(filter);
+        }
 
         switch (this.config.backend) {
-            case 'local':
-                count = this.vectors.size;
+            case 'local': {
+                // IDs taken up front so the collection can change while iterating
+                const ids = Array.from(collection.metadata.keys());
+                for (let start = 0; start < ids.length; start += batchSize) {
+                    const batch = ids.slice(start, start + batchSize)
+                        .filter(id => !filter || this.matchesFilter(collection.metadata.get(id), filter));
+                    const vectors = await this.localVectors(collection, batch);
+
+                    for (let i = 0; i < batch.length; i++) {
+                        const metadata = collection.metadata.get(batch[i]);
+                        if (!metadata || !vectors[i]) continue;
+                        yield { id: batch[i], vector: vectors[i], metadata };
+                    }
+                }
                 break;
-            case 'postgres':
-                const result = await this.pgClient.query(`
-                    SELECT COUNT(*) as count FROM ${this.config.postgres.tableName}
-                `);
-                count = parseInt(result.rows[0].count);
+            }
+            case 'postgres': {
+                let after = '';
+                while (true) {
+                    const params = [after, batchSize];
+                    const where = filter ? `AND ${filterToSql(filter, params)}` : '';
+                    const result = await this.pgClient.query(`
+                        SELECT id, embedding, metadata
+                        FROM ${collection.definition.table}
+                        WHERE id > $1 ${where}
+                        ORDER BY id
+                        LIMIT $2
+                    `, params);
+
+                    for (const row of result.rows) {
+                        yield { id: row.id, vector: JSON.parse(row.embedding), metadata: row.metadata };
+                    }
+                    if (result.rows.length < batchSize) break;
+                    after = result.rows[result.rows.length - 1].id;
+                }
                 break;
+            }
         }
+    }
 
-        return {
+    /**
+     * Full vectors of a local collection, from memory or (once quantized)
+     * from disk; undefined for unknown IDs
+     */
+    async localVectors(collection, ids) {
+        if (!collection.quantizer) {
+            return ids.map(id => collection.vectors.get(id));
+        }
+        const vectors = await collection.store.readVectors(ids);
+        return vectors.map(vector => vector ?? undefined);
+    }
+
+    /**
+     * Stored texts, for building secondary (e.g. full-text) indexes
+     * @param {Object} options - { collection }; all collections when unset
+     * @returns {Promise<Object[]>} [{ id, text, metadata, collection }] for vectors added with text
+     */
+    async documents(options = {}) {
+        const collections = options.collection
+            ? [this.getCollection(options.collection)]
+            : Array.from(this.collections.values());
+        const documents = [];
+
+        for (const collection of collections) {
+            const { name } = collection.definition;
+            switch (this.config.backend) {
+                case 'local':
+                    for (const [id, metadata] of collection.metadata) {
+                        if (metadata?.originalText) {
+                            documents.push({ id, text: metadata.originalText, metadata, collection: name });
+                        }
+                    }
+                    break;
+                case 'postgres': {
+                    const result = await this.pgClient.query(`
+                        SELECT id, content, metadata
+                        FROM ${collection.definition.table}
+                        WHERE content IS NOT NULL AND content <> ''
+                    `);
+                    documents.push(...result.rows.map(row => ({
+                        id: row.id,
+                        text: row.content,
+                        metadata: row.metadata,
+                        collection: name
+                    })));
+                    break;
+                }
+            }
+        }
+
+        return documents;
+    }
+
+    /**
+     * Get index statistics
+     */
+    async stats() {
+        const collections = {};
+        let count = 0;
+
+        for (const name of this.collections.keys()) {
+            collections[name] = await this.describeCollection(name);
+            count += collections[name].vectorCount;
+        }
+
+        const stats = {
             backend: this.config.backend,
             dimensions: this.config.dimensions,
             indexType: this.config.indexType,
             vectorCount: count,
-            embeddingModel: this.embeddingModel.model
+            embeddingModel: this.embeddingProviders[0]?.provider.model ?? null,
+            embeddingProviders: this.embeddingStatus(),
+            collections
         };
+
+        if (this.config.backend === 'local') {
+            // Totals over collections, in bytes
+            const memory = { vectors: 0, codes: 0, graph: 0, codebooks: 0, locations: 0, total: 0, fullPrecision: 0 };
+            for (const description of Object.values(collections)) {
+                for (const key of Object.keys(memory)) memory[key] += description.memory[key];
+            }
+            stats.memory = memory;
+        }
+
+        return stats;
+    }
+
+    // =========================================================================
+    // QUANTIZATION
+    // =========================================================================
+
+    /**
+     * Code for a vector in a quantized collection. Cosine collections encode
+     * unit vectors, matching what their HNSW graph stores.
+     */
+    encodeVector(collection, vector) {
+        const prepared = collection.definition.similarity === 'cosine' ? normalizeVector(vector) : vector;
+        return collection.quantizer.encode(prepared);
+    }
+
+    /**
+     * Start training a quantized collection's quantizer once it holds
+     * trainingSize vectors. Runs in the background; failures are emitted.
+     */
+    trainQuantizerIfNeeded(collection) {
+        const settings = collection.definition.quantization;
+        if (!settings || settings.type === 'none' || collection.quantizer || collection.training) return;
+        if (collection.vectors.size < settings.trainingSize) return;
+
+        collection.training = this.trainQuantizer(collection)
+            .catch(error => this.emit('quantizer-training-failed', { collection: collection.definition.name, error }))
+            .finally(() => {
+                collection.training = null;
+            });
+    }
+
+    /**
+     * Train on the full-precision vectors, then replace them in memory with
+     * codes and snapshot so the codes are loaded on restart
+     */
+    async trainQuantizer(collection) {
+        const { definition } = collection;
+        const sample = Array.from(collection.vectors.values())
+            .slice(0, definition.quantization.trainingSize)
+            .map(vector => definition.similarity === 'cosine' ? normalizeVector(vector) : vector);
+
+        const quantizer = createQuantizer(definition.quantization, definition.dimensions);
+        await quantizer.train(sample);
+        if (this.collections.get(definition.name) !== collection) return; // dropped meanwhile
+
+        await collection.store.saveQuantizer(quantizer.serialize());
+
+        // Vectors added while training are encoded too
+        collection.quantizer = quantizer;
+        if (collection.index.type === 'hnsw') {
+            collection.index.setCodec(quantizer);
+        } else {
+            for (const [id, vector] of collection.vectors) {
+                collection.codes.set(id, this.encodeVector(collection, vector));
+            }
+        }
+        collection.vectors = new Map();
+
+        this.emit('quantizer-trained', {
+            collection: definition.name,
+            type: quantizer.type,
+            sampleSize: sample.length,
+            bytesPerVector: quantizer.bytesPerVector
+        });
+
+        await this.snapshot(collection);
     }
 
+    // =========================================================================
+    // PERSISTENCE
+    // =========================================================================
+
     /**
-     * Persist local index to disk
+     * Persist local collections to disk as snapshots.
+     *
+     * Every add and delete is already in the write-ahead log; a snapshot
+     * folds the log into binary vector segments and the saved graph so
+     * loading does not have to replay it.
      */
     async persist() {
         if (this.config.backend !== 'local') return;
 
-        const fs = await import('fs/promises');
-        const path = await import('path');
+        for (const collection of this.collections.values()) {
+            await this.snapshot(collection);
+        }
+    }
 
-        const indexPath = path.join(this.config.local.path, 'index.json');
-        const data = {
-            elements: Array.from(this.index.elements.entries()),
-            vectors: Array.from(this.vectors.entries()),
-            metadata: Array.from(this.metadata.entries()),
-            savedAt: new Date().toISOString()
-        };
+    /**
+     * Write a snapshot of a local collection. Snapshots of a collection run
+     * one at a time; the state is captured when each one starts.
+     */
+    snapshot(collection) {
+        const run = collection.snapshots.then(async () => {
+            const { index, quantizer } = collection;
+            let ids;
+            let graph = null;
+            if (index.type === 'hnsw') {
+                // Rows follow the graph's node order
+                ({ ids, buffer: graph } = index.serialize());
+            } else {
+                ids = Array.from(collection.metadata.keys());
+            }
 
-        await fs.writeFile(indexPath, JSON.stringify(data));
-        this.emit('index-persisted', { count: this.vectors.size });
+            // Quantized collections hold codes; the store reads their vectors from disk
+            const vectors = new Map(collection.vectors);
+            const metadata = new Map(collection.metadata);
+            const codes = quantizer
+                ? new Map(index.type === 'hnsw' ? ids.map(id => [id, index.stored(id)]) : collection.codes)
+                : null;
+            const result = await collection.store.snapshot({
+                ids,
+                graph,
+                vectorOf: id => vectors.get(id),
+                metadataOf: id => metadata.get(id),
+                ...(quantizer ? { codeOf: id => codes.get(id), codeBytes: quantizer.bytesPerVector } : {})
+            });
+
+            this.emit('index-persisted', {
+                collection: collection.definition.name,
+                count: result.count,
+                generation: result.generation
+            });
+            return result;
+        });
+        collection.snapshots = run.catch(() => {});
+        return run;
+    }
+
+    /**
+     * Snapshot early when a collection's write-ahead log grows past walMaxBytes
+     */
+    async compactIfNeeded(collection) {
+        if (collection.store.walBytes < this.config.local.walMaxBytes || collection.compacting) return;
+
+        collection.compacting = true;
+        try {
+            await this.snapshot(collection);
+        } finally {
+            collection.compacting = false;
+        }
     }
 
     /**
      * Shutdown
      */
     async shutdown() {
-        // Persist local index
+        // Persist local collections
         if (this.config.backend === 'local') {
+            clearInterval(this.snapshotTimer);
+            this.snapshotTimer = null;
+            for (const collection of this.collections.values()) {
+                await collection.training;
+            }
             await this.persist();
+            for (const collection of this.collections.values()) {
+                await collection.store.close();
+            }
         }
 
         // Close PostgreSQL connection
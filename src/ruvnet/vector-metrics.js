@@ -0,0 +1,92 @@
+/**
+ * =============================================================================
+ * Vector Metrics
+ * Similarity scores for the metrics RuVector supports
+ * =============================================================================
+ *
+ * Every metric is reported as a score where higher is better:
+ *
+ *   cosine     cosine similarity, in [-1, 1]
+ *   dot        inner product
+ *   euclidean  1 / (1 + L2 distance), in (0, 1]
+ */
+
+export const SIMILARITY_METRICS = ['cosine', 'euclidean', 'dot'];
+
+/**
+ * Score two vectors under a metric
+ * @param {string} metric - 'cosine' | 'euclidean' | 'dot'
+ * @returns {number} Higher is more similar
+ */
+export function similarity(metric, a, b) {
+    switch (metric) {
+        case 'cosine': {
+            let dotProduct = 0;
+            let normA = 0;
+            let normB = 0;
+            for (let i = 0; i < a.length; i++) {
+                dotProduct += a[i] * b[i];
+                normA += a[i] * a[i];
+                normB += b[i] * b[i];
+            }
+            return dotProduct / (Math.sqrt(normA) * Math.sqrt(normB) || 1);
+        }
+        case 'dot': {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+            return sum;
+        }
+        case 'euclidean': {
+            let sum = 0;
+            for (let i = 0; i < a.length; i++) {
+                const d = a[i] - b[i];
+                sum += d * d;
+            }
+            return 1 / (1 + Math.sqrt(sum));
+        }
+        default:
+            throw new Error(`Unsupported similarity: ${metric}`);
+    }
+}
+
+/**
+ * Convert an HNSWIndex distance to the metric's score
+ */
+export function scoreFromHnswDistance(metric, distance) {
+    switch (metric) {
+        case 'cosine':
+            return 1 - distance;
+        case 'dot':
+            return -distance;
+        case 'euclidean':
+            // HNSW euclidean distances are squared
+            return 1 / (1 + Math.sqrt(Math.max(0, distance)));
+        default:
+            throw new Error(`Unsupported similarity: ${metric}`);
+    }
+}
+
+/**
+ * pgvector distance operator, index operator class and score expression
+ * (over the distance `d`) for a metric
+ */
+export const PGVECTOR_METRICS = {
+    cosine: { operator: '<=>', opclass: 'vector_cosine_ops', score: d => `1 - (${d})` },
+    euclidean: { operator: '<->', opclass: 'vector_l2_ops', score: d => `1 / (1 + (${d}))` },
+    dot: { operator: '<#>', opclass: 'vector_ip_ops', score: d => `-(${d})` } // <#> is the negative inner product
+};
+
+/**
+ * Scale a vector to unit length (zero vectors are returned unchanged)
+ * @returns {Float32Array}
+ */
+export function normalizeVector(vector) {
+    const normalized = Float32Array.from(vector);
+    let norm = 0;
+    for (let i = 0; i < normalized.length; i++) norm += normalized[i] * normalized[i];
+    norm = Math.sqrt(norm);
+    if (norm > 0) {
+        for (let i = 0; i < normalized.length; i++) normalized[i] /= norm;
+    }
+    return normalized;
+}
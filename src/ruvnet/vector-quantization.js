@@ -0,0 +1,377 @@
+/**
+ * =============================================================================
+ * Vector Quantization
+ * Compact in-memory codes for RuVector's local backend
+ * =============================================================================
+ *
+ *   int8  one byte per dimension: each dimension is scaled between the
+ *         minimum and maximum seen in training (4x smaller than Float32)
+ *   pq    product quantization: the vector is split into `subvectors`
+ *         slices and each slice is replaced by the index of its nearest
+ *         of 256 k-means centroids, one byte per slice (e.g. 1536
+ *         dimensions in 96 bytes, 64x smaller)
+ *
+ * Codes only approximate the vectors, so searches rank candidates by code
+ * and re-rank the best of them exactly from the full vectors on disk.
+ */
+
+export const QUANTIZATION_TYPES = ['none', 'int8', 'pq'];
+
+const FORMAT_VERSION = 1;
+
+/**
+ * ScalarQuantizer - 8-bit scalar quantization per dimension
+ */
+export class ScalarQuantizer {
+    /**
+     * @param {Object} options - { dimensions }
+     */
+    constructor(options = {}) {
+        this.type = 'int8';
+        this.dimensions = options.dimensions;
+        this.min = null; // Float32Array per dimension
+        this.scale = null; // Float32Array per dimension: value per code step
+    }
+
+    get trained() {
+        return this.min !== null;
+    }
+
+    /**
+     * Bytes of one code
+     */
+    get bytesPerVector() {
+        return this.dimensions;
+    }
+
+    /**
+     * Bytes of the trained parameters
+     */
+    get codebookBytes() {
+        return this.trained ? this.dimensions * 8 : 0;
+    }
+
+    /**
+     * Learn each dimension's range from sample vectors
+     * @param {Float32Array[]} vectors - Training sample
+     */
+    async train(vectors) {
+        if (vectors.length === 0) {
+            throw new Error('Cannot train a quantizer without vectors');
+        }
+
+        const { dimensions } = this;
+        const min = new Float32Array(dimensions).fill(Infinity);
+        const max = new Float32Array(dimensions).fill(-Infinity);
+        for (const vector of vectors) {
+            for (let i = 0; i < dimensions; i++) {
+                if (vector[i] < min[i]) min[i] = vector[i];
+                if (vector[i] > max[i]) max[i] = vector[i];
+            }
+        }
+
+        this.min = min;
+        this.scale = new Float32Array(dimensions);
+        for (let i = 0; i < dimensions; i++) {
+            this.scale[i] = (max[i] - min[i]) / 255;
+        }
+    }
+
+    /**
+     * Values outside the trained range are clamped
+     * @returns {Uint8Array}
+     */
+    encode(vector) {
+        const code = new Uint8Array(this.dimensions);
+        for (let i = 0; i < this.dimensions; i++) {
+            const step = this.scale[i] > 0 ? Math.round((vector[i] - this.min[i]) / this.scale[i]) : 0;
+            code[i] = step < 0 ? 0 : step > 255 ? 255 : step;
+        }
+        return code;
+    }
+
+    /**
+     * @param {Uint8Array} code - Code from encode
+     * @param {Float32Array} out - Optional buffer to decode into
+     * @returns {Float32Array}
+     */
+    decode(code, out = new Float32Array(this.dimensions)) {
+        for (let i = 0; i < this.dimensions; i++) {
+            out[i] = this.min[i] + code[i] * this.scale[i];
+        }
+        return out;
+    }
+
+    serialize() {
+        return pack({ type: this.type, dimensions: this.dimensions }, [this.min, this.scale]);
+    }
+
+    static deserialize(header, arrays) {
+        const quantizer = new ScalarQuantizer({ dimensions: header.dimensions });
+        [quantizer.min, quantizer.scale] = arrays;
+        return quantizer;
+    }
+}
+
+/**
+ * ProductQuantizer - One byte per slice of `dimensions / subvectors` values
+ */
+export class ProductQuantizer {
+    /**
+     * @param {Object} options - { dimensions, subvectors, centroids: 256, iterations: 8 }
+     */
+    constructor(options = {}) {
+        this.type = 'pq';
+        this.dimensions = options.dimensions;
+        this.subvectors = options.subvectors;
+        this.centroids = Math.min(options.centroids || 256, 256);
+        this.iterations = options.iterations || 8;
+
+        if (!Number.isInteger(this.subvectors) || this.subvectors <= 0 || this.dimensions % this.subvectors !== 0) {
+            throw new Error(`Product quantization needs subvectors dividing ${this.dimensions} dimensions, got ${this.subvectors}`);
+        }
+        this.subDimensions = this.dimensions / this.subvectors;
+        this.codebooks = null; // Float32Array: subvector, centroid, value
+    }
+
+    get trained() {
+        return this.codebooks !== null;
+    }
+
+    get bytesPerVector() {
+        return this.subvectors;
+    }
+
+    get codebookBytes() {
+        return this.trained ? this.codebooks.byteLength : 0;
+    }
+
+    /**
+     * k-means per subvector. Yields to the event loop between subvectors,
+     * since training on a large sample takes a while on small devices.
+     * @param {Float32Array[]} vectors - Training sample
+     */
+    async train(vectors) {
+        if (vectors.length === 0) {
+            throw new Error('Cannot train a quantizer without vectors');
+        }
+
+        // Fewer samples than centroids: every sample is a centroid
+        this.centroids = Math.min(this.centroids, vectors.length);
+        const { subvectors, subDimensions, centroids } = this;
+        const codebooks = new Float32Array(subvectors * centroids * subDimensions);
+
+        for (let m = 0; m < subvectors; m++) {
+            const offset = m * subDimensions;
+            const book = codebooks.subarray(m * centroids * subDimensions, (m + 1) * centroids * subDimensions);
+            kMeans(vectors, offset, subDimensions, book, centroids, this.iterations);
+            await new Promise(resolve => setImmediate(resolve));
+        }
+
+        this.codebooks = codebooks;
+    }
+
+    /**
+     * @returns {Uint8Array} Nearest centroid per subvector
+     */
+    encode(vector) {
+        const { subvectors, subDimensions, centroids, codebooks } = this;
+        const code = new Uint8Array(subvectors);
+        for (let m = 0; m < subvectors; m++) {
+            code[m] = nearestCentroid(vector, m * subDimensions, subDimensions,
+                codebooks, m * centroids * subDimensions, centroids);
+        }
+        return code;
+    }
+
+    decode(code, out = new Float32Array(this.dimensions)) {
+        const { subvectors, subDimensions, centroids, codebooks } = this;
+        for (let m = 0; m < subvectors; m++) {
+            const start = (m * centroids + code[m]) * subDimensions;
+            out.set(codebooks.subarray(start, start + subDimensions), m * subDimensions);
+        }
+        return out;
+    }
+
+    serialize() {
+        return pack({
+            type: this.type,
+            dimensions: this.dimensions,
+            subvectors: this.subvectors,
+            centroids: this.centroids
+        }, [this.codebooks]);
+    }
+
+    static deserialize(header, arrays) {
+        const quantizer = new ProductQuantizer(header);
+        [quantizer.codebooks] = arrays;
+        return quantizer;
+    }
+}
+
+/**
+ * Untrained quantizer for a collection's quantization settings
+ * @param {Object} settings - { type: 'int8' | 'pq', subvectors }
+ * @param {number} dimensions - Vector dimensions
+ */
+export function createQuantizer(settings, dimensions) {
+    switch (settings.type) {
+        case 'int8':
+            return new ScalarQuantizer({ dimensions });
+        case 'pq':
+            return new ProductQuantizer({ dimensions, subvectors: settings.subvectors });
+        default:
+            throw new Error(`Unsupported quantization: ${settings.type}`);
+    }
+}
+
+/**
+ * Restore a trained quantizer from serialize()
+ * @param {Buffer} buffer - Serialised quantizer
+ */
+export function deserializeQuantizer(buffer) {
+    const headerLength = buffer.readUInt32LE(0);
+    const header = JSON.parse(buffer.toString('utf8', 4, 4 + headerLength));
+    if (header.version !== FORMAT_VERSION) {
+        throw new Error(`Unsupported quantizer format: ${header.version}`);
+    }
+
+    const arrays = [];
+    let offset = align(4 + headerLength);
+    for (const length of header.arrays) {
+        arrays.push(new Float32Array(buffer.buffer.slice(buffer.byteOffset + offset, buffer.byteOffset + offset + length * 4)));
+        offset += length * 4;
+    }
+
+    switch (header.type) {
+        case 'int8':
+            return ScalarQuantizer.deserialize(header, arrays);
+        case 'pq':
+            return ProductQuantizer.deserialize(header, arrays);
+        default:
+            throw new Error(`Unsupported quantization: ${header.type}`);
+    }
+}
+
+/**
+ * Default product quantization slices: the largest divisor of the
+ * dimensions giving slices of at least 16 values (96 for 1536 dimensions)
+ */
+export function defaultSubvectors(dimensions) {
+    for (let subvectors = Math.floor(dimensions / 16); subvectors > 1; subvectors--) {
+        if (dimensions % subvectors === 0) return subvectors;
+    }
+    return 1;
+}
+
+// =============================================================================
+// INTERNALS
+// =============================================================================
+
+/**
+ * Layout: u32 header length, JSON header (with the Float32 array lengths),
+ * padding to 4 bytes, then the arrays
+ */
+function pack(header, arrays) {
+    const json = Buffer.from(JSON.stringify({
+        version: FORMAT_VERSION,
+        ...header,
+        arrays: arrays.map(array => array.length)
+    }));
+    const start = align(4 + json.length);
+    const buffer = Buffer.alloc(start + arrays.reduce((sum, array) => sum + array.byteLength, 0));
+
+    buffer.writeUInt32LE(json.length, 0);
+    json.copy(buffer, 4);
+    let offset = start;
+    for (const array of arrays) {
+        Buffer.from(array.buffer, array.byteOffset, array.byteLength).copy(buffer, offset);
+        offset += array.byteLength;
+    }
+    return buffer;
+}
+
+function align(offset) {
+    return Math.ceil(offset / 4) * 4;
+}
+
+/**
+ * Lloyd's k-means over one slice of the vectors, writing `count` centroids
+ * into `book`. Seeded from distinct samples; an empty cluster is reseeded
+ * from the sample furthest from its centroid.
+ */
+function kMeans(vectors, offset, length, book, count, iterations) {
+    const seeds = sampleIndexes(vectors.length, count);
+    seeds.forEach((row, c) => book.set(vectors[row].subarray(offset, offset + length), c * length));
+
+    const assignments = new Int32Array(vectors.length);
+    const distances = new Float64Array(vectors.length);
+    const sums = new Float64Array(count * length);
+    const sizes = new Int32Array(count);
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        let changed = 0;
+        for (let row = 0; row < vectors.length; row++) {
+            const nearest = nearestCentroid(vectors[row], offset, length, book, 0, count);
+            if (iteration === 0 || nearest !== assignments[row]) changed++;
+            assignments[row] = nearest;
+            distances[row] = squaredDistance(vectors[row], offset, book, nearest * length, length);
+        }
+        if (changed === 0) break;
+
+        sums.fill(0);
+        sizes.fill(0);
+        for (let row = 0; row < vectors.length; row++) {
+            const c = assignments[row];
+            sizes[c]++;
+            for (let i = 0; i < length; i++) sums[c * length + i] += vectors[row][offset + i];
+        }
+
+        for (let c = 0; c < count; c++) {
+            if (sizes[c] > 0) {
+                for (let i = 0; i < length; i++) book[c * length + i] = sums[c * length + i] / sizes[c];
+                continue;
+            }
+            let furthest = 0;
+            for (let row = 1; row < vectors.length; row++) {
+                if (distances[row] > distances[furthest]) furthest = row;
+            }
+            book.set(vectors[furthest].subarray(offset, offset + length), c * length);
+            distances[furthest] = 0;
+        }
+    }
+}
+
+function nearestCentroid(vector, offset, length, book, bookOffset, count) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let c = 0; c < count; c++) {
+        const distance = squaredDistance(vector, offset, book, bookOffset + c * length, length);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = c;
+        }
+    }
+    return best;
+}
+
+function squaredDistance(vector, offset, book, bookOffset, length) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+        const d = vector[offset + i] - book[bookOffset + i];
+        sum += d * d;
+    }
+    return sum;
+}
+
+/**
+ * `count` distinct indexes below `total`, chosen at random
+ */
+function sampleIndexes(total, count) {
+    const indexes = Array.from({ length: total }, (_, i) => i);
+    for (let i = 0; i < count; i++) {
+        const j = i + Math.floor(Math.random() * (total - i));
+        [indexes[i], indexes[j]] = [indexes[j], indexes[i]];
+    }
+    return indexes.slice(0, count);
+}
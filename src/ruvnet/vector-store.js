@@ -0,0 +1,621 @@
+/**
+ * =============================================================================
+ * RuVector Local Storage
+ * Binary snapshots plus an append-only write-ahead log for the local index
+ * =============================================================================
+ */
+
+import fs from 'fs/promises';
+import { createReadStream } from 'fs';
+import path from 'path';
+import readline from 'readline';
+
+/**
+ * Files under the index directory:
+ *
+ *   manifest.json             current snapshot generation, dimensions, count
+ *   snapshot-<g>.vectors      Float32 rows, one per vector, little-endian
+ *   snapshot-<g>.meta.jsonl   one { id, metadata } line per row, same order
+ *   snapshot-<g>.codes        quantized codes per row (quantized collections)
+ *   snapshot-<g>.graph        HNSW graph over the rows (hnsw index only)
+ *   wal-<g>.log               adds and deletes since snapshot <g>
+ *   quantizer.bin             trained quantizer (quantized collections)
+ *
+ * A snapshot switches writes to a new WAL generation before it starts, so
+ * changes made while it is written land in the next log. The manifest is
+ * replaced atomically once the snapshot is complete; only then are older
+ * snapshots and logs removed. Loading replays every log from the manifest's
+ * generation on, stopping at a torn record left by a crash.
+ *
+ * With `locate`, the store remembers where each vector's latest copy is on
+ * disk, so quantized collections can keep only codes in memory and read
+ * full vectors back for exact re-ranking.
+ */
+
+const MANIFEST_VERSION = 1;
+const OP_ADD = 1;
+const OP_DELETE = 2;
+
+// Rows per read/write when streaming vector segments
+const SEGMENT_ROWS = 4096;
+
+// A location packs generation, file kind and position into one number:
+// the position is a row of a snapshot or a byte offset into a log
+const POSITION_RANGE = 2 ** 32;
+
+/**
+ * LocalVectorStore - Durable storage for RuVectorIntegration's local backend
+ */
+export class LocalVectorStore {
+    constructor(config = {}) {
+        this.config = {
+            path: './data/ruvector',
+            dimensions: 1536,
+            fsync: false, // fsync every WAL record (survives power loss, not just crashes)
+            locate: false, // track vector locations for readVectors
+            ...config
+        };
+
+        this.generation = 0; // snapshot generation in the manifest
+        this.walGeneration = 0; // log new records go to
+        this.walBytes = 0; // bytes logged since the last snapshot
+        this.walOffsets = new Map(); // generation -> log size including queued writes
+        this.walHandles = new Map(); // generation -> FileHandle
+        this.writes = Promise.resolve();
+
+        this.locations = this.config.locate ? new Map() : null; // id -> packed location
+        this.readHandles = new Map(); // file -> FileHandle
+        this.reads = new Set(); // readVectors calls in flight
+    }
+
+    /**
+     * Load the latest snapshot and the log records after it
+     * @param {Object} options - { codeBytes }: load codes instead of vectors
+     *   when the snapshot has codes of this size
+     * @returns {Promise<Object>} { rows: [{ id, vector, code, metadata }], graph, records, legacy }
+     *   where rows have a vector or a code, graph is { ids, buffer } or
+     *   null, and records are WAL operations
+     *   ({ op: 'add', id, vector, metadata } | { op: 'delete', id })
+     *   to apply on top of the rows, in order
+     */
+    async load(options = {}) {
+        await fs.mkdir(this.config.path, { recursive: true });
+
+        const manifest = await readJson(this.file('manifest.json'));
+        if (!manifest) {
+            const legacy = await this.loadLegacy();
+            if (legacy) return legacy;
+        } else if (manifest.dimensions !== this.config.dimensions) {
+            throw new Error(`Vector index at ${this.config.path} has ${manifest.dimensions} dimensions, expected ${this.config.dimensions}`);
+        }
+
+        this.generation = manifest?.generation || 0;
+
+        const rows = manifest ? await this.readSnapshot(manifest, options) : [];
+        let graph = null;
+        if (manifest?.graph) {
+            const buffer = await fs.readFile(this.file(`snapshot-${this.generation}.graph`)).catch(() => null);
+            if (buffer) graph = { ids: rows.map(row => row.id), buffer };
+        }
+
+        const records = [];
+        const logs = (await this.walGenerations()).filter(g => g >= this.generation);
+        for (const generation of logs) {
+            records.push(...await this.readWal(generation));
+        }
+
+        this.walGeneration = Math.max(this.generation, ...logs);
+        return { rows, graph, records, legacy: false };
+    }
+
+    /**
+     * Append an add to the write-ahead log
+     */
+    append(id, vector, metadata) {
+        return this.log(OP_ADD, { id, metadata }, vector);
+    }
+
+    /**
+     * Append a delete to the write-ahead log
+     */
+    appendDelete(id) {
+        return this.log(OP_DELETE, { id });
+    }
+
+    /**
+     * Write a snapshot and drop the logs it covers.
+     *
+     * The caller passes the state to save, captured synchronously so it is
+     * consistent; writes after this call go to the next log generation.
+     * Vectors vectorOf does not return are read back from disk (`locate`).
+     *
+     * @param {Object} state - { ids, vectorOf(id), metadataOf(id), graph: Buffer | null,
+     *   codeOf(id), codeBytes } where the code fields are set for quantized collections
+     */
+    async snapshot(state) {
+        // Switch logs and capture locations before the first await
+        const generation = this.walGeneration + 1;
+        const loggedBytes = this.walBytes;
+        this.walGeneration = generation;
+        this.walBytes = 0;
+        const locations = this.locations ? state.ids.map(id => this.locations.get(id)) : null;
+
+        try {
+            await this.writeSnapshot(generation, state, locations);
+
+            await writeAtomic(this.file('manifest.json'), JSON.stringify({
+                version: MANIFEST_VERSION,
+                generation,
+                dimensions: this.config.dimensions,
+                count: state.ids.length,
+                graph: !!state.graph,
+                codeBytes: state.codeBytes || 0,
+                createdAt: new Date().toISOString()
+            }));
+        } catch (error) {
+            this.walBytes += loggedBytes;
+            throw error;
+        }
+
+        // Rows written now point into the new snapshot, unless re-added since
+        if (this.locations) {
+            state.ids.forEach((id, row) => {
+                const location = this.locations.get(id);
+                if (location !== undefined && unpackLocation(location).generation < generation) {
+                    this.locations.set(id, packLocation(generation, false, row));
+                }
+            });
+        }
+
+        const previous = this.generation;
+        this.generation = generation;
+        await this.removeGenerationsBefore(generation, previous);
+        return { generation, count: state.ids.length };
+    }
+
+    /**
+     * Read full vectors back from the snapshot and logs (requires `locate`)
+     * @param {string[]} ids - Vector IDs
+     * @returns {Promise<Array<Float32Array|null>>} In the order of ids, null for unknown IDs
+     */
+    readVectors(ids) {
+        if (!this.locations) {
+            throw new Error(`Vector store at ${this.config.path} does not track vector locations`);
+        }
+
+        const read = this.readLocations(ids.map(id => this.locations.get(id)));
+        const settled = read.then(() => {}, () => {});
+        this.reads.add(settled);
+        settled.then(() => this.reads.delete(settled));
+        return read;
+    }
+
+    /**
+     * Trained quantizer saved with saveQuantizer, or null
+     */
+    async loadQuantizer() {
+        try {
+            return await fs.readFile(this.file('quantizer.bin'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async saveQuantizer(buffer) {
+        await fs.mkdir(this.config.path, { recursive: true });
+        await writeAtomic(this.file('quantizer.bin'), buffer);
+    }
+
+    /**
+     * Wait for pending log writes and close the log
+     */
+    async close() {
+        await this.writes;
+        await Promise.all(this.reads);
+        for (const handle of [...this.walHandles.values(), ...this.readHandles.values()]) {
+            await handle.close();
+        }
+        this.walHandles.clear();
+        this.readHandles.clear();
+    }
+
+    // =========================================================================
+    // WRITE-AHEAD LOG
+    // =========================================================================
+
+    /**
+     * Record layout: u32 payload length, u32 CRC-32 of the payload, then the
+     * payload: u8 op, u32 header length, JSON header, and for adds the vector
+     * as Float32.
+     */
+    log(op, header, vector = null) {
+        const json = Buffer.from(JSON.stringify(header));
+        const vectorBytes = vector ? vector.length * 4 : 0;
+        const payload = Buffer.alloc(5 + json.length + vectorBytes);
+        payload.writeUInt8(op, 0);
+        payload.writeUInt32LE(json.length, 1);
+        json.copy(payload, 5);
+        if (vector) {
+            const floats = Float32Array.from(vector);
+            Buffer.from(floats.buffer).copy(payload, 5 + json.length);
+        }
+
+        const record = Buffer.alloc(8 + payload.length);
+        record.writeUInt32LE(payload.length, 0);
+        record.writeUInt32LE(crc32(payload), 4);
+        payload.copy(record, 8);
+
+        const generation = this.walGeneration;
+        const position = this.walOffsets.get(generation) || 0;
+        this.walOffsets.set(generation, position + record.length);
+        this.walBytes += record.length;
+
+        if (this.locations) {
+            if (vector) {
+                this.locations.set(header.id, packLocation(generation, true, position + 13 + json.length));
+            } else {
+                this.locations.delete(header.id);
+            }
+        }
+
+        const write = this.writes.then(async () => {
+            const handle = await this.walHandle(generation);
+            await handle.write(record);
+            if (this.config.fsync) {
+                await handle.datasync();
+            }
+        });
+        // Later writes still run if this one fails
+        this.writes = write.catch(() => {});
+        return write;
+    }
+
+    async walHandle(generation) {
+        let handle = this.walHandles.get(generation);
+        if (!handle) {
+            handle = await fs.open(this.file(`wal-${generation}.log`), 'a');
+            this.walHandles.set(generation, handle);
+
+            // Older logs receive no more writes once a newer one is opened
+            for (const [older, olderHandle] of this.walHandles) {
+                if (older < generation) {
+                    await olderHandle.close();
+                    this.walHandles.delete(older);
+                }
+            }
+        }
+        return handle;
+    }
+
+    /**
+     * Read one log, truncating it after the last intact record
+     */
+    async readWal(generation) {
+        const file = this.file(`wal-${generation}.log`);
+        const data = await fs.readFile(file);
+        const records = [];
+        let offset = 0;
+
+        while (offset + 8 <= data.length) {
+            const length = data.readUInt32LE(offset);
+            const checksum = data.readUInt32LE(offset + 4);
+            const end = offset + 8 + length;
+            if (end > data.length) break;
+
+            const payload = data.subarray(offset + 8, end);
+            if (crc32(payload) !== checksum) break;
+
+            const op = payload.readUInt8(0);
+            const jsonLength = payload.readUInt32LE(1);
+            const header = JSON.parse(payload.toString('utf8', 5, 5 + jsonLength));
+
+            if (op === OP_ADD) {
+                this.locations?.set(header.id, packLocation(generation, true, offset + 13 + jsonLength));
+                const bytes = payload.subarray(5 + jsonLength);
+                records.push({
+                    op: 'add',
+                    id: header.id,
+                    metadata: header.metadata,
+                    vector: new Float32Array(new Uint8Array(bytes).buffer) // copy: not 4-byte aligned
+                });
+            } else if (op === OP_DELETE) {
+                this.locations?.delete(header.id);
+                records.push({ op: 'delete', id: header.id });
+            }
+
+            offset = end;
+        }
+
+        if (offset < data.length) {
+            // Torn or corrupt tail from a crash mid-write
+            await fs.truncate(file, offset);
+        }
+
+        this.walBytes += offset;
+        this.walOffsets.set(generation, offset);
+        return records;
+    }
+
+    async walGenerations() {
+        const files = await fs.readdir(this.config.path);
+        return files
+            .map(file => /^wal-(\d+)\.log$/.exec(file))
+            .filter(Boolean)
+            .map(match => Number(match[1]))
+            .sort((a, b) => a - b);
+    }
+
+    // =========================================================================
+    // SNAPSHOTS
+    // =========================================================================
+
+    async writeSnapshot(generation, state, locations) {
+        const { dimensions } = this.config;
+        const prefix = this.file(`snapshot-${generation}`);
+
+        const vectors = await fs.open(`${prefix}.vectors`, 'w');
+        const metadata = await fs.open(`${prefix}.meta.jsonl`, 'w');
+        const codes = state.codeBytes ? await fs.open(`${prefix}.codes`, 'w') : null;
+        try {
+            for (let start = 0; start < state.ids.length; start += SEGMENT_ROWS) {
+                const ids = state.ids.slice(start, start + SEGMENT_ROWS);
+                const segment = new Float32Array(ids.length * dimensions);
+
+                const onDisk = [];
+                ids.forEach((id, i) => {
+                    const vector = state.vectorOf?.(id);
+                    if (vector) segment.set(vector, i * dimensions);
+                    else onDisk.push(i);
+                });
+                if (onDisk.length > 0) {
+                    const read = await this.readLocations(onDisk.map(i => locations?.[start + i]));
+                    read.forEach((vector, j) => {
+                        if (!vector) throw new Error(`No stored vector for ${ids[onDisk[j]]}`);
+                        segment.set(vector, onDisk[j] * dimensions);
+                    });
+                }
+
+                await vectors.write(Buffer.from(segment.buffer));
+                await metadata.write(ids
+                    .map(id => JSON.stringify({ id, metadata: state.metadataOf(id) }) + '\n')
+                    .join(''));
+                if (codes) {
+                    const block = Buffer.alloc(ids.length * state.codeBytes);
+                    ids.forEach((id, i) => block.set(state.codeOf(id), i * state.codeBytes));
+                    await codes.write(block);
+                }
+            }
+            await vectors.sync();
+            await metadata.sync();
+            await codes?.sync();
+        } finally {
+            await vectors.close();
+            await metadata.close();
+            await codes?.close();
+        }
+
+        if (state.graph) {
+            await fs.writeFile(`${prefix}.graph`, state.graph);
+        }
+    }
+
+    /**
+     * Stream a snapshot's rows without holding its files in memory at once
+     */
+    async readSnapshot(manifest, options = {}) {
+        const { dimensions } = this.config;
+        const prefix = this.file(`snapshot-${manifest.generation}`);
+        const rows = [];
+
+        const lines = readline.createInterface({
+            input: createReadStream(`${prefix}.meta.jsonl`),
+            crlfDelay: Infinity
+        });
+        for await (const line of lines) {
+            if (!line) continue;
+            const { id, metadata } = JSON.parse(line);
+            this.locations?.set(id, packLocation(manifest.generation, false, rows.length));
+            rows.push({ id, metadata, vector: null });
+        }
+
+        // Quantized collections load codes; their vectors stay on disk
+        const codeBytes = options.codeBytes && manifest.codeBytes === options.codeBytes ? manifest.codeBytes : 0;
+        const field = codeBytes ? 'code' : 'vector';
+        const rowBytes = codeBytes || dimensions * 4;
+
+        const handle = await fs.open(`${prefix}.${codeBytes ? 'codes' : 'vectors'}`, 'r');
+        try {
+            const buffer = Buffer.alloc(SEGMENT_ROWS * rowBytes);
+            for (let start = 0; start < rows.length; start += SEGMENT_ROWS) {
+                const count = Math.min(SEGMENT_ROWS, rows.length - start);
+                const { bytesRead } = await handle.read(buffer, 0, count * rowBytes, start * rowBytes);
+                if (bytesRead < count * rowBytes) {
+                    throw new Error(`Snapshot ${prefix} is truncated`);
+                }
+
+                for (let i = 0; i < count; i++) {
+                    const bytes = buffer.buffer.slice(buffer.byteOffset + i * rowBytes, buffer.byteOffset + (i + 1) * rowBytes);
+                    rows[start + i][field] = codeBytes ? new Uint8Array(bytes) : new Float32Array(bytes);
+                }
+            }
+        } finally {
+            await handle.close();
+        }
+
+        return rows;
+    }
+
+    /**
+     * Read vectors at packed locations, coalescing adjacent snapshot rows
+     * @returns {Promise<Array<Float32Array|null>>} null where the location is undefined
+     */
+    async readLocations(locations) {
+        // Log records may still be queued
+        await this.writes;
+
+        const rowBytes = this.config.dimensions * 4;
+        const results = new Array(locations.length).fill(null);
+        const wanted = [];
+        locations.forEach((location, i) => {
+            if (location === undefined) return;
+            const { generation, inLog, position } = unpackLocation(location);
+            wanted.push({
+                i,
+                file: inLog ? `wal-${generation}.log` : `snapshot-${generation}.vectors`,
+                offset: inLog ? position : position * rowBytes
+            });
+        });
+        wanted.sort((a, b) => a.file < b.file ? -1 : a.file > b.file ? 1 : a.offset - b.offset);
+
+        for (let start = 0; start < wanted.length;) {
+            // A run of vectors stored back to back in one file
+            let end = start + 1;
+            while (end < wanted.length && end - start < SEGMENT_ROWS &&
+                wanted[end].file === wanted[start].file &&
+                wanted[end].offset === wanted[end - 1].offset + rowBytes) {
+                end++;
+            }
+
+            const { file, offset } = wanted[start];
+            const buffer = Buffer.alloc((end - start) * rowBytes);
+            const handle = await this.readHandle(file);
+            const { bytesRead } = await handle.read(buffer, 0, buffer.length, offset);
+            if (bytesRead < buffer.length) {
+                throw new Error(`Vector at ${file}:${offset} is truncated`);
+            }
+
+            for (let j = start; j < end; j++) {
+                const at = (j - start) * rowBytes;
+                results[wanted[j].i] = new Float32Array(buffer.buffer.slice(buffer.byteOffset + at, buffer.byteOffset + at + rowBytes));
+            }
+            start = end;
+        }
+
+        return results;
+    }
+
+    async readHandle(file) {
+        let handle = this.readHandles.get(file);
+        if (!handle) {
+            handle = await fs.open(this.file(file), 'r');
+            this.readHandles.set(file, handle);
+        }
+        return handle;
+    }
+
+    /**
+     * Pre-binary format: one index.json with vectors and metadata. It is read
+     * once, renamed to index.json.migrated, and rewritten as a snapshot by
+     * the caller.
+     */
+    async loadLegacy() {
+        const legacyPath = this.file('index.json');
+        const saved = await readJson(legacyPath);
+        if (!saved) return null;
+
+        const metadata = new Map(saved.metadata || []);
+        const rows = (saved.vectors || []).map(([id, vector]) => ({
+            id,
+            vector: Float32Array.from(vector),
+            metadata: metadata.get(id) || {}
+        }));
+
+        return {
+            rows,
+            graph: null,
+            records: [],
+            legacy: true,
+            complete: () => fs.rename(legacyPath, `${legacyPath}.migrated`)
+        };
+    }
+
+    async removeGenerationsBefore(generation, previous) {
+        const stale = [
+            `snapshot-${previous}.vectors`,
+            `snapshot-${previous}.meta.jsonl`,
+            `snapshot-${previous}.codes`,
+            `snapshot-${previous}.graph`,
+            ...(await this.walGenerations())
+                .filter(g => g < generation)
+                .map(g => `wal-${g}.log`)
+        ];
+
+        // Reads that started before the locations moved still use these files
+        await Promise.all(this.reads);
+        for (const file of stale) {
+            await this.readHandles.get(file)?.close();
+            this.readHandles.delete(file);
+        }
+        for (const g of this.walOffsets.keys()) {
+            if (g < generation) this.walOffsets.delete(g);
+        }
+
+        for (const file of stale) {
+            if (file.startsWith('wal-')) {
+                const g = Number(file.slice(4, -4));
+                const handle = this.walHandles.get(g);
+                if (handle) {
+                    await this.writes;
+                    await handle.close();
+                    this.walHandles.delete(g);
+                }
+            }
+            await fs.rm(this.file(file), { force: true });
+        }
+    }
+
+    file(name) {
+        return path.join(this.config.path, name);
+    }
+}
+
+function packLocation(generation, inLog, position) {
+    return (generation * 2 + (inLog ? 1 : 0)) * POSITION_RANGE + position;
+}
+
+function unpackLocation(location) {
+    const high = Math.floor(location / POSITION_RANGE);
+    return {
+        generation: Math.floor(high / 2),
+        inLog: high % 2 === 1,
+        position: location % POSITION_RANGE
+    };
+}
+
+async function readJson(filePath) {
+    try {
+        return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+    }
+}
+
+async function writeAtomic(filePath, data) {
+    const tmpPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.writeFile(tmpPath, data);
+    await fs.rename(tmpPath, filePath);
+}
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+            c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        }
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+function crc32(buffer) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+        crc = CRC_TABLE[(crc ^ buffer[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+export default LocalVectorStore;
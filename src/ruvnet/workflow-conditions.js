@@ -0,0 +1,176 @@
+/**
+ * =============================================================================
+ * Workflow Conditions
+ * Safe expression evaluation for `when`, `switch` and `loop.until`
+ * =============================================================================
+ */
+
+/**
+ * Expressions reference prior outputs and compare them with literals, e.g.
+ *
+ *   analyze.complexity === "simple"
+ *   testing.results.passed && !(testing.results.failures > 0)
+ *
+ * Supported: references (`phase.output.path`, hyphens allowed), string,
+ * number, boolean and null literals, === == !== != > >= < <=, && || !,
+ * and parentheses. Nothing is evaluated with `eval`.
+ */
+
+const TOKEN_PATTERN = /\s*(?:(===|!==|==|!=|>=|<=|&&|\|\||[()!<>])|("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(-?\d+(?:\.\d+)?)|([A-Za-z_$][\w$.-]*))/y;
+
+const COMPARATORS = {
+    '===': (a, b) => a === b,
+    '==': (a, b) => a == b,
+    '!==': (a, b) => a !== b,
+    '!=': (a, b) => a != b,
+    '>': (a, b) => a > b,
+    '>=': (a, b) => a >= b,
+    '<': (a, b) => a < b,
+    '<=': (a, b) => a <= b
+};
+
+const LITERALS = { true: true, false: false, null: null, undefined };
+
+/**
+ * Evaluate an expression
+ * @param {string} expression - Condition expression
+ * @param {Function} resolve - Reference -> value
+ * @returns {*} Expression value
+ */
+export function evaluateExpression(expression, resolve) {
+    const parser = new Parser(tokenize(expression), resolve);
+    const value = parser.parseOr();
+    parser.expectEnd();
+    return value;
+}
+
+/**
+ * Evaluate an expression as a boolean condition
+ */
+export function evaluateCondition(expression, resolve) {
+    return Boolean(evaluateExpression(expression, resolve));
+}
+
+/**
+ * References used by an expression
+ * @returns {string[]}
+ */
+export function expressionRefs(expression) {
+    return tokenize(expression)
+        .filter(token => token.type === 'ref')
+        .map(token => token.value);
+}
+
+function tokenize(expression) {
+    const tokens = [];
+    const text = String(expression);
+    TOKEN_PATTERN.lastIndex = 0;
+
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) {
+            throw new SyntaxError(`Unexpected input at ${start} in condition: ${text}`);
+        }
+
+        const [, operator, string, number, word] = match;
+        if (operator) {
+            tokens.push({ type: 'op', value: operator });
+        } else if (string) {
+            tokens.push({ type: 'literal', value: JSON.parse(string[0] === '"' ? string : toDoubleQuoted(string)) });
+        } else if (number) {
+            tokens.push({ type: 'literal', value: Number(number) });
+        } else if (Object.hasOwn(LITERALS, word)) {
+            tokens.push({ type: 'literal', value: LITERALS[word] });
+        } else {
+            tokens.push({ type: 'ref', value: word });
+        }
+    }
+
+    return tokens;
+}
+
+function toDoubleQuoted(single) {
+    const body = single.slice(1, -1).replace(/\\'/g, '\'').replace(/"/g, '\\"');
+    return `"${body}"`;
+}
+
+class Parser {
+    constructor(tokens, resolve) {
+        this.tokens = tokens;
+        this.position = 0;
+        this.resolve = resolve;
+    }
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    accept(value) {
+        const token = this.peek();
+        if (token?.type === 'op' && token.value === value) {
+            this.position++;
+            return true;
+        }
+        return false;
+    }
+
+    expectEnd() {
+        if (this.position < this.tokens.length) {
+            throw new SyntaxError(`Unexpected "${this.peek().value}" in condition`);
+        }
+    }
+
+    parseOr() {
+        let value = this.parseAnd();
+        while (this.accept('||')) {
+            const right = this.parseAnd();
+            value = value || right;
+        }
+        return value;
+    }
+
+    parseAnd() {
+        let value = this.parseComparison();
+        while (this.accept('&&')) {
+            const right = this.parseComparison();
+            value = value && right;
+        }
+        return value;
+    }
+
+    parseComparison() {
+        const left = this.parseUnary();
+        const token = this.peek();
+        if (token?.type === 'op' && COMPARATORS[token.value]) {
+            this.position++;
+            return COMPARATORS[token.value](left, this.parseUnary());
+        }
+        return left;
+    }
+
+    parseUnary() {
+        if (this.accept('!')) {
+            return !this.parseUnary();
+        }
+
+        if (this.accept('(')) {
+            const value = this.parseOr();
+            if (!this.accept(')')) {
+                throw new SyntaxError('Missing ")" in condition');
+            }
+            return value;
+        }
+
+        const token = this.tokens[this.position++];
+        if (!token) {
+            throw new SyntaxError('Unexpected end of condition');
+        }
+        if (token.type === 'literal') return token.value;
+        if (token.type === 'ref') return this.resolve(token.value);
+
+        throw new SyntaxError(`Unexpected "${token.value}" in condition`);
+    }
+}
@@ -0,0 +1,196 @@
+/**
+ * =============================================================================
+ * Workflow DAG
+ * Phase dependency graph, cycle detection and critical path analysis
+ * =============================================================================
+ */
+
+import { expressionRefs } from './workflow-conditions.js';
+
+/**
+ * Build the dependency graph for a list of workflow phases.
+ *
+ * If no phase declares `dependsOn`, phases form a chain in list order (the
+ * classic sequential workflow). Otherwise each phase depends on the phases
+ * named in `dependsOn`, any phase its `inputs`, `when` or `switch` reference
+ * (`"phase.output"` or a bare phase name), and the switch that routes to it;
+ * phases with none of these are roots.
+ *
+ * @param {Object[]} phases - Workflow phases
+ * @returns {Map<string, string[]>} Phase name -> names it depends on
+ * @throws {Error} On unknown dependencies or cycles
+ */
+export function buildPhaseGraph(phases) {
+    const names = new Set(phases.map(phase => phase.name));
+    const dag = phases.some(phase => Array.isArray(phase.dependsOn));
+    const graph = new Map();
+    const routedBy = switchTargets(phases, names);
+
+    phases.forEach((phase, i) => {
+        if (!dag) {
+            graph.set(phase.name, i > 0 ? [phases[i - 1].name] : []);
+            return;
+        }
+
+        const dependencies = new Set([...(phase.dependsOn || []), ...(routedBy.get(phase.name) || [])]);
+        const refs = [
+            ...inputRefs(phase.inputs),
+            ...(phase.when ? expressionRefs(phase.when) : []),
+            ...(phase.switch ? expressionRefs(phase.switch) : [])
+        ];
+
+        for (const ref of refs) {
+            const target = names.has(ref) ? ref : ref.slice(0, ref.indexOf('.'));
+            if (names.has(target) && target !== phase.name) {
+                dependencies.add(target);
+            }
+        }
+
+        for (const dependency of dependencies) {
+            if (!names.has(dependency)) {
+                throw new Error(`Phase "${phase.name}" depends on unknown phase "${dependency}"`);
+            }
+        }
+
+        graph.set(phase.name, Array.from(dependencies));
+    });
+
+    const cycle = findCycle(graph);
+    if (cycle) {
+        throw new Error(`Workflow phases form a cycle: ${cycle.join(' -> ')}`);
+    }
+
+    return graph;
+}
+
+/**
+ * Group phases into stages that can run in parallel
+ * @param {Map<string, string[]>} graph - Dependency graph
+ * @returns {string[][]} Stages in execution order
+ */
+export function executionStages(graph) {
+    const depth = new Map();
+    const depthOf = name => {
+        if (!depth.has(name)) {
+            const dependencies = graph.get(name);
+            depth.set(name, dependencies.length === 0
+                ? 0
+                : 1 + Math.max(...dependencies.map(depthOf)));
+        }
+        return depth.get(name);
+    };
+
+    const stages = [];
+    for (const name of graph.keys()) {
+        const level = depthOf(name);
+        (stages[level] ||= []).push(name);
+    }
+    return stages;
+}
+
+/**
+ * Longest weighted path through the graph
+ * @param {Map<string, string[]>} graph - Dependency graph
+ * @param {Function} weightOf - Phase name -> weight (defaults to 1 per phase)
+ * @returns {{ phases: string[], length: number }}
+ */
+export function criticalPath(graph, weightOf = () => 1) {
+    const best = new Map(); // name -> { length, previous }
+
+    const visit = name => {
+        if (best.has(name)) return best.get(name);
+
+        let previous = null;
+        let length = 0;
+        for (const dependency of graph.get(name)) {
+            const candidate = visit(dependency);
+            if (candidate.length > length || previous === null) {
+                length = candidate.length;
+                previous = dependency;
+            }
+        }
+
+        const entry = { length: length + weightOf(name), previous };
+        best.set(name, entry);
+        return entry;
+    };
+
+    let end = null;
+    for (const name of graph.keys()) {
+        const { length } = visit(name);
+        if (end === null || length > best.get(end).length) {
+            end = name;
+        }
+    }
+
+    const phases = [];
+    for (let name = end; name !== null; name = best.get(name).previous) {
+        phases.unshift(name);
+    }
+
+    return { phases, length: end === null ? 0 : best.get(end).length };
+}
+
+/**
+ * Phase name -> switch phases that route to it.
+ * Also checks that every case targets a known phase after its switch.
+ */
+function switchTargets(phases, names) {
+    const routedBy = new Map();
+
+    phases.forEach((phase, i) => {
+        if (!phase.switch) return;
+
+        const branches = [...Object.values(phase.cases || {}), phase.default || []];
+        for (const target of branches.flat()) {
+            if (!names.has(target)) {
+                throw new Error(`Switch "${phase.name}" routes to unknown phase "${target}"`);
+            }
+            if (phases.findIndex(p => p.name === target) <= i) {
+                throw new Error(`Switch "${phase.name}" must be listed before its target "${target}"`);
+            }
+            routedBy.set(target, [...(routedBy.get(target) || []), phase.name]);
+        }
+    });
+
+    return routedBy;
+}
+
+function inputRefs(inputs) {
+    if (!inputs) return [];
+    const refs = Array.isArray(inputs) ? inputs : Object.values(inputs);
+    return refs.filter(ref => typeof ref === 'string');
+}
+
+function findCycle(graph) {
+    const state = new Map(); // name -> 'visiting' | 'done'
+    const stack = [];
+
+    const visit = name => {
+        state.set(name, 'visiting');
+        stack.push(name);
+
+        for (const dependency of graph.get(name)) {
+            if (state.get(dependency) === 'visiting') {
+                return [...stack.slice(stack.indexOf(dependency)), dependency];
+            }
+            if (!state.has(dependency)) {
+                const cycle = visit(dependency);
+                if (cycle) return cycle;
+            }
+        }
+
+        stack.pop();
+        state.set(name, 'done');
+        return null;
+    };
+
+    for (const name of graph.keys()) {
+        if (!state.has(name)) {
+            const cycle = visit(name);
+            if (cycle) return cycle.reverse();
+        }
+    }
+
+    return null;
+}
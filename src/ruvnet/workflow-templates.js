@@ -0,0 +1,203 @@
+/**
+ * =============================================================================
+ * Workflow Templates
+ * Validation, inheritance and prompt interpolation for ClaudeFlow templates
+ * =============================================================================
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { validateSchema } from './json-schema.js';
+import { buildPhaseGraph } from './workflow-dag.js';
+import { evaluateExpression } from './workflow-conditions.js';
+
+export const TEMPLATE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+const PHASE_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        prompt: { type: 'string' },
+        model: { type: 'string', minLength: 1 },
+        outputs: { type: 'array', items: { type: 'string' } },
+        schema: { type: 'object' },
+        inputs: { type: ['object', 'array'] },
+        dependsOn: { type: 'array', items: { type: 'string' } },
+        priorReasoning: { type: 'boolean' },
+        // Control flow
+        when: { type: 'string', minLength: 1 },
+        switch: { type: 'string', minLength: 1 },
+        cases: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+        default: { type: 'array', items: { type: 'string' } },
+        approval: {
+            type: ['boolean', 'object'],
+            properties: {
+                message: { type: 'string' },
+                timeout: { type: 'integer', minimum: 0 },
+                defaultAction: { enum: ['approve', 'reject'] }
+            }
+        },
+        loop: {
+            type: 'object',
+            properties: {
+                until: { type: 'string', minLength: 1 },
+                maxIterations: { type: 'integer', minimum: 1 },
+                onExhausted: { enum: ['continue', 'fail'] }
+            },
+            required: ['until']
+        }
+    },
+    required: ['name']
+};
+
+/**
+ * Shape of a template definition as written in a file or passed to
+ * `registerTemplate`. Phases may be partial when the template extends another.
+ */
+export const TEMPLATE_SCHEMA = {
+    type: 'object',
+    properties: {
+        id: { type: 'string', pattern: '^[A-Za-z0-9._-]+$' },
+        name: { type: 'string' },
+        description: { type: 'string' },
+        extends: { type: 'string', minLength: 1 },
+        model: { type: 'string', minLength: 1 },
+        variables: { type: 'object' },
+        phases: { type: 'array', items: PHASE_SCHEMA }
+    }
+};
+
+/**
+ * Parse a template file. YAML support loads the `yaml` package on demand.
+ * @param {string} filePath - Path to a .json, .yaml or .yml file
+ * @returns {Promise<Object>} Template definition
+ */
+export async function readTemplateFile(filePath) {
+    const text = await fs.readFile(filePath, 'utf-8');
+
+    if (path.extname(filePath) === '.json') {
+        return JSON.parse(text);
+    }
+
+    const yaml = await import('yaml');
+    return (yaml.default || yaml).parse(text);
+}
+
+/**
+ * Validate a template definition
+ * @returns {string[]} Validation errors (empty when valid)
+ */
+export function validateTemplate(definition) {
+    const errors = validateSchema(definition, TEMPLATE_SCHEMA);
+
+    if (!definition?.extends && !(definition?.phases?.length > 0)) {
+        errors.push('$.phases: at least one phase is required');
+    }
+
+    const names = (definition?.phases || []).map(phase => phase?.name);
+    const duplicate = names.find((name, i) => name && names.indexOf(name) !== i);
+    if (duplicate) {
+        errors.push(`$.phases: duplicate phase "${duplicate}"`);
+    }
+
+    return errors;
+}
+
+/**
+ * Resolve a template against its `extends` chain.
+ *
+ * Child fields override the parent's. Phases are merged by name: a child
+ * phase with the same name as a parent phase overrides only the fields it
+ * sets (e.g. just `model`), new phases are appended, and variables merge.
+ *
+ * @param {string} id - Template ID
+ * @param {Map<string, Object>} definitions - Raw definitions by ID
+ * @returns {Object} Resolved template
+ */
+export function resolveTemplate(id, definitions, seen = []) {
+    if (seen.includes(id)) {
+        throw new Error(`Template inheritance cycle: ${[...seen, id].join(' -> ')}`);
+    }
+
+    const definition = definitions.get(id);
+    if (!definition) {
+        throw new Error(seen.length > 0
+            ? `Template "${seen[seen.length - 1]}" extends unknown template "${id}"`
+            : `Unknown workflow template: ${id}`);
+    }
+
+    const { extends: parentId, ...own } = definition;
+    if (!parentId) {
+        return checkResolved(id, { ...own, variables: { ...own.variables } });
+    }
+
+    const parent = resolveTemplate(parentId, definitions, [...seen, id]);
+
+    const phases = parent.phases.map(phase => ({ ...phase }));
+    for (const phase of own.phases || []) {
+        const index = phases.findIndex(p => p.name === phase.name);
+        if (index === -1) {
+            phases.push({ ...phase });
+        } else {
+            phases[index] = { ...phases[index], ...phase };
+        }
+    }
+
+    return checkResolved(id, {
+        ...parent,
+        ...own,
+        extends: parentId,
+        variables: { ...parent.variables, ...own.variables },
+        phases
+    });
+}
+
+/**
+ * Replace `{{name}}` placeholders with values from `variables`.
+ * Dotted paths (`{{context.repo}}`) are supported; unknown placeholders are
+ * left as written so missing variables are visible in the prompt.
+ */
+export function interpolate(text, variables) {
+    if (typeof text !== 'string') return text;
+
+    return text.replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (match, key) => {
+        const value = key.split('.').reduce(
+            (current, part) => (current != null ? current[part] : undefined),
+            variables
+        );
+        if (value == null) return match;
+        return typeof value === 'string' ? value : JSON.stringify(value);
+    });
+}
+
+function checkResolved(id, template) {
+    // Switch and approval-only phases need no prompt; every other phase does
+    const missing = template.phases
+        .filter(phase => !phase.switch && !phase.approval && typeof phase.prompt !== 'string')
+        .map(phase => phase.name);
+
+    if (missing.length > 0) {
+        throw new Error(`Template "${id}" has phases without a prompt: ${missing.join(', ')}`);
+    }
+
+    try {
+        for (const phase of template.phases) {
+            for (const expression of [phase.when, phase.switch, phase.loop?.until]) {
+                if (expression) checkExpression(phase, expression);
+            }
+        }
+        buildPhaseGraph(template.phases);
+    } catch (error) {
+        throw new Error(`Template "${id}": ${error.message}`);
+    }
+
+    return template;
+}
+
+function checkExpression(phase, expression) {
+    try {
+        evaluateExpression(expression, () => undefined);
+    } catch (error) {
+        throw new Error(`phase "${phase.name}" has an invalid condition "${expression}": ${error.message}`);
+    }
+}